@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+/**
+ * Policy A/B comparison
+ * ---------------------
+ * Coaches one simulated session with two or more policy configurations and
+ * writes the comparison report (see src/comparison.js). Each arm is a label
+ * plus param overrides and/or a rule set export to load.
+ *
+ *   npm run compare -- --seed 42 --scenario tremor-ramp \
+ *     --arms '[{"label":"A"},{"label":"strict","params":{"tremorRest":0.45}}]'
+ *   npm run compare -- --arms arms.json --loop closed --out runs/ab42
+ */
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { COMPARISON_LOOPS, runComparison } from "../src/comparison.js";
+import { parseRules } from "../src/rules.js";
+import { fail, resolveSession, sessionHelp, sessionOptionSpecs } from "./session-options.js";
+
+const { values: args } = parseArgs({
+  options: {
+    ...sessionOptionSpecs,
+    arms: { type: "string" },
+    minutes: { type: "string" },
+    loop: { type: "string", default: "open" },
+    out: { type: "string", default: "runs" },
+    help: { type: "boolean", short: "h" },
+  },
+});
+
+if (args.help) {
+  console.log(`Usage: node scripts/compare.js --arms <json|path> [options]
+
+  --arms <a>        JSON array (or path to one) of { label, params, rules },
+                    rules being a path to a rule set export (default: base rules)
+  --minutes <n>     simulated session length (default 10, or the scenario's)
+  --loop <l>        open: every arm decides on one shared stream;
+                    closed: each arm drives its own simulation (default open)
+  --out <dir>       output directory for report.json (default runs/)
+${sessionHelp}`);
+  process.exit(0);
+}
+
+async function loadArms(ref) {
+  if (!ref) fail("--arms is required, e.g. '[{\"label\":\"A\"},{\"params\":{\"tremorRest\":0.45}}]'");
+  let arms;
+  try {
+    arms = JSON.parse(ref.trim().startsWith("[") ? ref : await readFile(ref, "utf8"));
+  } catch (err) {
+    fail(`--arms: ${err.message}`);
+  }
+  if (!Array.isArray(arms) || arms.length < 2) fail("--arms needs an array of at least two arms");
+  return Promise.all(
+    arms.map(async (arm, i) => {
+      if (!arm.rules) return arm;
+      try {
+        return { ...arm, rules: parseRules(await readFile(arm.rules, "utf8")) };
+      } catch (err) {
+        fail(`--arms[${i}] rules ${arm.rules}: ${err.message}`);
+      }
+    })
+  );
+}
+
+const session = await resolveSession(args);
+const arms = await loadArms(args.arms);
+const minutes = Number(args.minutes ?? (session.scenario ? session.scenario.duration / 60 : 10));
+if (!Number.isFinite(minutes) || minutes <= 0) {
+  fail(`--minutes must be a positive number, got "${args.minutes}"`);
+}
+if (!COMPARISON_LOOPS.includes(args.loop)) {
+  fail(`--loop must be one of ${COMPARISON_LOOPS.join(", ")}`);
+}
+
+const started = performance.now();
+const report = runComparison(arms, { ...session, seconds: Math.round(minutes * 60), loop: args.loop });
+const elapsed = performance.now() - started;
+
+await mkdir(args.out, { recursive: true });
+await writeFile(path.join(args.out, "report.json"), JSON.stringify(report, null, 2));
+
+const fixed = (v, digits) => (v == null ? "—" : v.toFixed(digits));
+console.log(
+  `seed ${report.seed}, ${args.loop} loop: ${report.arms.length} arms × ${report.seconds} s in ${elapsed.toFixed(0)} ms → ${args.out}`
+);
+console.table(
+  Object.fromEntries(
+    report.arms.map(({ label, summary: s }) => [
+      label,
+      {
+        "IDLE s": s.seconds.IDLE,
+        "COACHING s": s.seconds.COACHING,
+        "REST s": s.seconds.REST,
+        cues: s.cues,
+        trips: s.trips,
+        smooth: fixed(s.meanSmooth, 3),
+        "grip err": fixed(s.meanGripError, 1),
+      },
+    ])
+  )
+);
+console.log(
+  `modes agree ${(report.modeAgreement * 100).toFixed(1)}% of the time; ${report.divergences.length} divergent spans`
+);
@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+/**
+ * Mock device server
+ * ------------------
+ * Stands in for a bridge rebroadcasting the sleeve over WebSocket: either
+ * runs the simulator at real rate, or replays a recorded session paced by
+ * its t_us clock. Every client sees the same stream, as with a real device.
+ *
+ *   npm run mock-device -- --seed 42 --scenario tremor-ramp
+ *   npm run mock-device -- --replay runs/s42/frames.bin --loop --format json
+ *
+ * Replays take a `frames.bin` (simulate --binary, or a raw device dump) or
+ * a `stream.jsonl` recorded with --waves.
+ */
+import { readFile } from "node:fs/promises";
+import { parseArgs } from "node:util";
+import { WebSocketServer } from "ws";
+import { encodeFrames, decodeFrames, unwrapTimestamps } from "../src/sample-codec.js";
+import { SENSOR_RATE_HZ } from "../src/signal-models.js";
+import { streamSimulatedFrames } from "../src/simulation.js";
+import { fail, resolveSession, sessionHelp, sessionOptionSpecs } from "./session-options.js";
+
+const { values: args } = parseArgs({
+  options: {
+    ...sessionOptionSpecs,
+    port: { type: "string", default: "8787" },
+    format: { type: "string", default: "binary" },
+    replay: { type: "string" },
+    loop: { type: "boolean", default: false },
+    "chunk-ms": { type: "string", default: "50" },
+    help: { type: "boolean", short: "h" },
+  },
+});
+
+if (args.help) {
+  console.log(`Usage: node scripts/mock-device.js [options]
+
+  --port <n>        listen port (default 8787)
+  --format <f>      binary (packed sample_t) or json (default binary)
+  --chunk-ms <n>    send interval; each message carries that many ms of frames (default 50)
+  --replay <file>   replay frames.bin or a --waves stream.jsonl instead of simulating
+  --loop            restart the replay when it ends (default: exit)
+${sessionHelp}`);
+  process.exit(0);
+}
+
+const port = Number(args.port);
+const chunkMs = Number(args["chunk-ms"]);
+if (!["binary", "json"].includes(args.format)) fail(`--format must be binary or json`);
+if (!Number.isInteger(port) || port <= 0) fail(`--port must be a port number, got "${args.port}"`);
+if (!(chunkMs > 0)) fail(`--chunk-ms must be positive, got "${args["chunk-ms"]}"`);
+
+const encode =
+  args.format === "binary"
+    ? (frames) => Buffer.from(encodeFrames(frames))
+    : (frames) => JSON.stringify({ frames });
+
+// ---------- Sources ----------
+async function loadRecording(file) {
+  const data = await readFile(file).catch((err) => fail(`--replay ${file}: ${err.message}`));
+  try {
+    const frames = file.endsWith(".jsonl")
+      ? data
+          .toString("utf8")
+          .split("\n")
+          .filter(Boolean)
+          .flatMap((line) => JSON.parse(line).frames ?? [])
+      : decodeFrames(data);
+    if (!frames.length) fail(`--replay ${file}: no raw frames (record with --waves or --binary)`);
+    return unwrapTimestamps(frames);
+  } catch (err) {
+    fail(`--replay ${file}: ${err.message}`);
+  }
+}
+
+// Hands `onFrames` whatever is due every chunk, by the recording's clock.
+function replay(frames, onFrames, onEnd) {
+  const t0 = frames[0].t_us;
+  let started = performance.now();
+  let next = 0;
+  const handle = setInterval(() => {
+    const due = t0 + (performance.now() - started) * 1000;
+    const from = next;
+    while (next < frames.length && frames[next].t_us <= due) next += 1;
+    if (next > from) onFrames(frames.slice(from, next));
+    if (next < frames.length) return;
+    if (args.loop) {
+      started = performance.now();
+      next = 0;
+    } else {
+      clearInterval(handle);
+      onEnd();
+    }
+  }, chunkMs);
+  return () => clearInterval(handle);
+}
+
+// ---------- Server ----------
+let describe;
+let start;
+if (args.replay) {
+  const frames = await loadRecording(args.replay);
+  describe = `replaying ${frames.length} frames (${(frames.length / SENSOR_RATE_HZ).toFixed(0)} s) from ${args.replay}`;
+  start = () =>
+    replay(frames, broadcast, () => {
+      console.log("replay finished");
+      shutdown();
+    });
+} else {
+  const session = await resolveSession(args);
+  describe = `simulating seed ${session.seed}${session.scenario ? `, scenario ${session.scenario.id}` : ""}`;
+  start = () => streamSimulatedFrames(session, broadcast, { chunkMs });
+}
+
+const wss = new WebSocketServer({ port });
+const stop = start();
+
+function broadcast(frames) {
+  const message = encode(frames);
+  for (const client of wss.clients) {
+    if (client.readyState === client.OPEN) client.send(message);
+  }
+}
+
+wss.on("connection", (socket, req) => {
+  console.log(`client ${req.socket.remoteAddress} connected (${wss.clients.size} total)`);
+  socket.send(JSON.stringify({ hello: { format: args.format, fs: SENSOR_RATE_HZ } }));
+  socket.on("close", () => console.log(`client left (${wss.clients.size} total)`));
+});
+wss.on("listening", () => {
+  console.log(`ws://localhost:${port} — ${args.format} frames, ${describe}`);
+});
+wss.on("error", (err) => fail(`mock device: ${err.message}`));
+
+function shutdown() {
+  stop();
+  for (const client of wss.clients) client.close();
+  wss.close(() => process.exit(0));
+}
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
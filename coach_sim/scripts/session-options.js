@@ -0,0 +1,108 @@
+/**
+ * Session options shared by the Node scripts
+ * ------------------------------------------
+ * Profile, model overrides, scenario and faults are parsed the same way by
+ * every script that runs the simulator, so a session can be reproduced in
+ * any of them with the same flags.
+ */
+import { readFile } from "node:fs/promises";
+import { randomSeed } from "../src/rng.js";
+import { bundledScenarios, parseScenario } from "../src/scenarios.js";
+import { defaultSensors } from "../src/simulation.js";
+import { builtinProfiles } from "../src/profiles.js";
+import { defaultFault, FAULT_CHANNELS, FAULT_TYPES } from "../src/faults.js";
+import { ADAPTIVE_STRATEGIES, defaultAdaptiveConfig } from "../src/difficulty.js";
+
+export const sessionOptionSpecs = {
+  seed: { type: "string" },
+  profile: { type: "string", default: "demo" },
+  user: { type: "string" },
+  params: { type: "string" },
+  sensors: { type: "string" },
+  scenario: { type: "string" },
+  faults: { type: "string" },
+  adaptive: { type: "string" },
+};
+
+export const sessionHelp = `  --seed <s>        PRNG seed (default: random, printed on exit)
+  --profile <id>    built-in user profile and its default params (default demo)
+  --user <json>     user model overrides
+  --params <json>   policy param overrides
+  --sensors <json>  sensor enable overrides
+  --scenario <s>    bundled scenario id or path to a scenario JSON file
+  --faults <json>   injected faults, e.g. '{"ppg":[{"type":"saturate","start":60,"end":90}]}'
+  --adaptive <json> difficulty controller, e.g. '{"strategy":"pid","targetSuccess":0.75}'`;
+
+export function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+function parseJsonArg(args, name) {
+  if (!args[name]) return {};
+  try {
+    return JSON.parse(args[name]);
+  } catch (err) {
+    fail(`--${name} is not valid JSON: ${err.message}`);
+  }
+}
+
+// { sensor: [fault, …] }, each fault filled in from its type's defaults.
+function parseFaultsArg(args) {
+  const faults = parseJsonArg(args, "faults");
+  if (!faults || typeof faults !== "object" || Array.isArray(faults)) {
+    fail("--faults must be an object of sensor: [fault, …]");
+  }
+  const sensors = Object.keys(FAULT_CHANNELS);
+  const types = Object.keys(FAULT_TYPES);
+  return Object.fromEntries(
+    Object.entries(faults).map(([sensor, list]) => {
+      if (!sensors.includes(sensor)) {
+        fail(`--faults ${sensor} is not a sensor; one of ${sensors.join(", ")}`);
+      }
+      if (!Array.isArray(list)) fail(`--faults ${sensor} must be an array of faults`);
+      for (const f of list) {
+        if (!types.includes(f?.type)) {
+          fail(`--faults ${sensor}: type must be one of ${types.join(", ")}`);
+        }
+      }
+      return [sensor, list.map((f) => ({ ...defaultFault(f.type), ...f }))];
+    })
+  );
+}
+
+async function loadScenario(ref) {
+  if (!ref) return null;
+  const bundled = bundledScenarios.find((s) => s.id === ref);
+  if (bundled) return bundled;
+  try {
+    return parseScenario(await readFile(ref, "utf8"));
+  } catch (err) {
+    fail(
+      `--scenario ${ref}: ${err.message}\nbundled: ${bundledScenarios.map((s) => s.id).join(", ")}`
+    );
+  }
+}
+
+// createSimulation options from parsed args (minus displayRate).
+export async function resolveSession(args) {
+  const profile = builtinProfiles.find((p) => p.id === args.profile);
+  if (!profile) {
+    fail(
+      `--profile ${args.profile} is unknown; built-ins: ${builtinProfiles.map((p) => p.id).join(", ")}`
+    );
+  }
+  const adaptive = { ...defaultAdaptiveConfig, ...parseJsonArg(args, "adaptive") };
+  if (!ADAPTIVE_STRATEGIES.includes(adaptive.strategy)) {
+    fail(`--adaptive strategy must be one of ${ADAPTIVE_STRATEGIES.join(", ")}`);
+  }
+  return {
+    seed: args.seed ?? randomSeed(),
+    scenario: await loadScenario(args.scenario),
+    user: { ...profile, ...parseJsonArg(args, "user") },
+    params: { ...profile.params, ...parseJsonArg(args, "params") },
+    sensors: { ...defaultSensors, ...parseJsonArg(args, "sensors") },
+    faults: parseFaultsArg(args),
+    adaptive,
+  };
+}
@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+/**
+ * Headless session runner
+ * -----------------------
+ * Runs the simulation engine for N simulated minutes and writes the frame
+ * stream and coaching event log to disk, for batch-evaluating thresholds.
+ *
+ *   npm run simulate -- --minutes 30 --seed 42 --out runs/s42
+ *   npm run simulate -- --params '{"tremorRest":0.45}' --sensors '{"ppg":false}'
+ */
+import { mkdir, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { DISPLAY_RATES_HZ } from "../src/decimate.js";
+import { runSimulation } from "../src/simulation.js";
+import { fail, resolveSession, sessionHelp, sessionOptionSpecs } from "./session-options.js";
+
+const { values: args } = parseArgs({
+  options: {
+    ...sessionOptionSpecs,
+    minutes: { type: "string" },
+    rate: { type: "string", default: "1" },
+    out: { type: "string", default: "runs" },
+    waves: { type: "boolean", default: false },
+    binary: { type: "boolean", default: false },
+    help: { type: "boolean", short: "h" },
+  },
+});
+
+if (args.help) {
+  console.log(`Usage: node scripts/simulate.js [options]
+
+  --minutes <n>     simulated session length (default 10, or the scenario's)
+  --rate <hz>       record/policy rate; sensors always run at 200 Hz (default 1)
+  --out <dir>       output directory (default runs/)
+${sessionHelp}
+  --waves           keep the raw 200 Hz frames behind every record (large)
+  --binary          also write frames.bin: every raw frame as packed sample_t`);
+  process.exit(0);
+}
+
+const session = await resolveSession(args);
+const { scenario } = session;
+const minutes = Number(args.minutes ?? (scenario ? scenario.duration / 60 : 10));
+if (!Number.isFinite(minutes) || minutes <= 0) {
+  fail(`--minutes must be a positive number, got "${args.minutes}"`);
+}
+
+const displayRate = Number(args.rate);
+if (!DISPLAY_RATES_HZ.includes(displayRate)) {
+  fail(`--rate must be one of ${DISPLAY_RATES_HZ.join(", ")} Hz`);
+}
+
+const options = { ...session, displayRate };
+
+const started = performance.now();
+const { seed, stream, events, binary } = runSimulation(
+  options,
+  Math.round(minutes * 60),
+  { keepWaves: args.waves, keepBinary: args.binary }
+);
+const elapsed = performance.now() - started;
+
+const toJsonl = (rows) => rows.map((r) => JSON.stringify(r)).join("\n") + "\n";
+
+await mkdir(args.out, { recursive: true });
+await writeFile(path.join(args.out, "stream.jsonl"), toJsonl(stream));
+await writeFile(path.join(args.out, "events.jsonl"), toJsonl(events));
+if (binary) await writeFile(path.join(args.out, "frames.bin"), binary);
+await writeFile(
+  path.join(args.out, "session.json"),
+  JSON.stringify(
+    { ...options, scenario: scenario?.id ?? null, seed, minutes, records: stream.length },
+    null,
+    2
+  )
+);
+
+const modeSeconds = stream.reduce((acc, f) => {
+  acc[f.mode] = (acc[f.mode] || 0) + 1 / displayRate;
+  return acc;
+}, {});
+console.log(
+  `seed ${seed}: ${stream.length} records, ${events.length} events in ${elapsed.toFixed(0)} ms → ${args.out}`
+);
+console.log(
+  Object.entries(modeSeconds)
+    .map(([m, s]) => `${m} ${s.toFixed(0)}s`)
+    .join(", ")
+);
@@ -14,6 +14,64 @@ import {
   Bar,
 } from "recharts";
 import VisualizationPane from "./Visualization3D";
+import ProfilesPane from "./ProfilesPane";
+import FaultsPane from "./FaultsPane";
+import SourcePanel from "./SourcePanel";
+import SessionPanel, { formatClock } from "./SessionPanel";
+import CounterfactualPane from "./CounterfactualPane";
+import CalibrationPane from "./CalibrationPane";
+import SpectraPane from "./SpectraPane";
+import FiltersPane from "./FiltersPane";
+import RulesEditor from "./RulesEditor";
+import RlPane from "./RlPane";
+import ComparePane from "./ComparePane";
+import HapticsPane from "./HapticsPane";
+import { randomSeed } from "./rng";
+import { defaultRules, IDLE_MESSAGE, PARAM_FIELDS, rulePolicy } from "./policy";
+import { serializeRules } from "./rules";
+import { DISPLAY_RATES_HZ } from "./decimate";
+import { encodeRecords } from "./sample-codec";
+import { convertCounts, frameCounts, scalingHeader, unitOf } from "./adc";
+import { defaultDspConfig } from "./dsp";
+import { FILTER_CHANNELS } from "./filters";
+import { ADAPTIVE_STRATEGIES, defaultAdaptiveConfig } from "./difficulty";
+import { createLearnedPolicy, createLearner } from "./rl";
+import {
+  defaultPatterns,
+  encodeLibrary,
+  hapticFirings,
+  libraryHeader,
+} from "./haptics";
+import { bundledScenarios, parseScenario } from "./scenarios";
+import { createSimulation, defaultSensors } from "./simulation";
+import { createLinkStats, createLiveSession } from "./live";
+import {
+  connectSerial,
+  createMockSerialPort,
+  requestSerialPort,
+  serialSupported,
+} from "./serial";
+import {
+  bluetoothSupported,
+  connectBle,
+  createFakePeripheral,
+  webBluetoothTransport,
+} from "./ble";
+import { connectWebSocket, DEFAULT_WS_URL } from "./websocket";
+import {
+  createRecorder,
+  entryStep,
+  parseRecording,
+  serializeRecording,
+  withIndex,
+} from "./recording";
+import {
+  duplicateProfile,
+  loadProfiles,
+  newProfileId,
+  normalizeProfile,
+  saveProfiles,
+} from "./profiles";
 
 /**
  * Interactive Bi‑Directional Coaching System — Concept Simulator
@@ -29,56 +87,52 @@ import VisualizationPane from "./Visualization3D";
  */
 
 // ---------- Utilities ----------
-const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
-const rnd = (m = 1, v = 0.2) => m + (Math.random() - 0.5) * 2 * v; // mean +/‑ variance
-
-const defaultPose = {
-  wrist: { flexion: 0, rotation: 0, fingers: [0, 0, 0] },
-  leg: { knee: 0, ankle: 0 },
+// Simple CSV exporter
+// RFC 4180: fields holding a comma, quote or line break are quoted, with
+// quotes doubled. Rule messages are user-edited, so any of them can occur.
+const csvField = (v) => {
+  const s = String(v ?? "");
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
 };
 
-function poseToSensors(pose, userMaxGrip = 60) {
-  const wristFlex = pose?.wrist?.flexion ?? 0;
-  const knee = pose?.leg?.knee ?? 0;
-  const ankle = pose?.leg?.ankle ?? 0;
-  const fingers = pose?.wrist?.fingers ?? [0, 0, 0];
+function exportCSV(rows, filename = "coaching_log.csv") {
+  const header = Object.keys(rows[0] || {}).map(csvField).join(",");
+  const lines = rows.map((r) => Object.values(r).map(csvField).join(","));
+  const csv = [header, ...lines].join("\n");
+  download(new Blob([csv], { type: "text/csv;charset=utf-8;" }), filename);
+}
 
-  const strain = [
-    clamp(0.5 + (wristFlex / 110) * 0.35, 0, 1),
-    clamp(0.5 + (knee / 130) * 0.35, 0, 1),
-    clamp(0.5 + (ankle / 80) * 0.35, 0, 1),
-  ];
-  const fsr = fingers.map((f) =>
-    clamp(((fingers.length ? f : 0) / 90) * (userMaxGrip / 2), 0, userMaxGrip / 2)
+function exportSession(recorder, filename) {
+  download(
+    new Blob([serializeRecording(recorder.entries, recorder.meta)], { type: "application/json" }),
+    filename
   );
-  const grip = clamp(
-    fsr.reduce((acc, v) => acc + v, 0) * 0.6,
-    0,
-    userMaxGrip
+}
+
+// Raw frames behind the buffered records, packed as firmware sample_t
+function exportSampleFrames(records, filename = "frames.bin") {
+  download(
+    new Blob([encodeRecords(records)], { type: "application/octet-stream" }),
+    filename
   );
-  return { strain, fsr, grip };
 }
 
-function derivePoseFromSensors(strain, fsr, emgEnv, resp) {
-  return {
-    wrist: {
-      flexion: ((strain?.[0] ?? 0.5) - 0.5) * 120,
-      rotation: ((emgEnv ?? 0.35) - 0.35) * 120,
-      fingers: (fsr || []).map((v) => clamp((v / 30) * 90, 0, 95)),
-    },
-    leg: {
-      knee: ((strain?.[1] ?? 0.5) - 0.5) * 140,
-      ankle: ((strain?.[2] ?? 0.5) - 0.5) * 90 + ((resp ?? 0.6) - 0.6) * 40,
-    },
-  };
+// Motor firings are kept this far back, twice the actuator timeline's span.
+const FIRING_KEEP_S = 120;
+
+// Firings up to replay entry i, from the decisions it recorded.
+function replayFirings(entries, i) {
+  const now = entries[i].record.t;
+  let start = i;
+  while (start > 0 && entries[start - 1].record.t >= now - FIRING_KEEP_S) start -= 1;
+  // The entry before the window only primes the actuator.
+  const decisions = entries
+    .slice(Math.max(0, start - 1), i + 1)
+    .map((e) => ({ t: e.record.t, ...e.decision }));
+  return hapticFirings(decisions).filter((f) => f.t >= entries[start].record.t);
 }
 
-// Simple CSV exporter
-function exportCSV(rows, filename = "coaching_log.csv") {
-  const header = Object.keys(rows[0] || {}).join(",");
-  const lines = rows.map((r) => Object.values(r).join(","));
-  const csv = [header, ...lines].join("\n");
-  const blob = new Blob([csv], { type: "text/csv;charset=utf-8;" });
+function download(blob, filename) {
   const url = URL.createObjectURL(blob);
   const a = document.createElement("a");
   a.href = url;
@@ -87,22 +141,48 @@ function exportCSV(rows, filename = "coaching_log.csv") {
   URL.revokeObjectURL(url);
 }
 
-// ---------- Fake user model ----------
-const defaultUserModel = {
-  name: "Demo User",
-  hrRest: 72,
-  rrRest: 12, // breaths per minute
-  tremorBase: 0.15,
-  gripMax: 60, // Newtons
-  smoothnessBase: 0.7,
+// ---------- Live transports ----------
+// `open({ mock, device, url }, handlers)` resolves to a connection with
+// close(); `device` configures the in-browser stand-in used when `mock` is
+// set. WebSocket has no in-browser mock — run `npm run mock-device`.
+const liveTransports = {
+  serial: {
+    label: "USB serial",
+    supported: serialSupported,
+    mock: true,
+    open: async ({ mock, device }, handlers) =>
+      connectSerial(mock ? createMockSerialPort(device) : await requestSerialPort(), handlers),
+  },
+  ble: {
+    label: "Bluetooth",
+    supported: bluetoothSupported,
+    mock: true,
+    open: ({ mock, device }, handlers) =>
+      connectBle(mock ? createFakePeripheral(device) : webBluetoothTransport(), handlers),
+  },
+  websocket: {
+    label: "WebSocket",
+    supported: () => typeof WebSocket !== "undefined",
+    url: true,
+    open: ({ url }, handlers) => connectWebSocket(url, handlers),
+  },
 };
 
 // ---------- Tabs ----------
 const tabs = [
   { id: "overview", label: "Overview" },
+  { id: "profiles", label: "Profiles" },
+  { id: "calibration", label: "Calibration" },
   { id: "layout", label: "Sensor Layout" },
   { id: "signals", label: "Signals" },
+  { id: "imu", label: "IMU Analysis" },
   { id: "logic", label: "Coaching Logic" },
+  { id: "haptics", label: "Haptics" },
+  { id: "whatif", label: "What-if Re-run" },
+  { id: "rl", label: "RL Sandbox" },
+  { id: "compare", label: "A/B Compare" },
+  { id: "filters", label: "Filters" },
+  { id: "faults", label: "Fault Injection" },
   { id: "log", label: "Data Log" },
   { id: "viz", label: "3D Visualization" },
 ];
@@ -112,7 +192,19 @@ export default function App() {
   const [active, setActive] = useState("overview");
   const [running, setRunning] = useState(false);
   const [time, setTime] = useState(0);
-  const [user] = useState(defaultUserModel);
+  const [profileStore, setProfileStore] = useState(loadProfiles); // {profiles, activeId}
+  const user = useMemo(
+    () =>
+      profileStore.profiles.find((p) => p.id === profileStore.activeId) ??
+      profileStore.profiles[0],
+    [profileStore]
+  );
+  const [seed, setSeed] = useState(randomSeed);
+  const [seedDraft, setSeedDraft] = useState(seed); // the input, committed on blur or Enter
+  useEffect(() => setSeedDraft(seed), [seed]);
+  const [displayRate, setDisplayRate] = useState(1); // records per second
+  const [scenarios, setScenarios] = useState(bundledScenarios);
+  const [scenario, setScenario] = useState(null); // active script, or free-running
   const [layoutPoints, setLayoutPoints] = useState([
     { id: "shoulder", x: 110, y: 70 },
     { id: "bicep", x: 170, y: 90 },
@@ -123,116 +215,205 @@ export default function App() {
     { id: "resp", x: 80, y: 110 },
   ]);
 
-  // Enabled sensors
-  const [sensors, setSensors] = useState({
-    tpuForearm: true,
-    tpuBicep: true,
-    tpuShoulder: true,
-    forcePads: true,
-    imu: true,
-    ppg: true,
-    resp: true,
-    haptic: true,
-  });
-
-  // Thresholds / policy params
-  const [params, setParams] = useState({
-    tremorWarn: 0.35,
-    tremorRest: 0.55,
-    smoothMin: 0.45,
-    gripTarget: 18,
-    hrCeiling: 120,
-    rrCeiling: 20,
-    difficulty: 1.0,
-  });
+  // Enabled sensors, and the faults injected into each
+  const [sensors, setSensors] = useState(defaultSensors);
+  const [faults, setFaults] = useState({}); // {sensor: [fault, …]}
+  const [dsp, setDsp] = useState(defaultDspConfig); // IMU analysis windows/metric
+  const [filters, setFilters] = useState({}); // {sensor: [filter, …]}
+  const [rules, setRules] = useState(defaultRules); // coaching rule set
+  const [patterns, setPatterns] = useState(defaultPatterns); // haptic library the rules play
+  const [adaptive, setAdaptive] = useState(defaultAdaptiveConfig); // difficulty controller
+  // Which policy the coach runs: the rules, or the learner from the RL pane
+  const [learner, setLearner] = useState(() => createLearner());
+  const [policyKind, setPolicyKind] = useState("rules"); // rules | learned
+  const policy = useMemo(
+    () => (policyKind === "learned" ? createLearnedPolicy(learner) : rulePolicy),
+    [policyKind, learner]
+  );
+
+  // Thresholds / policy params, seeded from the active profile
+  const [params, setParams] = useState(() => user.params);
+  // What the RL pane trains against
+  const trainingSession = useMemo(
+    () => ({ user, params, sensors, scenario, rules, seed }),
+    [user, params, sensors, scenario, rules, seed]
+  );
+  // What the A/B pane runs its arms on
+  const comparisonSession = useMemo(
+    () => ({ user, params, sensors, scenario, faults, adaptive, rules, seed }),
+    [user, params, sensors, scenario, faults, adaptive, rules, seed]
+  );
+
+  useEffect(() => saveProfiles(profileStore), [profileStore]);
 
   // Simulated streams
   const [stream, setStream] = useState([]); // {t, smooth, tremor, grip, hr, rr}
-  const [message, setMessage] = useState("Coach idle. Press Start.");
+  const [message, setMessage] = useState(IDLE_MESSAGE);
   const [mode, setMode] = useState("IDLE"); // IDLE | COACHING | REST
+  const [firedRule, setFiredRule] = useState(null); // id of the rule behind `mode`
+  const [rest, setRest] = useState(null); // REST countdown, see coach.js
+  const [firings, setFirings] = useState([]); // motor firings {t, rule, pattern}, see haptics.js
   const [notes, setNotes] = useState([]); // log lines
   const [demoActive, setDemoActive] = useState(false);
 
+  // Where records come from: the simulator, the sleeve over a transport,
+  // or a loaded recording
+  const [source, setSource] = useState("sim"); // sim | live | replay
+  const [transport, setTransport] = useState("serial"); // key of liveTransports
+  const [wsUrl, setWsUrl] = useState(DEFAULT_WS_URL);
+  const [link, setLink] = useState({ status: "disconnected", error: null, stats: null, mock: false });
+
   const tickRef = useRef(null);
+  const holdRef = useRef(null); // overrides the calibration wizard holds on every tick
+  const simRef = useRef(null);
+  const liveRef = useRef(null);
+  const linkRef = useRef(null); // {connection, stats}
+  const stepRef = useRef(null);
+
+  // Every step of the current session is recorded; Reset keeps the last one.
+  const recorderRef = useRef(null);
+  const previousRef = useRef(null);
+  if (!recorderRef.current) recorderRef.current = createRecorder();
+  const [recorded, setRecorded] = useState({ count: 0, seconds: 0, label: "" });
+
+  // Replay of a recording: {name, meta, entries, notes, noteCounts}
+  const [replay, setReplay] = useState(null);
+  const [cursor, setCursor] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+  const cursorRef = useRef(0);
+  const anchorRef = useRef(null); // {wall, t}: playback clock origin
+  cursorRef.current = cursor;
+  if (!simRef.current) {
+    simRef.current = createSimulation({
+      user,
+      params,
+      sensors,
+      seed,
+      displayRate,
+      scenario,
+      faults,
+      dsp,
+      filters,
+      rules,
+      adaptive,
+      policy,
+    });
+  }
+
+  if (!liveRef.current) {
+    liveRef.current = createLiveSession({
+      user,
+      params,
+      sensors,
+      displayRate,
+      dsp,
+      filters,
+      rules,
+      adaptive,
+      policy,
+      onStep: (step) => stepRef.current(step),
+    });
+  }
+
+  useEffect(() => {
+    simRef.current.configure({
+      user,
+      params,
+      sensors,
+      displayRate,
+      scenario,
+      faults,
+      dsp,
+      filters,
+      rules,
+      adaptive,
+      policy,
+    });
+  }, [user, params, sensors, displayRate, scenario, faults, dsp, filters, rules, adaptive, policy]);
+
+  useEffect(() => {
+    liveRef.current.configure({
+      user,
+      params,
+      sensors,
+      displayRate,
+      running,
+      dsp,
+      filters,
+      rules,
+      adaptive,
+      policy,
+    });
+  }, [user, params, sensors, displayRate, running, dsp, filters, rules, adaptive, policy]);
+
+  // Simulator and live device report through here, one record at a time.
+  const applyStep = useCallback(
+    (step) => {
+      const { frame, decision, note, firing } = step;
+      const recorder = recorderRef.current;
+      if (!recorder.length) {
+        recorder.meta = {
+          seed,
+          source: source === "sim" ? "simulator" : transport,
+          displayRate,
+          scenario: scenario?.id ?? null,
+          user,
+          params,
+          sensors,
+          faults,
+          dsp,
+          filters,
+          rules,
+          patterns,
+          adaptive,
+          policy: policyKind,
+        };
+      }
+      recorder.add(step);
+      setRecorded({ count: recorder.length, seconds: frame.t, label: "This session" });
+      setTime(frame.t + 1 / displayRate);
+      setStream((arr) => [...arr.slice(-180), frame]);
+      setMode(decision.mode);
+      setMessage(decision.message);
+      setFiredRule(decision.rule ?? null);
+      setRest(decision.rest ?? null);
+      if (firing) setFirings((f) => [...f.filter((x) => x.t >= frame.t - FIRING_KEEP_S), firing]);
+      if (note) setNotes((n) => [...n, note]);
+    },
+    [
+      displayRate,
+      seed,
+      source,
+      transport,
+      scenario,
+      user,
+      params,
+      sensors,
+      faults,
+      dsp,
+      filters,
+      rules,
+      patterns,
+      adaptive,
+      policyKind,
+    ]
+  );
+  stepRef.current = applyStep;
 
   const pushFrame = useCallback(
     (overrides = {}) => {
-      setStream((arr) => {
-        const prev = arr[arr.length - 1];
-        const t = prev ? prev.t + 1 : 0;
-        const smooth =
-          overrides.smooth ??
-          clamp(rnd(user.smoothnessBase, 0.15) * params.difficulty, 0, 1);
-        const tremor =
-          overrides.tremor ??
-          clamp(rnd(user.tremorBase, 0.2) * (1.15 - smooth), 0, 1);
-        const emgEnv =
-          overrides.emgEnv ??
-          clamp(rnd(0.35, 0.12) * (smooth < 0.55 ? 1.2 : 0.9), 0, 1);
-
-        let strain =
-          overrides.strain ?? [
-            clamp(rnd(0.46, 0.08), 0, 1), // wrist bridge
-            clamp(rnd(0.52, 0.08), 0, 1), // elbow/knee bridge
-            clamp(rnd(0.58, 0.08), 0, 1), // shoulder/ankle bridge
-          ];
-        let grip =
-          overrides.grip ??
-          clamp(
-            rnd(params.gripTarget, 6) *
-              (sensors.forcePads ? 1 : 0) *
-              (mode === "REST" ? 0.6 : 1),
-            0,
-            user.gripMax
-          );
-        let fsr =
-          overrides.fsr ?? [
-            clamp(grip * 0.45 + rnd(4, 2), 0, user.gripMax / 2),
-            clamp(grip * 0.35 + rnd(3, 2), 0, user.gripMax / 2),
-            clamp(rnd(16, 6), 0, 45),
-          ];
-
-        const hr =
-          overrides.hr ??
-          clamp(
-            rnd(
-              user.hrRest + params.difficulty * 25 * (smooth < 0.55 ? 1 : 0.6),
-              4
-            ),
-            50,
-            200
-          );
-        const rr =
-          overrides.rr ??
-          clamp(rnd(user.rrRest + (hr - user.hrRest) / 20, 1.4), 6, 35);
-        const resp = overrides.resp ?? clamp(rnd(0.55, 0.1) * (rr / 18), 0, 1.2);
-
-        let pose = overrides.pose;
-        if (pose && overrides.usePoseSensors) {
-          const mapped = poseToSensors(pose, user.gripMax);
-          strain = overrides.strain ?? mapped.strain;
-          fsr = overrides.fsr ?? mapped.fsr;
-          grip = overrides.grip ?? mapped.grip;
-        }
-        if (!pose) {
-          pose = derivePoseFromSensors(strain, fsr, emgEnv, resp);
-        }
-
-        const rec = { t, smooth, tremor, strain, emgEnv, fsr, resp, grip, hr, rr, pose };
-        return [...arr.slice(-180), rec];
-      });
+      if (source !== "sim") return;
+      applyStep(simRef.current.step(overrides, { running }));
     },
-    [mode, params, sensors.forcePads, user]
+    [running, source, applyStep]
   );
 
   useEffect(() => {
-    if (!running) return;
-    tickRef.current = setInterval(() => {
-      setTime((t) => t + 1);
-      pushFrame();
-    }, 1000);
+    if (!running || source !== "sim") return;
+    tickRef.current = setInterval(() => pushFrame(holdRef.current ?? undefined), 1000 / displayRate);
     return () => clearInterval(tickRef.current);
-  }, [running, pushFrame]);
+  }, [running, source, pushFrame, displayRate]);
 
   useEffect(() => {
     if (!demoActive) return;
@@ -256,86 +437,229 @@ export default function App() {
     return () => clearInterval(handle);
   }, [demoActive, pushFrame]);
 
-  // Coaching policy — simple rule engine with mode transitions
-  useEffect(() => {
-    const last = stream[stream.length - 1];
-    if (!last) return;
-
-    let nextMode = mode;
-    let coach = "";
-
-    // Health safety gates
-    if (
-      (sensors.ppg && last.hr > params.hrCeiling) ||
-      (sensors.resp && last.rr > params.rrCeiling)
-    ) {
-      nextMode = "REST";
-      coach = "Heart/resp high — pause and breathe";
-    }
-    // Tremor gating
-    else if (sensors.tpuForearm && last.tremor > params.tremorRest) {
-      nextMode = "REST";
-      coach = "Tremor elevated — guided rest";
-    }
-    // Coaching
-    else if (running) {
-      nextMode = "COACHING";
-      if (last.smooth < params.smoothMin) coach = "Slow down, lengthen exhale";
-      else if (Math.abs(last.grip - params.gripTarget) > 8)
-        coach = "Match both hands gently";
-      else if (last.tremor > params.tremorWarn)
-        coach = "Micro‑break: shake out wrist";
-      else coach = "Nice form — adding tiny challenge";
-    } else {
-      nextMode = "IDLE";
-      coach = "Coach idle. Press Start.";
-    }
-
-    // Haptic suggestion text (if enabled)
-    if (sensors.haptic && nextMode !== "IDLE") {
-      coach += " • Haptic cue: 200 ms pulse";
-    }
-
-    setMode(nextMode);
-    setMessage(coach);
-
-    // Log when advice changes materially or every ~15s
-    if (
-      stream.length % 15 === 0 ||
-      coach.includes("pause") ||
-      coach.includes("Nice")
-    ) {
-      setNotes((n) => [
-        ...n,
-        {
-          ts: new Date().toISOString(),
-          mode: nextMode,
-          msg: coach,
-          smooth: last.smooth.toFixed(2),
-          tremor: last.tremor.toFixed(2),
-          grip: last.grip.toFixed(1),
-          hr: Math.round(last.hr),
-          rr: Math.round(last.rr),
-        },
-      ]);
-    }
-  }, [stream, running, sensors, params, mode]);
-
   const start = () => {
+    if (source === "replay") return playReplay();
     setRunning(true);
   };
   const stop = () => {
+    if (source === "replay") return setPlaying(false);
     setRunning(false);
     setDemoActive(false);
+    simRef.current.stop();
+    liveRef.current.stop();
     setMode("IDLE");
-    setMessage("Coach idle. Press Start.");
+    setMessage(IDLE_MESSAGE);
   };
-  const reset = () => {
+  const reset = (nextSeed = seed) => {
+    if (source === "replay") return seekReplay(0);
+    const recorder = recorderRef.current;
+    if (recorder.length) {
+      previousRef.current = recorder;
+      recorderRef.current = createRecorder();
+      setRecorded((r) => ({ ...r, label: "Previous session" }));
+    }
+    simRef.current.reset(nextSeed);
+    liveRef.current.reset();
     setStream([]);
     setNotes([]);
+    setFirings([]);
     setTime(0);
     setDemoActive(false);
   };
+  const changeSeed = (nextSeed) => {
+    setSeed(nextSeed);
+    reset(nextSeed);
+  };
+  // A changed seed restarts the session, so typing only takes effect once
+  // committed; an empty seed reverts.
+  const commitSeed = () => {
+    const next = seedDraft.trim();
+    if (next && next !== seed) changeSeed(next);
+    else setSeedDraft(seed);
+  };
+  // Scenarios are scripted against session time, so picking one restarts it.
+  const pickScenario = (next) => {
+    stop();
+    setScenario(next);
+    reset();
+  };
+  const loadScenario = (loaded) => {
+    setScenarios((list) => [...list.filter((s) => s.id !== loaded.id), loaded]);
+    pickScenario(loaded);
+  };
+
+  // Pause once the script has played out.
+  useEffect(() => {
+    if (source === "sim" && running && scenario && time >= scenario.duration) stop();
+  }, [source, running, scenario, time]);
+
+  // ---------- Recording & replay ----------
+  const keptRecording = () =>
+    recorderRef.current.length ? recorderRef.current : previousRef.current;
+
+  const showReplay = useCallback((rec, i) => {
+    const { entries, notes, noteCounts } = rec;
+    const step = entryStep(entries[i]);
+    setStream([...entries.slice(Math.max(0, i - 180), i).map((e) => e.record), step.frame]);
+    setNotes(notes.slice(0, noteCounts[i]));
+    setMode(step.decision.mode);
+    setMessage(step.decision.message);
+    setFiredRule(step.decision.rule ?? null);
+    setRest(null);
+    setFirings(replayFirings(entries, i));
+    setTime(step.frame.t);
+  }, []);
+
+  useEffect(() => {
+    if (source === "replay" && replay) showReplay(replay, cursor);
+  }, [source, replay, cursor, showReplay]);
+
+  // Playback follows the recording's own clock, so rate changes mid-session
+  // and dropped records replay at their true pace.
+  useEffect(() => {
+    if (source !== "replay" || !replay || !playing) return;
+    const { entries } = replay;
+    anchorRef.current = { wall: performance.now(), t: entries[cursorRef.current].record.t };
+    const handle = setInterval(() => {
+      const { wall, t } = anchorRef.current;
+      const due = t + ((performance.now() - wall) / 1000) * speed;
+      let i = cursorRef.current;
+      while (i < entries.length - 1 && entries[i + 1].record.t <= due) i += 1;
+      if (i !== cursorRef.current) setCursor(i);
+      if (i >= entries.length - 1) setPlaying(false);
+    }, 40);
+    return () => clearInterval(handle);
+  }, [source, replay, playing, speed]);
+
+  const seekReplay = (i) => {
+    if (!replay) return;
+    const next = Math.max(0, Math.min(replay.entries.length - 1, i));
+    anchorRef.current = { wall: performance.now(), t: replay.entries[next].record.t };
+    setCursor(next);
+  };
+  const stepReplay = (delta) => {
+    setPlaying(false);
+    seekReplay(cursor + delta);
+  };
+  const playReplay = () => {
+    if (!replay) return;
+    if (cursor >= replay.entries.length - 1) setCursor(0);
+    setPlaying(true);
+  };
+  const startReplay = (rec) => {
+    if (source !== "replay") {
+      stop();
+      disconnect();
+      reset();
+    }
+    setSource("replay");
+    setReplay(rec);
+    setPlaying(false);
+    setCursor(0);
+  };
+  const loadRecording = (name, buffer) => {
+    const coach = { user, params, sensors, displayRate, dsp, filters, rules, adaptive, policy };
+    startReplay({ name, ...parseRecording(name, buffer, coach) });
+  };
+  const replayRecorded = () => {
+    const rec = keptRecording();
+    if (rec) startReplay({ name: "Recorded session", ...withIndex(rec.meta, [...rec.entries]) });
+  };
+
+  // ---------- Live device ----------
+  const disconnect = async () => {
+    const current = linkRef.current;
+    linkRef.current = null;
+    await current?.connection?.close();
+  };
+  const connect = async ({ mock }) => {
+    await disconnect();
+    const stats = createLinkStats();
+    linkRef.current = { stats };
+    setLink({ status: "connecting", error: null, stats: stats.snapshot(), mock });
+    const onStatus = (status, err) => {
+      // BLE and WebSocket links reconnect by themselves; the sleeve may have
+      // rebooted meanwhile, so its clock is not trusted across the gap.
+      if (status === "reconnecting") liveRef.current.resync();
+      setLink((l) => ({ ...l, status, error: err ? err.message : null }));
+    };
+    try {
+      liveRef.current.reset();
+      const connection = await liveTransports[transport].open(
+        { mock, device: { seed, user, params, sensors }, url: wsUrl },
+        { stats, onFrame: (frame) => liveRef.current.push(frame), onStatus }
+      );
+      if (linkRef.current?.stats === stats) linkRef.current.connection = connection;
+      else connection.close(); // superseded while the port was opening
+    } catch (err) {
+      // Dismissing the browser's device picker is not an error worth showing.
+      const dismissed = err.name === "NotFoundError";
+      linkRef.current = null;
+      setLink((l) => ({
+        ...l,
+        status: dismissed ? "disconnected" : "error",
+        error: dismissed ? null : err.message,
+      }));
+    }
+  };
+  const pickSource = (next) => {
+    if (next === source) return;
+    stop();
+    disconnect();
+    setSource(next);
+    if (source !== "replay") reset();
+    else {
+      setStream([]);
+      setNotes([]);
+      setFirings([]);
+      setTime(0);
+      setMode("IDLE");
+      setMessage(IDLE_MESSAGE);
+    }
+  };
+  const pickTransport = (next) => {
+    disconnect();
+    setTransport(next);
+  };
+
+  // Link counters are sampled, not pushed, so a stalled device reads 0 fps.
+  useEffect(() => {
+    if (link.status !== "connected" && link.status !== "reconnecting") return;
+    const handle = setInterval(() => {
+      const stats = linkRef.current?.stats;
+      if (stats) setLink((l) => ({ ...l, stats: stats.snapshot() }));
+    }, 500);
+    return () => clearInterval(handle);
+  }, [link.status]);
+
+  useEffect(() => () => void disconnect(), []);
+
+  // ---------- Profile management ----------
+  const activateProfile = (id) => {
+    const next = profileStore.profiles.find((p) => p.id === id);
+    if (!next) return;
+    setProfileStore((s) => ({ ...s, activeId: id }));
+    setParams(next.params);
+  };
+  const updateProfile = (profile) =>
+    setProfileStore((s) => ({
+      ...s,
+      profiles: s.profiles.map((p) => (p.id === profile.id ? profile : p)),
+    }));
+  const addProfile = (profile) => {
+    setProfileStore((s) => ({ profiles: [...s.profiles, profile], activeId: profile.id }));
+    setParams(profile.params);
+  };
+  const deleteProfile = (profile) => {
+    const remaining = profileStore.profiles.filter((p) => p.id !== profile.id);
+    if (!remaining.length) return;
+    const activeId =
+      profileStore.activeId === profile.id ? remaining[0].id : profileStore.activeId;
+    setProfileStore({ profiles: remaining, activeId });
+    if (activeId !== profileStore.activeId) {
+      setParams(remaining[0].params);
+    }
+  };
 
   const injectPose = useCallback(
     (pose) => {
@@ -352,22 +676,56 @@ export default function App() {
             Bi‑Directional Coaching — Interactive Concept
           </span>
           <span className="ml-auto flex items-center gap-2">
+            <label className="flex items-center gap-1 text-sm">
+              <span className="text-slate-500">Seed</span>
+              <input
+                value={seedDraft}
+                onChange={(e) => setSeedDraft(e.target.value)}
+                onBlur={commitSeed}
+                onKeyDown={(e) => e.key === "Enter" && e.currentTarget.blur()}
+                disabled={running}
+                className="w-28 border rounded-lg px-2 py-1 font-mono text-xs disabled:opacity-40"
+              />
+            </label>
+            <label className="flex items-center gap-1 text-sm">
+              <span className="text-slate-500">Rate</span>
+              <select
+                value={displayRate}
+                onChange={(e) => setDisplayRate(Number(e.target.value))}
+                className="border rounded-lg px-1 py-1 text-xs"
+                title="Display/policy rate; sensors are always simulated at 200 Hz"
+              >
+                {DISPLAY_RATES_HZ.map((r) => (
+                  <option key={r} value={r}>
+                    {r} Hz
+                  </option>
+                ))}
+              </select>
+            </label>
+            <button
+              onClick={() => changeSeed(randomSeed())}
+              className="px-2 py-1.5 rounded-xl bg-slate-100 text-sm disabled:opacity-40"
+              disabled={running}
+              title="Pick a new random seed"
+            >
+              New seed
+            </button>
             <button
               onClick={start}
               className="px-3 py-1.5 rounded-xl bg-emerald-600 text-white disabled:opacity-40"
-              disabled={running}
+              disabled={source === "replay" ? playing : running}
             >
               Start
             </button>
             <button
               onClick={stop}
               className="px-3 py-1.5 rounded-xl bg-rose-600 text-white disabled:opacity-40"
-              disabled={!running}
+              disabled={source === "replay" ? !playing : !running}
             >
               Pause
             </button>
             <button
-              onClick={reset}
+              onClick={() => reset()}
               className="px-3 py-1.5 rounded-xl bg-slate-200"
             >
               Reset
@@ -398,6 +756,47 @@ export default function App() {
             </ul>
           </nav>
 
+          <SourcePanel
+            source={source}
+            onSource={pickSource}
+            canReplay={!!replay}
+            transports={liveTransports}
+            transport={transport}
+            onTransport={pickTransport}
+            url={wsUrl}
+            onUrl={setWsUrl}
+            link={link}
+            onConnect={connect}
+            onDisconnect={disconnect}
+          />
+
+          <SessionPanel
+            recorded={recorded}
+            onExport={() => {
+              const rec = keptRecording();
+              if (rec) exportSession(rec, `session_seed-${rec.meta.seed}.json`);
+            }}
+            onReplayRecorded={replayRecorded}
+            onLoad={loadRecording}
+            replay={source === "replay" ? replay : null}
+            cursor={cursor}
+            playing={playing}
+            speed={speed}
+            onPlay={playReplay}
+            onPause={() => setPlaying(false)}
+            onSeek={seekReplay}
+            onStep={stepReplay}
+            onSpeed={setSpeed}
+          />
+
+          <ScenarioPanel
+            scenarios={scenarios}
+            scenario={scenario}
+            time={time}
+            onPick={pickScenario}
+            onLoad={loadScenario}
+          />
+
           <section className="bg-white rounded-2xl shadow-sm border border-slate-200 p-4 space-y-3">
             <h3 className="font-semibold">Sensors</h3>
             {Object.entries(sensors).map(([k, v]) => (
@@ -418,20 +817,16 @@ export default function App() {
 
           <section className="bg-white rounded-2xl shadow-sm border border-slate-200 p-4 space-y-4">
             <h3 className="font-semibold">Policy Parameters</h3>
-            {[
-              ["tremorWarn", 0, 1, 0.01],
-              ["tremorRest", 0, 1, 0.01],
-              ["smoothMin", 0, 1, 0.01],
-              ["gripTarget", 0, 60, 1],
-              ["hrCeiling", 80, 180, 1],
-              ["rrCeiling", 10, 35, 1],
-              ["difficulty", 0.6, 1.8, 0.01],
-            ].map(([key, min, max, step]) => (
+            {PARAM_FIELDS.map(([key, min, max, step]) => (
               <div key={key.toString()} className="grid gap-1">
                 <div className="flex justify-between text-sm">
                   <span className="capitalize">{key.toString()}</span>
                   <span className="font-mono">
                     {params[key].toFixed(step < 1 ? 2 : 0)}
+                    {key === "difficulty" &&
+                      adaptive.strategy !== "off" &&
+                      stream.length > 0 &&
+                      ` → ${stream[stream.length - 1].difficulty?.toFixed(2) ?? "—"}`}
                   </span>
                 </div>
                 <input
@@ -450,10 +845,15 @@ export default function App() {
 
           <section className="bg-white rounded-2xl shadow-sm border border-slate-200 p-4">
             <h3 className="font-semibold mb-2">Coach</h3>
+            <div className="text-xs uppercase tracking-wide text-slate-500">
+              Profile
+            </div>
+            <div className="mb-2 text-sm">{user.name}</div>
             <div className="text-xs uppercase tracking-wide text-slate-500">
               Mode
             </div>
             <div className="mb-2 font-semibold">{mode}</div>
+            {mode === "REST" && rest && <RestCountdown rest={rest} />}
             <div className="rounded-xl bg-slate-900 text-white p-3 text-sm min-h-[64px]">
               {message}
             </div>
@@ -463,11 +863,43 @@ export default function App() {
         {/* Right column: Content panes */}
         <div className="lg:col-span-3 space-y-6">
           {active === "overview" && <OverviewPane />}
+          {active === "profiles" && (
+            <ProfilesPane
+              profiles={profileStore.profiles}
+              activeId={user.id}
+              params={params}
+              onActivate={activateProfile}
+              onChange={updateProfile}
+              onCreate={() =>
+                addProfile(normalizeProfile({ id: newProfileId(), name: "New profile" }))
+              }
+              onDuplicate={(p) => addProfile(duplicateProfile(p))}
+              onDelete={deleteProfile}
+            />
+          )}
+          {active === "calibration" && (
+            <CalibrationPane
+              profile={user}
+              latest={stream[stream.length - 1]}
+              running={source === "replay" ? playing : running}
+              canHold={source === "sim"}
+              onHold={(overrides) => (holdRef.current = overrides)}
+              onSave={(calibration) => updateProfile({ ...user, calibration })}
+            />
+          )}
           {active === "layout" && (
             <LayoutPane points={layoutPoints} setPoints={setLayoutPoints} />
           )}
           {active === "signals" && (
-            <SignalsPane stream={stream} params={params} />
+            <SignalsPane
+              stream={stream}
+              params={params}
+              adaptive={adaptive}
+              setAdaptive={setAdaptive}
+            />
+          )}
+          {active === "imu" && (
+            <SpectraPane stream={stream} dsp={dsp} onChange={setDsp} />
           )}
           {active === "logic" && (
             <LogicPane
@@ -475,13 +907,98 @@ export default function App() {
               params={params}
               sensors={sensors}
               mode={mode}
+              rules={rules}
+              setRules={setRules}
+              fired={firedRule}
+              patterns={patterns}
+              policyKind={policyKind}
+              onExportRules={() =>
+                download(
+                  new Blob([serializeRules(rules)], { type: "application/json" }),
+                  "coach_rules.json"
+                )
+              }
+            />
+          )}
+          {active === "haptics" && (
+            <HapticsPane
+              patterns={patterns}
+              setPatterns={setPatterns}
+              rules={rules}
+              setRules={setRules}
+              firings={firings}
+              time={time}
+              enabled={sensors.haptic}
+              onExportBinary={() =>
+                download(
+                  new Blob([encodeLibrary(patterns)], { type: "application/octet-stream" }),
+                  "haptic_patterns.bin"
+                )
+              }
+              onExportHeader={() =>
+                download(
+                  new Blob([libraryHeader(patterns, rules)], { type: "text/x-c" }),
+                  "haptic_patterns.h"
+                )
+              }
+            />
+          )}
+          {active === "rl" && (
+            <RlPane
+              learner={learner}
+              onNewLearner={(config) => setLearner(createLearner(config))}
+              policyKind={policyKind}
+              setPolicyKind={setPolicyKind}
+              session={trainingSession}
+            />
+          )}
+          {active === "compare" && (
+            <ComparePane
+              session={comparisonSession}
+              onExport={(report) =>
+                download(
+                  new Blob([JSON.stringify(report, null, 2)], { type: "application/json" }),
+                  "coach_comparison.json"
+                )
+              }
+            />
+          )}
+          {active === "whatif" && (
+            <CounterfactualPane
+              recording={source === "replay" ? replay : keptRecording()}
+              revision={source === "replay" ? 0 : recorded.count}
+              params={params}
+              sensors={sensors}
+              rules={rules}
+            />
+          )}
+          {active === "filters" && (
+            <FiltersPane filters={filters} setFilters={setFilters} />
+          )}
+          {active === "faults" && (
+            <FaultsPane
+              faults={faults}
+              setFaults={setFaults}
+              latest={stream[stream.length - 1]}
             />
           )}
           {active === "log" && (
             <LogPane
               notes={notes}
               latest={stream[stream.length - 1]}
-              onExport={() => notes.length && exportCSV(notes)}
+              onExport={() =>
+                notes.length &&
+                exportCSV(
+                  notes.map((n) => ({ seed, ...n })),
+                  `coaching_log_seed-${seed}.csv`
+                )
+              }
+              onExportFrames={() =>
+                stream.length && exportSampleFrames(stream, `frames_seed-${seed}.bin`)
+              }
+              onExportScaling={() =>
+                download(new Blob([scalingHeader()], { type: "text/x-c" }), "adc_scaling.h")
+              }
             />
           )}
           {active === "viz" && (
@@ -489,6 +1006,7 @@ export default function App() {
               latest={stream[stream.length - 1]}
               layoutPoints={layoutPoints}
               sensors={sensors}
+              calibration={user.calibration}
               running={running}
               demoActive={demoActive}
               onToggleDemo={() => setDemoActive((v) => !v)}
@@ -506,6 +1024,65 @@ export default function App() {
   );
 }
 
+// ---------- Scenarios ----------
+
+function ScenarioPanel({ scenarios, scenario, time, onPick, onLoad }) {
+  const [error, setError] = useState("");
+  const progress = scenario ? Math.min(1, time / scenario.duration) : 0;
+
+  const onFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      onLoad(parseScenario(await file.text()));
+      setError("");
+    } catch (err) {
+      setError(`${file.name}: ${err.message}`);
+    }
+  };
+
+  return (
+    <section className="bg-white rounded-2xl shadow-sm border border-slate-200 p-4 space-y-3">
+      <h3 className="font-semibold">Scenario</h3>
+      <select
+        value={scenario?.id ?? ""}
+        onChange={(e) =>
+          onPick(scenarios.find((s) => s.id === e.target.value) ?? null)
+        }
+        className="w-full border rounded-lg px-2 py-1 text-sm"
+      >
+        <option value="">Free-running (no script)</option>
+        {scenarios.map((s) => (
+          <option key={s.id} value={s.id}>
+            {s.name}
+          </option>
+        ))}
+      </select>
+      {scenario && (
+        <>
+          <p className="text-xs text-slate-600">{scenario.description}</p>
+          <div className="h-2 rounded-full bg-slate-100 overflow-hidden">
+            <div
+              className="h-full bg-emerald-500"
+              style={{ width: `${progress * 100}%` }}
+            />
+          </div>
+          <div className="flex justify-between font-mono text-xs text-slate-500">
+            <span>{formatClock(Math.min(time, scenario.duration))}</span>
+            <span>{formatClock(scenario.duration)}</span>
+          </div>
+        </>
+      )}
+      <label className="block text-xs text-slate-600">
+        <span className="underline cursor-pointer">Load scenario JSON…</span>
+        <input type="file" accept="application/json,.json" onChange={onFile} className="hidden" />
+      </label>
+      {error && <div className="text-xs text-rose-600">{error}</div>}
+    </section>
+  );
+}
+
 // ---------- Overview ----------
 function Chip({ children }) {
   return (
@@ -752,8 +1329,43 @@ function TPUTrace({ points }) {
 }
 
 // ---------- Signals ----------
-function SignalsPane({ stream, params }) {
-  const data = useMemo(() => stream.map((d) => ({ ...d, t: d.t })), [stream]);
+function SignalsPane({ stream, params, adaptive, setAdaptive }) {
+  const data = useMemo(
+    () => stream.map((d) => ({ ...d, sqiPpg: d.sqi?.ppg, sqiResp: d.sqi?.resp })),
+    [stream]
+  );
+  // 200 Hz window behind the latest record, thinned 4× for the chart.
+  const wave = useMemo(() => {
+    const frames = stream[stream.length - 1]?.frames;
+    if (!frames) return [];
+    const t0 = frames[0].t_us;
+    return frames
+      .filter((_, i) => i % 4 === 0)
+      .map((f) => ({
+        ms: Math.round((f.t_us - t0) / 1000),
+        ppg: f.ppg,
+        resp: f.resp,
+        gyro: f.imu_gyro[0],
+      }));
+  }, [stream]);
+  // Raw vs filtered for one channel of the latest window.
+  const [overlay, setOverlay] = useState("tpuForearm:0");
+  const compare = useMemo(() => {
+    const last = stream[stream.length - 1];
+    if (!last?.frames) return [];
+    const [sensor, c] = overlay.split(":");
+    const [key, i] = FILTER_CHANNELS[sensor][Number(c)];
+    const read = (f) => (i == null ? f[key] : f[key][i]);
+    const raw = last.unfiltered ?? last.frames;
+    const t0 = raw[0].t_us;
+    return raw
+      .map((f, k) => ({
+        ms: Math.round((f.t_us - t0) / 1000),
+        raw: read(f),
+        filtered: read(last.frames[k]),
+      }))
+      .filter((_, k) => k % 2 === 0);
+  }, [stream, overlay]);
   return (
     <section className="bg-white rounded-2xl shadow-sm border border-slate-200 p-4 space-y-6">
       <h2 className="text-lg font-semibold">Real‑time Signals (simulated)</h2>
@@ -882,10 +1494,290 @@ function SignalsPane({ stream, params }) {
           </LineChart>
         </ResponsiveContainer>
       </ChartCard>
+
+      <ChartCard title="Signal quality (SQI, estimated HR/RR)">
+        <ResponsiveContainer width="100%" height={180}>
+          <LineChart
+            data={data}
+            margin={{ left: 8, right: 16, top: 8, bottom: 8 }}
+          >
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="t" tick={{ fontSize: 12 }} />
+            <YAxis domain={[0, 1]} tick={{ fontSize: 12 }} />
+            <Tooltip />
+            <Legend />
+            <Line
+              type="monotone"
+              dataKey="sqiPpg"
+              name="PPG"
+              stroke="#8b5cf6"
+              dot={false}
+            />
+            <Line
+              type="monotone"
+              dataKey="sqiResp"
+              name="Resp band"
+              stroke="#f59e0b"
+              dot={false}
+            />
+            <ReferenceLine
+              y={params.sqiMin}
+              label="gates ignore below"
+              stroke="#64748b"
+              strokeDasharray="4 4"
+            />
+          </LineChart>
+        </ResponsiveContainer>
+      </ChartCard>
+
+      <ChartCard title="Fatigue (cumulative load vs. recovery)">
+        <ResponsiveContainer width="100%" height={180}>
+          <AreaChart
+            data={data}
+            margin={{ left: 8, right: 16, top: 8, bottom: 8 }}
+          >
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="t" tick={{ fontSize: 12 }} />
+            <YAxis domain={[0, 1]} tick={{ fontSize: 12 }} />
+            <Tooltip />
+            <Area
+              type="monotone"
+              dataKey="fatigue"
+              name="Fatigue"
+              stroke="#64748b"
+              fill="#cbd5e1"
+            />
+          </AreaChart>
+        </ResponsiveContainer>
+      </ChartCard>
+
+      <ChartCard title="Difficulty (adaptive controller)">
+        <AdaptiveControls adaptive={adaptive} setAdaptive={setAdaptive} />
+        <ResponsiveContainer width="100%" height={180}>
+          <LineChart
+            data={data}
+            margin={{ left: 8, right: 16, top: 8, bottom: 8 }}
+          >
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="t" tick={{ fontSize: 12 }} />
+            <YAxis domain={[0.6, 1.8]} tick={{ fontSize: 12 }} />
+            <Tooltip />
+            <Line
+              type="stepAfter"
+              dataKey="difficulty"
+              name="Difficulty"
+              stroke="#0f172a"
+              dot={false}
+            />
+            <ReferenceLine y={adaptive.min} label="min" stroke="#64748b" />
+            <ReferenceLine y={adaptive.max} label="max" stroke="#64748b" />
+          </LineChart>
+        </ResponsiveContainer>
+      </ChartCard>
+
+      <ChartCard title="HRV (RMSSD / SDNN, ms)">
+        <ResponsiveContainer width="100%" height={180}>
+          <LineChart
+            data={data}
+            margin={{ left: 8, right: 16, top: 8, bottom: 8 }}
+          >
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="t" tick={{ fontSize: 12 }} />
+            <YAxis domain={[0, "auto"]} tick={{ fontSize: 12 }} />
+            <Tooltip />
+            <Legend />
+            <Line
+              type="monotone"
+              dataKey="hrv"
+              name="RMSSD"
+              stroke="#ec4899"
+              dot={false}
+            />
+            <Line
+              type="monotone"
+              dataKey="sdnn"
+              name="SDNN"
+              stroke="#14b8a6"
+              dot={false}
+            />
+          </LineChart>
+        </ResponsiveContainer>
+      </ChartCard>
+
+      <ChartCard title="Raw 200 Hz waveforms (latest window)">
+        <ResponsiveContainer width="100%" height={220}>
+          <LineChart
+            data={wave}
+            margin={{ left: 8, right: 16, top: 8, bottom: 8 }}
+          >
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="ms" tick={{ fontSize: 12 }} unit=" ms" />
+            <YAxis yAxisId="left" domain={["auto", "auto"]} tick={{ fontSize: 12 }} />
+            <YAxis
+              yAxisId="right"
+              orientation="right"
+              domain={["auto", "auto"]}
+              tick={{ fontSize: 12 }}
+            />
+            <Tooltip />
+            <Legend />
+            <Line
+              yAxisId="left"
+              type="monotone"
+              dataKey="ppg"
+              name="PPG"
+              stroke="#8b5cf6"
+              dot={false}
+              isAnimationActive={false}
+            />
+            <Line
+              yAxisId="left"
+              type="monotone"
+              dataKey="resp"
+              name="Resp band"
+              stroke="#f59e0b"
+              dot={false}
+              isAnimationActive={false}
+            />
+            <Line
+              yAxisId="right"
+              type="monotone"
+              dataKey="gyro"
+              name="Gyro X (°/s)"
+              stroke="#ef4444"
+              dot={false}
+              isAnimationActive={false}
+            />
+          </LineChart>
+        </ResponsiveContainer>
+      </ChartCard>
+
+      <ChartCard title="Raw vs filtered (latest window)">
+        <div className="flex items-center justify-between text-sm mb-2">
+          <select
+            value={overlay}
+            onChange={(e) => setOverlay(e.target.value)}
+            className="border rounded-lg px-2 py-1"
+          >
+            {Object.entries(FILTER_CHANNELS).flatMap(([sensor, channels]) =>
+              channels.map(([key, i], c) => (
+                <option key={`${sensor}:${c}`} value={`${sensor}:${c}`}>
+                  {sensor.replace(/([A-Z])/g, " $1").toLowerCase()} — {key}
+                  {i != null ? `[${i}]` : ""}
+                </option>
+              ))
+            )}
+          </select>
+          {!stream[stream.length - 1]?.unfiltered && (
+            <span className="text-xs text-slate-500">No filters active — both traces are raw.</span>
+          )}
+        </div>
+        <ResponsiveContainer width="100%" height={220}>
+          <LineChart
+            data={compare}
+            margin={{ left: 8, right: 16, top: 8, bottom: 8 }}
+          >
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="ms" tick={{ fontSize: 12 }} unit=" ms" />
+            <YAxis domain={["auto", "auto"]} tick={{ fontSize: 12 }} />
+            <Tooltip />
+            <Legend />
+            <Line
+              type="monotone"
+              dataKey="raw"
+              name="Raw"
+              stroke="#94a3b8"
+              dot={false}
+              isAnimationActive={false}
+            />
+            <Line
+              type="monotone"
+              dataKey="filtered"
+              name="Filtered"
+              stroke="#0ea5e9"
+              dot={false}
+              isAnimationActive={false}
+            />
+          </LineChart>
+        </ResponsiveContainer>
+      </ChartCard>
     </section>
   );
 }
 
+// [key, label, step] per controller setting; strategy-specific ones last.
+const adaptiveFields = {
+  common: [
+    ["min", "min", 0.05],
+    ["max", "max", 0.05],
+    ["targetSuccess", "target success", 0.05],
+    ["windowS", "window (s)", 5],
+    ["periodS", "every (s)", 1],
+    ["restPenalty", "per REST entry", 0.05],
+  ],
+  staircase: [
+    ["step", "step", 0.01],
+    ["band", "dead band", 0.01],
+  ],
+  pid: [
+    ["kp", "Kp", 0.05],
+    ["ki", "Ki", 0.005],
+    ["kd", "Kd", 0.05],
+  ],
+};
+
+function AdaptiveControls({ adaptive, setAdaptive }) {
+  const fields =
+    adaptive.strategy === "off"
+      ? []
+      : [...adaptiveFields.common, ...adaptiveFields[adaptive.strategy]];
+  return (
+    <div className="space-y-2 mb-3 text-xs">
+      <div className="flex items-center gap-2 flex-wrap">
+        <span className="text-slate-500">Strategy</span>
+        {ADAPTIVE_STRATEGIES.map((s) => (
+          <button
+            key={s}
+            onClick={() => setAdaptive({ ...adaptive, strategy: s })}
+            className={`px-3 py-1 rounded-lg ${
+              adaptive.strategy === s ? "bg-slate-900 text-white" : "bg-slate-100"
+            }`}
+          >
+            {s}
+          </button>
+        ))}
+        <span className="text-slate-500">
+          {adaptive.strategy === "off"
+            ? "Difficulty follows the slider."
+            : "Starts from the slider; success = smooth ≥ min, grip on target, tremor under warn."}
+        </span>
+      </div>
+      {fields.length > 0 && (
+        <div className="grid grid-cols-3 md:grid-cols-5 gap-2">
+          {fields.map(([key, label, step]) => (
+            <label key={key} className="grid gap-1">
+              <span className="text-slate-500">{label}</span>
+              <input
+                type="number"
+                min={0}
+                step={step}
+                value={adaptive[key]}
+                onChange={(e) => {
+                  const v = Number(e.target.value);
+                  if (e.target.value !== "" && Number.isFinite(v)) {
+                    setAdaptive({ ...adaptive, [key]: v });
+                  }
+                }}
+                className="border rounded-lg px-2 py-1 font-mono"
+              />
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
 function ChartCard({ title, children }) {
   return (
     <div className="border border-slate-200 rounded-2xl p-4">
@@ -911,7 +1803,17 @@ function ReferenceLine({
 }
 
 // ---------- Coaching Logic ----------
-function LogicPane({ stream, params, sensors, mode }) {
+function LogicPane({
+  stream,
+  params,
+  mode,
+  rules,
+  setRules,
+  fired,
+  patterns,
+  policyKind,
+  onExportRules,
+}) {
   const last = stream[stream.length - 1];
 
   return (
@@ -931,31 +1833,42 @@ function LogicPane({ stream, params, sensors, mode }) {
               grip: <b>{last?.grip?.toFixed(1) ?? "—"}</b> N
             </li>
             <li className="p-2 bg-slate-50 rounded-lg">
-              HR: <b>{last ? Math.round(last.hr) : "—"}</b>
+              HR: <b>{last?.hr != null ? Math.round(last.hr) : "—"}</b>
             </li>
             <li className="p-2 bg-slate-50 rounded-lg">
-              RR: <b>{last ? Math.round(last.rr) : "—"}</b>
+              RR: <b>{last?.rr != null ? Math.round(last.rr) : "—"}</b>
             </li>
-          </ul>
-        </div>
-        <div className="border border-slate-200 rounded-2xl p-4">
-          <div className="text-sm text-slate-600 mb-2">Gates & Thresholds</div>
-          <ul className="grid grid-cols-2 gap-2 text-sm">
-            <li className="p-2 rounded-lg border">
-              HR &gt; {params.hrCeiling}
+            <li className="p-2 bg-slate-50 rounded-lg col-span-2">
+              faults:{" "}
+              <b className={last?.faults?.length ? "text-rose-600" : ""}>
+                {last?.faults?.length ? last.faults.join(", ") : "none"}
+              </b>
             </li>
-            <li className="p-2 rounded-lg border">
-              RR &gt; {params.rrCeiling}
+            <li className="p-2 bg-slate-50 rounded-lg">
+              fatigue: <b>{last?.fatigue?.toFixed(2) ?? "—"}</b>
             </li>
-            <li className="p-2 rounded-lg border">
-              tremor &gt; {params.tremorRest}
+            <li className="p-2 bg-slate-50 rounded-lg">
+              HRV: <b>{last?.hrv != null ? Math.round(last.hrv) : "—"}</b> ms
             </li>
-            <li className="p-2 rounded-lg border">
-              smooth &lt; {params.smoothMin}
+            <li className="p-2 bg-slate-50 rounded-lg col-span-2">
+              SQI: PPG <b>{last?.sqi?.ppg?.toFixed(2) ?? "—"}</b>, resp{" "}
+              <b>{last?.sqi?.resp?.toFixed(2) ?? "—"}</b>
             </li>
-            <li className="p-2 rounded-lg border">|grip−target| &gt; 8</li>
           </ul>
         </div>
+        <div className="border border-slate-200 rounded-2xl p-4">
+          <div className="text-sm text-slate-600 mb-2">Thresholds (params.*)</div>
+          <ul className="grid grid-cols-2 gap-2 text-sm">
+            {PARAM_FIELDS.map(([key]) => (
+              <li key={key} className="p-2 rounded-lg border">
+                {key}: <b>{params[key]}</b>
+              </li>
+            ))}
+          </ul>
+          <div className="text-sm text-slate-600 mt-3">
+            Fired rule: <b className="font-mono">{fired ?? "—"}</b>
+          </div>
+        </div>
       </div>
 
       <div className="grid md:grid-cols-3 gap-4">
@@ -963,25 +1876,61 @@ function LogicPane({ stream, params, sensors, mode }) {
           Waiting for user. No feedback.
         </StateCard>
         <StateCard title="COACHING" active={mode === "COACHING"}>
-          Voice + haptic cues, subtle difficulty adaptation.
+          Voice + haptic patterns (Haptics); difficulty adapts when a controller is on (Signals).
         </StateCard>
         <StateCard title="REST" active={mode === "REST"}>
-          Guided breathing, timer, resume when safe.
+          Guided breathing for at least {params.restMinS} s, then resume after{" "}
+          {params.resumeFrames} safe readings in a row (HR ≤ {params.hrResume}, RR ≤{" "}
+          {params.rrResume}, tremor ≤ {params.tremorResume}).
         </StateCard>
       </div>
 
+      <RulesEditor
+        rules={rules}
+        setRules={setRules}
+        fired={fired}
+        onExport={onExportRules}
+        patterns={patterns}
+      />
+
       <div className="text-xs text-slate-500">
-        This is a minimal state machine for demos. Swap with your RL policy by
-        mapping rewards to
+        {policyKind === "learned"
+          ? "The learned policy from the RL Sandbox is coaching; these rules only supply its cues and the REST resume conditions."
+          : "The rules above are coaching."}{" "}
+        Train a learned policy in the RL Sandbox, with rewards built from
         <em>
+          {" "}
           smooth↑, tremor↓, HR within band, target grip proximity, adherence
         </em>
-        .
+        , and switch between the two there.
       </div>
     </section>
   );
 }
 
+// Minimum-dwell countdown, then progress towards the safe-record streak.
+function RestCountdown({ rest }) {
+  const waiting = rest.remaining > 0;
+  const progress = waiting
+    ? rest.elapsed / (rest.elapsed + rest.remaining)
+    : Math.min(1, rest.safe / rest.needed);
+  return (
+    <div className="mb-2 space-y-1">
+      <div className="text-xs text-amber-700">
+        {waiting
+          ? `Rest ${Math.ceil(rest.remaining)} s more (${rest.rule})`
+          : `Resuming after ${rest.needed} safe readings: ${rest.safe}/${rest.needed}`}
+      </div>
+      <div className="h-1.5 rounded-full bg-amber-100">
+        <div
+          className="h-1.5 rounded-full bg-amber-500"
+          style={{ width: `${Math.round(progress * 100)}%` }}
+        />
+      </div>
+    </div>
+  );
+}
+
 function StateCard({ title, active, children }) {
   return (
     <div
@@ -996,9 +1945,10 @@ function StateCard({ title, active, children }) {
 }
 
 // ---------- Data Log ----------
-function LogPane({ notes, latest, onExport }) {
+function LogPane({ notes, latest, onExport, onExportFrames, onExportScaling }) {
   const unifiedFrame = useMemo(() => {
-    if (!latest)
+    const frame = latest?.frame;
+    if (!frame)
       return {
         t_us: "—",
         imu_acc: ["—", "—", "—"],
@@ -1009,27 +1959,51 @@ function LogPane({ notes, latest, onExport }) {
         resp: "—",
       };
     return {
-      t_us: latest.t * 1000000,
-      imu_acc: [rnd(0, 0.08).toFixed(2), rnd(0, 0.08).toFixed(2), rnd(1, 0.08).toFixed(2)],
-      imu_gyro: [rnd(0, 4).toFixed(1), rnd(0, 4).toFixed(1), rnd(0, 4).toFixed(1)],
-      strain: latest.strain.map((v) => v.toFixed(2)),
-      emg_env: latest.emgEnv.toFixed(2),
-      fsr: latest.fsr.map((v) => v.toFixed(1)),
-      resp: latest.resp.toFixed(2),
+      t_us: frame.t_us,
+      imu_acc: frame.imu_acc.map((v) => v.toFixed(2)),
+      imu_gyro: frame.imu_gyro.map((v) => v.toFixed(1)),
+      strain: frame.strain.map((v) => v.toFixed(2)),
+      emg_env: frame.emg_env.toFixed(2),
+      fsr: frame.fsr.map((v) => v.toFixed(1)),
+      resp: frame.resp.toFixed(2),
     };
   }, [latest]);
 
+  // What the ADCs read for the latest frame, converted back through the
+  // same front-end model the firmware scales with.
+  const adcRows = useMemo(
+    () => (latest?.frame ? convertCounts(frameCounts(latest.frame)) : []),
+    [latest]
+  );
+
   return (
     <section className="bg-white rounded-2xl shadow-sm border border-slate-200 p-4 space-y-4">
       <div className="flex items-center justify-between">
         <h2 className="text-lg font-semibold">Coaching Events & Unified Frame</h2>
-        <button
-          onClick={onExport}
-          className="px-3 py-1.5 rounded-xl bg-slate-900 text-white disabled:opacity-40"
-          disabled={!notes.length}
-        >
-          Export CSV
-        </button>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={onExportScaling}
+            className="px-3 py-1.5 rounded-xl bg-slate-200"
+            title="ADC channel scaling as C #defines for the firmware"
+          >
+            Scaling header (.h)
+          </button>
+          <button
+            onClick={onExportFrames}
+            className="px-3 py-1.5 rounded-xl bg-slate-200 disabled:opacity-40"
+            disabled={!latest}
+            title="Buffered raw frames as packed little-endian sample_t (60 B each)"
+          >
+            Export sample_t (.bin)
+          </button>
+          <button
+            onClick={onExport}
+            className="px-3 py-1.5 rounded-xl bg-slate-900 text-white disabled:opacity-40"
+            disabled={!notes.length}
+          >
+            Export CSV
+          </button>
+        </div>
       </div>
       <div className="grid md:grid-cols-2 gap-3">
         <div className="border border-slate-200 rounded-xl p-3 bg-slate-50">
@@ -1051,7 +2025,7 @@ typedef struct {
           </ul>
         </div>
         <div className="border border-slate-200 rounded-xl p-3 bg-white">
-          <div className="font-semibold text-sm mb-2">Latest simulated frame</div>
+          <div className="font-semibold text-sm mb-2">Latest frame</div>
           <div className="grid grid-cols-2 gap-2 text-sm">
             <LabelValue label="t_us" value={unifiedFrame.t_us} />
             <LabelValue label="imu_acc" value={unifiedFrame.imu_acc.join(", ")} />
@@ -1067,11 +2041,52 @@ typedef struct {
           </div>
         </div>
       </div>
+      <div className="overflow-auto border rounded-xl">
+        <table className="min-w-full text-sm">
+          <thead className="bg-slate-50">
+            <tr>
+              {["Channel", "ADC", "Counts", "Volts", "Engineering", "sample_t"].map((h) => (
+                <th key={h} className="text-left px-3 py-2 border-b">
+                  {h}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {adcRows.map(({ channel, counts, volts, units, value }) => (
+              <tr key={channel.id} className="odd:bg-white even:bg-slate-50">
+                <td className="px-3 py-1.5 border-b">{channel.label}</td>
+                <td className="px-3 py-1.5 border-b text-xs text-slate-600">
+                  {channel.adc} CH{channel.ch}
+                </td>
+                <td className="px-3 py-1.5 border-b font-mono">{counts ?? "—"}</td>
+                <td className="px-3 py-1.5 border-b font-mono">
+                  {volts == null ? "—" : volts.toFixed(4)}
+                </td>
+                <td className="px-3 py-1.5 border-b font-mono">
+                  {units == null ? "—" : `${units.toFixed(2)} ${unitOf(channel)}`}
+                </td>
+                <td className="px-3 py-1.5 border-b font-mono text-slate-600">
+                  {channel.field}
+                  {channel.index != null && `[${channel.index}]`} = {value == null ? "—" : value.toFixed(3)}
+                </td>
+              </tr>
+            ))}
+            {!adcRows.length && (
+              <tr>
+                <td colSpan={6} className="px-3 py-2 text-slate-500">
+                  No raw frame yet.
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
       <div className="overflow-auto border rounded-xl max-h-[380px]">
         <table className="min-w-full text-sm">
           <thead className="bg-slate-50 sticky top-0">
             <tr>
-              {"ts,mode,msg,smooth,tremor,grip,hr,rr".split(",").map((h) => (
+              {"t,event,mode,msg,haptic,reason,smooth,tremor,grip,hr,rr,faults".split(",").map((h) => (
                 <th key={h} className="text-left px-3 py-2 border-b">
                   {h}
                 </th>
@@ -1080,15 +2095,24 @@ typedef struct {
           </thead>
           <tbody>
             {notes.map((n, i) => (
-              <tr key={i} className="odd:bg-white even:bg-slate-50">
-                <td className="px-3 py-2 border-b font-mono text-xs">{n.ts}</td>
+              <tr
+                key={i}
+                className={n.event === "transition" ? "bg-amber-50" : "odd:bg-white even:bg-slate-50"}
+              >
+                <td className="px-3 py-2 border-b font-mono text-xs">{n.t}</td>
+                <td className="px-3 py-2 border-b text-xs">{n.event ?? "advice"}</td>
                 <td className="px-3 py-2 border-b">{n.mode}</td>
                 <td className="px-3 py-2 border-b">{n.msg}</td>
+                <td className="px-3 py-2 border-b font-mono text-xs">{n.haptic}</td>
+                <td className="px-3 py-2 border-b text-xs">{n.reason}</td>
                 <td className="px-3 py-2 border-b font-mono">{n.smooth}</td>
                 <td className="px-3 py-2 border-b font-mono">{n.tremor}</td>
                 <td className="px-3 py-2 border-b font-mono">{n.grip}</td>
                 <td className="px-3 py-2 border-b font-mono">{n.hr}</td>
                 <td className="px-3 py-2 border-b font-mono">{n.rr}</td>
+                <td className="px-3 py-2 border-b font-mono text-xs text-rose-600">
+                  {n.faults}
+                </td>
               </tr>
             ))}
           </tbody>
@@ -0,0 +1,407 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import {
+  CartesianGrid,
+  ComposedChart,
+  Line,
+  ResponsiveContainer,
+  Scatter,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+import {
+  CALIBRATION_CHANNELS,
+  calibrationCurves,
+  fitCurve,
+  FSR_CHANNELS,
+  MAX_POLY_DEGREE,
+} from "./calibration";
+
+const SETTLE_S = 0.5; // let the reading settle after moving into the pose
+const CAPTURE_FRAMES = 400; // 2 s of 200 Hz frames per pose
+
+// Known poses and loads, with the reference value each channel should read.
+const STEPS = [
+  {
+    id: "neutral",
+    title: "Neutral pose",
+    text: "Relax with the wrist straight, knee and ankle at rest.",
+    targets: { wrist: 0, knee: 0, ankle: 0 },
+  },
+  {
+    id: "flexion",
+    title: "Full flexion",
+    text: "Flex wrist, knee and ankle as far as is comfortable and hold. Enter the angles measured with a goniometer.",
+    targets: { wrist: 80, knee: 110, ankle: 30 },
+  },
+  {
+    id: "extension",
+    title: "Extension",
+    text: "Extend the wrist and point the foot. Adds a point below neutral.",
+    targets: { wrist: -60, ankle: -25 },
+    optional: true,
+  },
+  {
+    id: "unloaded",
+    title: "No load",
+    text: "Open the hand and lift the foot so nothing presses on the pads.",
+    targets: { thumb: 0, palm: 0, stance: 0 },
+  },
+  {
+    id: "load",
+    title: "Known grip load",
+    text: "Press a known load on each pad (a kitchen scale reading in kg × 9.81 gives newtons).",
+    targets: { thumb: 20, palm: 20, stance: 40 },
+  },
+  {
+    id: "load2",
+    title: "Second load",
+    text: "A heavier load, so the fit can follow the pads’ curvature.",
+    targets: { thumb: 40, palm: 40, stance: 80 },
+    optional: true,
+  },
+];
+
+const channel = Object.fromEntries(CALIBRATION_CHANNELS.map((c) => [c.id, c]));
+
+// The simulator stand-in for holding a step: its pose, or its loads as raw
+// pad readings through the current profile.
+function holdFor(step, targets, calibration) {
+  if (step.targets.wrist != null || step.targets.knee != null || step.targets.ankle != null) {
+    return {
+      pose: {
+        wrist: { flexion: targets.wrist ?? 0, rotation: 0, fingers: [0, 0, 0] },
+        leg: { knee: targets.knee ?? 0, ankle: targets.ankle ?? 0 },
+      },
+      usePoseSensors: true,
+    };
+  }
+  const curves = calibrationCurves(calibration);
+  return { fsr: FSR_CHANNELS.map((c) => curves[c.id].toRaw(targets[c.id] ?? 0)) };
+}
+
+/**
+ * Guided calibration: hold each known pose or load, capture the mean raw
+ * reading, and fit per-channel curves that are saved to the user profile.
+ */
+export default function CalibrationPane({ profile, latest, running, canHold, onHold, onSave }) {
+  const calibration = profile.calibration;
+  const [stepIndex, setStepIndex] = useState(0);
+  const [targets, setTargets] = useState(() =>
+    Object.fromEntries(STEPS.map((s) => [s.id, { ...s.targets }]))
+  );
+  const [captures, setCaptures] = useState({}); // stepId -> { channelId: raw }
+  const [fits, setFits] = useState(() =>
+    Object.fromEntries(
+      CALIBRATION_CHANNELS.map((c) => [
+        c.id,
+        { fit: calibration?.channels?.[c.id]?.fit ?? "piecewise", degree: 2 },
+      ])
+    )
+  );
+  const [hold, setHold] = useState(canHold);
+  const [progress, setProgress] = useState(null);
+  const captureRef = useRef(null);
+
+  const step = STEPS[stepIndex];
+
+  // A new profile starts a fresh calibration.
+  useEffect(() => {
+    setCaptures({});
+    setStepIndex(0);
+  }, [profile.id]);
+
+  useEffect(() => () => onHold?.(null), []);
+
+  const cancel = () => {
+    captureRef.current = null;
+    setProgress(null);
+    onHold?.(null);
+  };
+
+  const startCapture = () => {
+    captureRef.current = {
+      step: step.id,
+      from: (latest?.t ?? 0) + SETTLE_S,
+      strain: [0, 0, 0],
+      fsr: [0, 0, 0],
+      n: 0,
+    };
+    setProgress(0);
+    if (canHold && hold) onHold(holdFor(step, targets[step.id], calibration));
+  };
+
+  // Accumulate raw frames from each record while a capture is running.
+  useEffect(() => {
+    const acc = captureRef.current;
+    if (!acc || !latest || latest.t < acc.from) return;
+    const frames = latest.frames ?? (latest.frame ? [latest.frame] : []);
+    for (const f of frames) {
+      f.strain.forEach((v, i) => (acc.strain[i] += v));
+      f.fsr.forEach((v, i) => (acc.fsr[i] += v));
+      acc.n += 1;
+    }
+    setProgress(Math.min(1, acc.n / CAPTURE_FRAMES));
+    if (acc.n < CAPTURE_FRAMES) return;
+    const raw = Object.fromEntries(
+      CALIBRATION_CHANNELS.map((c) => [c.id, acc[c.sensor][c.index] / acc.n])
+    );
+    setCaptures((all) => ({ ...all, [acc.step]: raw }));
+    cancel();
+    if (stepIndex < STEPS.length - 1 && acc.step === step.id) setStepIndex(stepIndex + 1);
+  }, [latest]);
+
+  // Points and fitted curve per channel from whatever has been captured.
+  const draft = useMemo(
+    () =>
+      Object.fromEntries(
+        CALIBRATION_CHANNELS.map((c) => {
+          const points = STEPS.filter(
+            (s) => captures[s.id] && targets[s.id][c.id] != null
+          ).map((s) => [captures[s.id][c.id], targets[s.id][c.id]]);
+          const curve = { ...fits[c.id], points };
+          return [c.id, { curve, fitted: fitCurve(curve, c.raw) }];
+        })
+      ),
+    [captures, targets, fits]
+  );
+  const ready = CALIBRATION_CHANNELS.filter((c) => draft[c.id].fitted);
+
+  const save = () => {
+    const channels = { ...calibration?.channels };
+    for (const c of ready) {
+      const { fit, degree, points } = draft[c.id].curve;
+      channels[c.id] = fit === "poly" ? { fit, degree, points } : { fit, points };
+    }
+    onSave({ updated: new Date().toISOString(), channels });
+  };
+
+  const capturing = progress != null;
+  const noRaw = latest && !latest.frames && !latest.frame;
+
+  return (
+    <section className="bg-white rounded-2xl shadow-sm border border-slate-200 p-4 space-y-4">
+      <div className="flex items-center justify-between gap-3 flex-wrap">
+        <div>
+          <h2 className="text-lg font-semibold">Calibration</h2>
+          <p className="text-sm text-slate-600">
+            Map raw strain-bridge and FSR readings to joint angles and newtons for{" "}
+            <span className="font-medium">{profile.name}</span>. Hold each known pose or load
+            while its readings are captured, then save the fitted curves to the profile.
+          </p>
+          <p className="text-xs text-slate-500 mt-1">
+            {calibration?.updated
+              ? `Calibrated ${new Date(calibration.updated).toLocaleString()}`
+              : "Uncalibrated: using the default linear mapping."}
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={() => onSave(undefined)}
+            disabled={!calibration}
+            className="px-3 py-1.5 rounded-xl bg-slate-200 disabled:opacity-40"
+          >
+            Reset to defaults
+          </button>
+          <button
+            onClick={save}
+            disabled={!ready.length || capturing}
+            className="px-3 py-1.5 rounded-xl bg-emerald-600 text-white disabled:opacity-40"
+            title={ready.map((c) => c.label).join(", ")}
+          >
+            Save {ready.length ? `${ready.length} channel${ready.length > 1 ? "s" : ""}` : ""} to
+            profile
+          </button>
+        </div>
+      </div>
+
+      <div className="grid md:grid-cols-3 gap-4">
+        <ol className="border border-slate-200 rounded-2xl p-2 space-y-1 text-sm">
+          {STEPS.map((s, i) => (
+            <li key={s.id}>
+              <button
+                onClick={() => !capturing && setStepIndex(i)}
+                className={`w-full text-left px-3 py-2 rounded-xl flex justify-between ${
+                  i === stepIndex ? "bg-slate-900 text-white" : "hover:bg-slate-100"
+                }`}
+              >
+                <span>
+                  {i + 1}. {s.title}
+                  {s.optional && <span className="opacity-60"> (optional)</span>}
+                </span>
+                {captures[s.id] && <span>✓</span>}
+              </button>
+            </li>
+          ))}
+        </ol>
+
+        <div className="border border-slate-200 rounded-2xl p-4 space-y-3 md:col-span-2">
+          <div className="font-semibold">{step.title}</div>
+          <p className="text-sm text-slate-600">{step.text}</p>
+          <div className="grid sm:grid-cols-3 gap-3">
+            {Object.keys(step.targets).map((id) => (
+              <label key={id} className="grid gap-1 text-sm">
+                <span className="text-slate-600">
+                  {channel[id].label} ({channel[id].unit})
+                </span>
+                <input
+                  type="number"
+                  value={targets[step.id][id]}
+                  disabled={capturing}
+                  onChange={(e) =>
+                    setTargets({
+                      ...targets,
+                      [step.id]: { ...targets[step.id], [id]: Number(e.target.value) },
+                    })
+                  }
+                  className="border rounded-lg px-2 py-1 font-mono"
+                />
+                <span className="text-xs text-slate-400 font-mono">
+                  raw {captures[step.id] ? captures[step.id][id].toFixed(3) : "—"}
+                </span>
+              </label>
+            ))}
+          </div>
+          <div className="flex items-center gap-3 flex-wrap">
+            {capturing ? (
+              <button onClick={cancel} className="px-3 py-1.5 rounded-xl bg-rose-600 text-white">
+                Cancel
+              </button>
+            ) : (
+              <button
+                onClick={startCapture}
+                disabled={!running || noRaw}
+                className="px-3 py-1.5 rounded-xl bg-slate-900 text-white disabled:opacity-40"
+              >
+                {captures[step.id] ? "Capture again" : "Capture"}
+              </button>
+            )}
+            {canHold && (
+              <label className="flex items-center gap-2 text-sm">
+                <input
+                  type="checkbox"
+                  checked={hold}
+                  disabled={capturing}
+                  onChange={(e) => setHold(e.target.checked)}
+                />
+                Hold this pose in the simulator
+              </label>
+            )}
+            {capturing && (
+              <div className="flex-1 min-w-[120px] h-2 rounded-full bg-slate-100 overflow-hidden">
+                <div
+                  className="h-full bg-emerald-500"
+                  style={{ width: `${(progress * 100).toFixed(0)}%` }}
+                />
+              </div>
+            )}
+          </div>
+          <p className="text-xs text-slate-400">
+            {!running
+              ? "Start the stream to capture."
+              : noRaw
+                ? "This source carries no raw frames to calibrate from."
+                : canHold
+                  ? "The simulated sleeve follows the current profile, so held poses reproduce it; capture on a live sleeve to calibrate for real."
+                  : `Hold still: ${SETTLE_S} s to settle, then ${CAPTURE_FRAMES / 200} s of readings are averaged.`}
+          </p>
+        </div>
+      </div>
+
+      <div className="grid md:grid-cols-3 gap-4">
+        {CALIBRATION_CHANNELS.map((c) => (
+          <FitCard
+            key={c.id}
+            channel={c}
+            draft={draft[c.id]}
+            current={calibrationCurves(calibration)[c.id]}
+            fit={fits[c.id]}
+            onFit={(next) => setFits({ ...fits, [c.id]: { ...fits[c.id], ...next } })}
+          />
+        ))}
+      </div>
+    </section>
+  );
+}
+
+function FitCard({ channel, draft, current, fit, onFit }) {
+  const { points } = draft.curve;
+  const data = useMemo(() => {
+    const xs = points.map((p) => p[0]);
+    const span = xs.length > 1 ? Math.max(...xs) - Math.min(...xs) : 0;
+    const lo = span ? Math.min(...xs) - span * 0.2 : channel.raw[0];
+    const hi = span ? Math.max(...xs) + span * 0.2 : channel.raw[1];
+    return Array.from({ length: 41 }, (_, i) => {
+      const raw = lo + ((hi - lo) * i) / 40;
+      return {
+        raw,
+        current: current.toUnits(raw),
+        fitted: draft.fitted?.toUnits(raw) ?? null,
+      };
+    });
+  }, [points, draft.fitted, current, channel]);
+
+  return (
+    <div className="border border-slate-200 rounded-2xl p-3 space-y-2">
+      <div className="flex items-center justify-between text-sm">
+        <span className="font-semibold">{channel.label}</span>
+        <span className="flex gap-1">
+          <select
+            value={fit.fit}
+            onChange={(e) => onFit({ fit: e.target.value })}
+            className="border rounded-lg px-1 py-0.5 text-xs"
+          >
+            <option value="piecewise">Piecewise</option>
+            <option value="poly">Polynomial</option>
+          </select>
+          {fit.fit === "poly" && (
+            <select
+              value={fit.degree}
+              onChange={(e) => onFit({ degree: Number(e.target.value) })}
+              className="border rounded-lg px-1 py-0.5 text-xs"
+            >
+              {Array.from({ length: MAX_POLY_DEGREE }, (_, i) => i + 1).map((d) => (
+                <option key={d} value={d}>
+                  deg {d}
+                </option>
+              ))}
+            </select>
+          )}
+        </span>
+      </div>
+      <div className="h-36">
+        <ResponsiveContainer width="100%" height="100%">
+          <ComposedChart data={data} margin={{ top: 4, right: 8, bottom: 0, left: -16 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis
+              dataKey="raw"
+              type="number"
+              domain={["dataMin", "dataMax"]}
+              tickFormatter={(v) => v.toFixed(2)}
+              fontSize={10}
+            />
+            <YAxis fontSize={10} unit={channel.unit === "°" ? "°" : ""} />
+            <Tooltip
+              formatter={(v) => (typeof v === "number" ? v.toFixed(1) : v)}
+              labelFormatter={(v) => `raw ${Number(v).toFixed(3)}`}
+            />
+            <Line dataKey="current" name="profile" stroke="#94a3b8" strokeDasharray="4 4" dot={false} />
+            <Line dataKey="fitted" name="fit" stroke="#10b981" dot={false} />
+            <Scatter
+              data={points.map(([raw, value]) => ({ raw, point: value }))}
+              dataKey="point"
+              name="captured"
+              fill="#0f172a"
+            />
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+      <div className="text-xs text-slate-500">
+        {points.length} point{points.length === 1 ? "" : "s"}
+        {!draft.fitted && points.length > 0 && " · needs two distinct readings"}
+        {" · "}
+        <span className="font-mono">{channel.unit}</span> from raw {channel.sensor}[{channel.index}]
+      </div>
+    </div>
+  );
+}
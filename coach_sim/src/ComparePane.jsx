@@ -0,0 +1,401 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { COMPARISON_LOOPS, createComparison } from "./comparison";
+import { MODES } from "./counterfactual";
+import { modeColor, ModeStrip } from "./CounterfactualPane";
+import { defaultRules, PARAM_FIELDS } from "./policy";
+import { parseRules } from "./rules";
+import { formatClock } from "./SessionPanel";
+
+const STEPS_PER_CHUNK = 20; // simulated seconds between yields to the UI
+const MAX_ARMS = 4;
+const MAX_SPANS = 200;
+
+const loopHelp = {
+  open: "One stream, simulated with the base settings; every arm decides on the same records.",
+  closed: "Each arm drives its own simulation from the same seed, so the user reacts to that arm's coach.",
+};
+
+const fixed = (v, digits) => (v == null ? "—" : v.toFixed(digits));
+
+// [label, value from an arm summary, format]
+const metrics = [
+  ...MODES.map((m) => [`Time in ${m}`, (s) => s.seconds[m], (v) => `${fixed(v, 0)} s`]),
+  ["Cues delivered", (s) => s.cues, String],
+  ["Safety trips (REST entries)", (s) => s.trips, String],
+  ["Mode changes", (s) => s.transitions, String],
+  ["Mean smoothness", (s) => s.meanSmooth, (v) => fixed(v, 3)],
+  ["Mean grip error", (s) => s.meanGripError, (v) => fixed(v, 1)],
+];
+
+const delta = (a, b, fmt) => {
+  if (a == null || b == null || a === b) return "";
+  return `${b > a ? "+" : "−"}${fmt(Math.abs(b - a))}`;
+};
+
+// B starts one notch stricter on tremor than the base params.
+const defaultArms = (params) => [
+  { label: "A", params: {}, rules: "current" },
+  {
+    label: "B",
+    params: { tremorRest: Math.max(params.tremorWarn, +(params.tremorRest - 0.1).toFixed(2)) },
+    rules: "current",
+  },
+];
+
+/**
+ * A/B comparison: run two to four policy configurations — param overrides
+ * over the current params and a rule set — on the same simulated session
+ * (current profile, sensors, scenario, faults and seed) and report how
+ * their coaching differs. `onExport(report)` saves the report.
+ */
+export default function ComparePane({ session, onExport }) {
+  const [arms, setArms] = useState(() => defaultArms(session.params));
+  const [minutes, setMinutes] = useState(session.scenario ? session.scenario.duration / 60 : 5);
+  const [loop, setLoop] = useState("open");
+  const [job, setJob] = useState(null); // comparison being stepped
+  const [progress, setProgress] = useState(0);
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (!job) return undefined;
+    let timer;
+    const chunk = () => {
+      for (let i = 0; i < STEPS_PER_CHUNK && !job.done; i++) job.step();
+      setProgress(job.progress);
+      if (!job.done) {
+        timer = setTimeout(chunk, 0);
+        return;
+      }
+      setReport(job.report());
+      setJob(null);
+    };
+    timer = setTimeout(chunk, 0);
+    return () => clearTimeout(timer);
+  }, [job]);
+
+  const update = (i, patch) =>
+    setArms((prev) => prev.map((a, j) => (j === i ? { ...a, ...patch } : a)));
+  const setOverride = (i, key, text) => {
+    const { [key]: _, ...rest } = arms[i].params;
+    const v = Number(text);
+    update(i, { params: text === "" || !Number.isFinite(v) ? rest : { ...rest, [key]: v } });
+  };
+  const load = async (i, file) => {
+    if (!file) return;
+    try {
+      update(i, { rules: "file", file: { name: file.name, rules: parseRules(await file.text()) } });
+      setError("");
+    } catch (err) {
+      setError(`${file.name}: ${err.message}`);
+    }
+  };
+
+  const run = () => {
+    const rulesOf = (arm) =>
+      arm.rules === "file" ? arm.file.rules : arm.rules === "defaults" ? defaultRules : session.rules;
+    setReport(null);
+    setProgress(0);
+    setJob(
+      createComparison(
+        arms.map((arm) => ({ label: arm.label, params: arm.params, rules: rulesOf(arm) })),
+        { ...session, seconds: Math.round(minutes * 60), loop }
+      )
+    );
+  };
+
+  // ModeStrip reads one field per strip; index the arms' modes by position.
+  const strips = useMemo(
+    () => report?.timeline.map((p) => ({ t: p.t, ...p.modes })),
+    [report]
+  );
+
+  return (
+    <section className="bg-white rounded-2xl shadow-sm border border-slate-200 p-4 space-y-4">
+      <div>
+        <h2 className="text-lg font-semibold">A/B Compare</h2>
+        <p className="text-sm text-slate-600">
+          Runs several policy configurations on the same simulated session — the current
+          profile, sensors, scenario, faults and seed — and compares time in each mode, cues,
+          safety trips, smoothness and grip error, with the spans where their decisions differ.
+        </p>
+      </div>
+
+      <div className="border border-slate-200 rounded-2xl p-4 space-y-3 text-xs">
+        <div className="flex items-center justify-between gap-3 flex-wrap">
+          <div className="font-semibold text-sm">Arms</div>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() =>
+                setArms([
+                  ...arms,
+                  { label: String.fromCharCode(65 + arms.length), params: {}, rules: "current" },
+                ])
+              }
+              disabled={arms.length >= MAX_ARMS}
+              className="px-3 py-1 rounded-lg bg-slate-100 disabled:opacity-40"
+            >
+              + Arm
+            </button>
+            <button
+              onClick={() => setArms(defaultArms(session.params))}
+              className="px-3 py-1 rounded-lg bg-slate-100"
+            >
+              Reset
+            </button>
+          </div>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="text-xs">
+            <thead>
+              <tr>
+                <th className="px-2 py-1 text-left font-normal text-slate-500">param (base)</th>
+                {arms.map((arm, i) => (
+                  <th key={i} className="px-2 py-1 font-normal">
+                    <div className="flex items-center gap-1">
+                      <input
+                        value={arm.label}
+                        onChange={(e) => update(i, { label: e.target.value })}
+                        className="border rounded-lg px-2 py-1 w-24 font-semibold"
+                      />
+                      <button
+                        onClick={() => setArms(arms.filter((_, j) => j !== i))}
+                        disabled={arms.length <= 2}
+                        title="Remove arm"
+                        className="px-2 py-1 rounded-lg bg-slate-100 disabled:opacity-40"
+                      >
+                        ×
+                      </button>
+                    </div>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              <tr>
+                <td className="px-2 py-1 text-slate-600">rules</td>
+                {arms.map((arm, i) => (
+                  <td key={i} className="px-2 py-1">
+                    <div className="flex items-center gap-1">
+                      <select
+                        value={arm.rules}
+                        onChange={(e) => update(i, { rules: e.target.value })}
+                        className="border rounded-lg px-1 py-1 w-24"
+                      >
+                        <option value="current">current</option>
+                        <option value="defaults">defaults</option>
+                        {arm.file && <option value="file">{arm.file.name}</option>}
+                      </select>
+                      <label className="px-2 py-1 rounded-lg bg-slate-100 cursor-pointer" title="Import a rule set">
+                        JSON
+                        <input
+                          type="file"
+                          accept=".json,application/json"
+                          className="hidden"
+                          onChange={(e) => {
+                            load(i, e.target.files[0]);
+                            e.target.value = "";
+                          }}
+                        />
+                      </label>
+                    </div>
+                  </td>
+                ))}
+              </tr>
+              {PARAM_FIELDS.map(([key, min, max, step]) => (
+                <tr key={key}>
+                  <td className="px-2 py-1 text-slate-600">
+                    {key} <span className="font-mono text-slate-400">({session.params[key]})</span>
+                  </td>
+                  {arms.map((arm, i) => (
+                    <td key={i} className="px-2 py-1">
+                      <input
+                        type="number"
+                        min={min}
+                        max={max}
+                        step={step}
+                        value={arm.params[key] ?? ""}
+                        placeholder="base"
+                        onChange={(e) => setOverride(i, key, e.target.value)}
+                        className={`border rounded-lg px-2 py-1 w-[8.5rem] font-mono ${
+                          key in arm.params ? "bg-sky-50 border-sky-300" : ""
+                        }`}
+                      />
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        {error && <div className="text-sm text-rose-600">{error}</div>}
+        <div className="text-slate-500">Blank params follow the current settings.</div>
+      </div>
+
+      <div className="border border-slate-200 rounded-2xl p-4 space-y-2 text-xs">
+        <div className="flex items-center gap-3 flex-wrap">
+          <label className="flex items-center gap-2">
+            <span className="text-slate-500">minutes</span>
+            <input
+              type="number"
+              min={0.5}
+              step={0.5}
+              value={minutes}
+              onChange={(e) => {
+                const v = Number(e.target.value);
+                if (v > 0) setMinutes(v);
+              }}
+              className="border rounded-lg px-2 py-1 w-20 font-mono"
+            />
+          </label>
+          {COMPARISON_LOOPS.map((l) => (
+            <button
+              key={l}
+              onClick={() => setLoop(l)}
+              className={`px-3 py-1 rounded-lg ${loop === l ? "bg-slate-900 text-white" : "bg-slate-100"}`}
+            >
+              {l === "open" ? "Open loop" : "Closed loop"}
+            </button>
+          ))}
+          <button
+            onClick={run}
+            disabled={!!job}
+            className="px-3 py-1 rounded-lg bg-slate-900 text-white disabled:opacity-40"
+          >
+            Run comparison
+          </button>
+          <button
+            onClick={() => setJob(null)}
+            disabled={!job}
+            className="px-3 py-1 rounded-lg bg-slate-100 disabled:opacity-40"
+          >
+            Stop
+          </button>
+          <button
+            onClick={() => onExport(report)}
+            disabled={!report}
+            className="px-3 py-1 rounded-lg bg-slate-100 disabled:opacity-40"
+          >
+            Export report JSON
+          </button>
+        </div>
+        <div className="text-slate-600">
+          {job ? `Simulating… ${Math.round(progress * 100)}%` : loopHelp[loop]}
+        </div>
+      </div>
+
+      {report && (
+        <>
+          <div className="border border-slate-200 rounded-2xl p-4 space-y-2">
+            <div className="flex items-center justify-between text-sm">
+              <span className="font-semibold">Report</span>
+              <span className="text-slate-500">
+                seed <span className="font-mono">{report.seed}</span> · {report.loop} loop ·{" "}
+                {formatClock(report.seconds)} · modes agree{" "}
+                <span className="font-mono">{(report.modeAgreement * 100).toFixed(1)}%</span>
+              </span>
+            </div>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-slate-500">
+                  <th className="py-1 font-normal"></th>
+                  {report.arms.map((arm, i) => (
+                    <th key={i} className="py-1 font-normal">
+                      {arm.label}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="font-mono">
+                {metrics.map(([label, value, fmt]) => {
+                  const base = value(report.arms[0].summary);
+                  return (
+                    <tr key={label} className="border-t">
+                      <td className="py-1 font-sans">{label}</td>
+                      {report.arms.map((arm, i) => {
+                        const v = value(arm.summary);
+                        return (
+                          <td key={i} className="py-1">
+                            {v == null ? "—" : fmt(v)}{" "}
+                            {i > 0 && <span className="text-xs text-slate-500">{delta(base, v, fmt)}</span>}
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+            <div className="text-xs text-slate-500">
+              Δ against {report.arms[0].label}. Smoothness and grip error are averaged over
+              the time spent coaching.
+            </div>
+          </div>
+
+          <div className="border border-slate-200 rounded-2xl p-4 space-y-2">
+            <div className="font-semibold text-sm">Mode timeline</div>
+            {report.arms.map((arm, i) => (
+              <ModeStrip key={i} label={arm.label} timeline={strips} field={i} />
+            ))}
+            <div className="flex gap-3 text-xs text-slate-500 pl-[5.75rem]">
+              {MODES.map((m) => (
+                <span key={m} className="flex items-center gap-1">
+                  <span className="inline-block w-3 h-3 rounded" style={{ background: modeColor[m] }} />
+                  {m}
+                </span>
+              ))}
+            </div>
+          </div>
+
+          <div className="border border-slate-200 rounded-2xl p-4 space-y-2">
+            <div className="font-semibold text-sm">
+              Diverging decisions ({report.divergences.length} spans)
+            </div>
+            {report.divergences.length === 0 ? (
+              <div className="text-sm text-slate-400">Every arm made the same decisions.</div>
+            ) : (
+              <div className="max-h-80 overflow-auto">
+                <table className="w-full text-xs">
+                  <thead className="sticky top-0 bg-white">
+                    <tr className="text-left text-slate-500">
+                      <th className="py-1 pr-3 font-normal">time</th>
+                      {report.arms.map((arm, i) => (
+                        <th key={i} className="py-1 pr-3 font-normal">
+                          {arm.label}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.divergences.slice(0, MAX_SPANS).map((span) => (
+                      <tr key={span.start} className="border-t align-top">
+                        <td className="py-1 pr-3 font-mono whitespace-nowrap">
+                          {formatClock(span.start)}–{formatClock(span.end)}
+                        </td>
+                        {span.decisions.map((d, i) => (
+                          <td key={i} className="py-1 pr-3">
+                            <span
+                              className="inline-block w-2 h-2 rounded-full mr-1"
+                              style={{ background: modeColor[d.mode] }}
+                            />
+                            <span className="font-mono">{d.mode}</span>{" "}
+                            <span className="text-slate-600">{d.message}</span>
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {report.divergences.length > MAX_SPANS && (
+                  <div className="text-xs text-slate-500 pt-1">
+                    Showing the first {MAX_SPANS}; the exported report has them all.
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        </>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,263 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { compareRuns, MODES, rerunPolicy } from "./counterfactual";
+import { PARAM_FIELDS } from "./policy";
+import { formatClock } from "./SessionPanel";
+
+export const modeColor = { IDLE: "#cbd5e1", COACHING: "#10b981", REST: "#f59e0b" };
+const MAX_CHANGES = 200;
+
+const sensorLabel = (k) => k.replace(/([A-Z])/g, " $1").toLowerCase();
+
+// Contiguous runs of one mode, as [start, end) in session seconds.
+function segments(timeline, key) {
+  const out = [];
+  timeline.forEach((p, i) => {
+    const end = timeline[i + 1]?.t ?? p.t;
+    const last = out[out.length - 1];
+    if (last && last.mode === p[key]) last.end = end;
+    else out.push({ mode: p[key], start: p.t, end });
+  });
+  return out;
+}
+
+export function ModeStrip({ label, timeline, field }) {
+  const t0 = timeline[0].t;
+  const span = Math.max(timeline[timeline.length - 1].t - t0, 1e-6);
+  return (
+    <div className="flex items-center gap-3">
+      <div className="w-20 text-xs text-slate-500">{label}</div>
+      <svg viewBox="0 0 1000 16" preserveAspectRatio="none" className="flex-1 h-5 rounded">
+        {segments(timeline, field).map((s) => (
+          <rect
+            key={s.start}
+            x={((s.start - t0) / span) * 1000}
+            width={Math.max(((s.end - s.start) / span) * 1000, 0.5)}
+            height={16}
+            fill={modeColor[s.mode]}
+          >
+            <title>{`${s.mode} ${formatClock(s.start)}–${formatClock(s.end)}`}</title>
+          </rect>
+        ))}
+      </svg>
+    </div>
+  );
+}
+
+const seconds = (s) => (s == null ? "—" : `${s.toFixed(1)} s`);
+const delta = (a, b, fmt) => {
+  if (a == null || b == null) return "";
+  const d = b - a;
+  return d === 0 ? "" : `${d > 0 ? "+" : "−"}${fmt(Math.abs(d))}`;
+};
+
+/**
+ * What-if: re-decide a recording with alternate params/sensors and compare
+ * against what the coach actually said. `recording` is the replay or the
+ * kept session ({ meta, entries }); `revision` changes as it grows. The
+ * alternate run uses `rules`, the rule set currently in the Logic pane.
+ */
+export default function CounterfactualPane({ recording, revision, params, sensors, rules }) {
+  const baseParams = { ...params, ...recording?.meta?.params };
+  const baseSensors = { ...sensors, ...recording?.meta?.sensors };
+  const [altParams, setAltParams] = useState(baseParams);
+  const [altSensors, setAltSensors] = useState(baseSensors);
+
+  // A different recording starts from the settings it was made with.
+  useEffect(() => {
+    setAltParams(baseParams);
+    setAltSensors(baseSensors);
+  }, [recording?.meta]);
+
+  const entries = recording?.entries ?? [];
+  const result = useMemo(
+    () =>
+      entries.length
+        ? compareRuns(
+            entries,
+            rerunPolicy(entries, { params: altParams, sensors: altSensors, rules })
+          )
+        : null,
+    [entries, revision, altParams, altSensors, rules]
+  );
+
+  const rows = result && [
+    ...MODES.map((m) => [
+      `Time in ${m}`,
+      seconds(result.original.seconds[m]),
+      seconds(result.alternate.seconds[m]),
+      delta(result.original.seconds[m], result.alternate.seconds[m], seconds),
+    ]),
+    [
+      "REST episodes",
+      result.original.restEpisodes,
+      result.alternate.restEpisodes,
+      delta(result.original.restEpisodes, result.alternate.restEpisodes, String),
+    ],
+    [
+      "First REST",
+      result.original.firstRest == null ? "—" : formatClock(result.original.firstRest),
+      result.alternate.firstRest == null ? "—" : formatClock(result.alternate.firstRest),
+      delta(result.original.firstRest, result.alternate.firstRest, seconds),
+    ],
+    [
+      "Mode changes",
+      result.original.transitions,
+      result.alternate.transitions,
+      delta(result.original.transitions, result.alternate.transitions, String),
+    ],
+  ];
+
+  return (
+    <section className="bg-white rounded-2xl shadow-sm border border-slate-200 p-4 space-y-4">
+      <div>
+        <h2 className="text-lg font-semibold">What-if Re-run</h2>
+        <p className="text-sm text-slate-600">
+          Replays the recorded signals through the coach with different thresholds or
+          sensors and shows where its advice would have changed. The run is open-loop:
+          the recording does not react to the alternate coach (e.g. an earlier REST would
+          not have lowered the tremor that followed).
+        </p>
+      </div>
+
+      {!result ? (
+        <div className="text-sm text-slate-400">
+          Record a session or load one for replay to compare against.
+        </div>
+      ) : (
+        <>
+          <div className="grid md:grid-cols-3 gap-4">
+            <div className="border border-slate-200 rounded-2xl p-4 space-y-2 md:col-span-2">
+              <div className="flex items-center justify-between text-sm">
+                <span className="font-semibold">Mode timeline</span>
+                <span className="text-slate-500">
+                  {entries.length} records · agreement{" "}
+                  <span className="font-mono">{(result.agreement * 100).toFixed(1)}%</span>
+                </span>
+              </div>
+              <ModeStrip label="Original" timeline={result.timeline} field="original" />
+              <ModeStrip label="Alternate" timeline={result.timeline} field="alternate" />
+              <div className="flex gap-3 text-xs text-slate-500 pl-[5.75rem]">
+                {MODES.map((m) => (
+                  <span key={m} className="flex items-center gap-1">
+                    <span className="inline-block w-3 h-3 rounded" style={{ background: modeColor[m] }} />
+                    {m}
+                  </span>
+                ))}
+              </div>
+              <table className="w-full text-sm mt-2">
+                <thead>
+                  <tr className="text-left text-slate-500">
+                    <th className="py-1 font-normal"></th>
+                    <th className="py-1 font-normal">Original</th>
+                    <th className="py-1 font-normal">Alternate</th>
+                    <th className="py-1 font-normal">Δ</th>
+                  </tr>
+                </thead>
+                <tbody className="font-mono">
+                  {rows.map(([label, a, b, d]) => (
+                    <tr key={label} className="border-t">
+                      <td className="py-1 font-sans">{label}</td>
+                      <td className="py-1">{a}</td>
+                      <td className="py-1">{b}</td>
+                      <td className="py-1 text-slate-500">{d}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="border border-slate-200 rounded-2xl p-4 space-y-3">
+              <div className="flex items-center justify-between">
+                <span className="font-semibold text-sm">Alternate settings</span>
+                <button
+                  onClick={() => {
+                    setAltParams(baseParams);
+                    setAltSensors(baseSensors);
+                  }}
+                  className="text-xs px-2 py-1 rounded-lg bg-slate-100"
+                >
+                  Reset
+                </button>
+              </div>
+              {PARAM_FIELDS.map(([key, min, max, step]) => (
+                <div key={key} className="grid gap-1">
+                  <div className="flex justify-between text-xs">
+                    <span className={altParams[key] !== baseParams[key] ? "font-semibold" : ""}>
+                      {key}
+                    </span>
+                    <span className="font-mono">
+                      {altParams[key].toFixed(step < 1 ? 2 : 0)}
+                    </span>
+                  </div>
+                  <input
+                    type="range"
+                    min={min}
+                    max={max}
+                    step={step}
+                    value={altParams[key]}
+                    onChange={(e) => setAltParams({ ...altParams, [key]: Number(e.target.value) })}
+                  />
+                </div>
+              ))}
+              <div className="border-t pt-2 grid grid-cols-2 gap-x-2 text-xs">
+                {Object.entries(altSensors).map(([k, v]) => (
+                  <label key={k} className="flex items-center justify-between py-0.5">
+                    <span className={v !== baseSensors[k] ? "font-semibold" : ""}>{sensorLabel(k)}</span>
+                    <input
+                      type="checkbox"
+                      checked={v}
+                      onChange={(e) => setAltSensors({ ...altSensors, [k]: e.target.checked })}
+                    />
+                  </label>
+                ))}
+              </div>
+            </div>
+          </div>
+
+          <div className="border border-slate-200 rounded-2xl p-4">
+            <div className="font-semibold text-sm mb-2">
+              Changed advice ({result.changes.length} records)
+            </div>
+            {result.changes.length ? (
+              <div className="max-h-80 overflow-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-slate-500">
+                      <th className="py-1 font-normal">t</th>
+                      <th className="py-1 font-normal">Original</th>
+                      <th className="py-1 font-normal">Alternate</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {result.changes.slice(0, MAX_CHANGES).map((c) => (
+                      <tr key={c.t} className="border-t align-top">
+                        <td className="py-1 font-mono">{formatClock(c.t)}</td>
+                        <td className="py-1">
+                          <span className="text-xs font-mono text-slate-500">{c.from.mode}</span>{" "}
+                          {c.from.message}
+                        </td>
+                        <td className="py-1">
+                          <span className="text-xs font-mono text-slate-500">{c.to.mode}</span>{" "}
+                          {c.to.message}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {result.changes.length > MAX_CHANGES && (
+                  <div className="text-xs text-slate-400 mt-2">
+                    Showing the first {MAX_CHANGES}.
+                  </div>
+                )}
+              </div>
+            ) : (
+              <div className="text-sm text-slate-400">
+                Same advice on every record with these settings.
+              </div>
+            )}
+          </div>
+        </>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,172 @@
+import React from "react";
+import { defaultFault, FAULT_CHANNELS, FAULT_TYPES } from "./faults";
+
+// [key, label, step] for the numeric settings each fault type exposes
+const faultFields = {
+  dropout: [
+    ["rate", "episodes/min", 0.5],
+    ["duration", "s each", 0.1],
+  ],
+  saturate: [],
+  drift: [["rate", "span/min", 0.01]],
+  noise: [
+    ["rate", "bursts/min", 0.5],
+    ["duration", "s each", 0.1],
+    ["amplitude", "× span", 0.05],
+  ],
+};
+
+const sensorLabel = (k) => k.replace(/([A-Z])/g, " $1").toLowerCase();
+
+export default function FaultsPane({ faults, setFaults, latest }) {
+  const active = latest?.faults ?? [];
+
+  const update = (sensor, list) => setFaults({ ...faults, [sensor]: list });
+  const patch = (sensor, index, change) =>
+    update(
+      sensor,
+      (faults[sensor] ?? []).map((f, i) => (i === index ? { ...f, ...change } : f))
+    );
+  const remove = (sensor, index) =>
+    update(
+      sensor,
+      (faults[sensor] ?? []).filter((_, i) => i !== index)
+    );
+  const add = (sensor, type) =>
+    update(sensor, [...(faults[sensor] ?? []), defaultFault(type)]);
+
+  return (
+    <section className="bg-white rounded-2xl shadow-sm border border-slate-200 p-4 space-y-4">
+      <div className="flex items-center justify-between gap-3 flex-wrap">
+        <div>
+          <h2 className="text-lg font-semibold">Fault Injection</h2>
+          <p className="text-sm text-slate-600">
+            Corrupt the 200 Hz frames per sensor and watch how the coach reacts.
+            Schedules are in session seconds; leave “end” empty to run until reset.
+          </p>
+        </div>
+        <div className="text-sm">
+          <span className="text-slate-500 mr-2">Active now:</span>
+          {active.length ? (
+            active.map((tag) => (
+              <span
+                key={tag}
+                className="inline-block mr-1 px-2 py-0.5 rounded-full bg-rose-100 text-rose-700 text-xs font-mono"
+              >
+                {tag}
+              </span>
+            ))
+          ) : (
+            <span className="text-xs text-slate-400">none</span>
+          )}
+        </div>
+      </div>
+
+      <div className="grid md:grid-cols-2 gap-4">
+        {Object.keys(FAULT_CHANNELS).map((sensor) => (
+          <div key={sensor} className="border border-slate-200 rounded-2xl p-4 space-y-3">
+            <div className="flex items-center justify-between">
+              <div className="font-semibold text-sm capitalize">{sensorLabel(sensor)}</div>
+              <select
+                value=""
+                onChange={(e) => e.target.value && add(sensor, e.target.value)}
+                className="border rounded-lg px-2 py-1 text-xs"
+              >
+                <option value="">+ Add fault…</option>
+                {Object.keys(FAULT_TYPES).map((type) => (
+                  <option key={type} value={type}>
+                    {type}
+                  </option>
+                ))}
+              </select>
+            </div>
+            {(faults[sensor] ?? []).map((fault, i) => (
+              <div
+                key={i}
+                className={`rounded-xl border p-3 space-y-2 text-sm ${
+                  active.includes(`${sensor}:${fault.type}`)
+                    ? "border-rose-400 bg-rose-50"
+                    : "border-slate-200 bg-slate-50"
+                }`}
+              >
+                <div className="flex items-center justify-between">
+                  <label className="flex items-center gap-2 font-medium">
+                    <input
+                      type="checkbox"
+                      checked={fault.enabled !== false}
+                      onChange={(e) => patch(sensor, i, { enabled: e.target.checked })}
+                    />
+                    {fault.type}
+                  </label>
+                  <button onClick={() => remove(sensor, i)} className="text-xs text-rose-600">
+                    Remove
+                  </button>
+                </div>
+                <div className="grid grid-cols-2 gap-2">
+                  {fault.type === "saturate" && (
+                    <label className="grid gap-1 text-xs">
+                      <span className="text-slate-500">rail</span>
+                      <select
+                        value={fault.level}
+                        onChange={(e) => patch(sensor, i, { level: e.target.value })}
+                        className="border rounded-lg px-2 py-1"
+                      >
+                        <option value="high">high</option>
+                        <option value="low">low</option>
+                      </select>
+                    </label>
+                  )}
+                  {faultFields[fault.type].map(([key, label, step]) => (
+                    <FaultNumber
+                      key={key}
+                      label={`${key} (${label})`}
+                      value={fault[key]}
+                      step={step}
+                      onChange={(v) => patch(sensor, i, { [key]: v ?? 0 })}
+                    />
+                  ))}
+                  <FaultNumber
+                    label="start (s)"
+                    value={fault.start}
+                    step={1}
+                    onChange={(v) => patch(sensor, i, { start: v ?? 0 })}
+                  />
+                  <FaultNumber
+                    label="end (s)"
+                    value={fault.end}
+                    step={1}
+                    onChange={(v) => patch(sensor, i, { end: v })}
+                  />
+                </div>
+              </div>
+            ))}
+            {!(faults[sensor] ?? []).length && (
+              <div className="text-xs text-slate-400">No faults.</div>
+            )}
+          </div>
+        ))}
+      </div>
+    </section>
+  );
+}
+
+// Empty input means "unset" (null), e.g. an open-ended schedule.
+function FaultNumber({ label, value, step, onChange }) {
+  return (
+    <label className="grid gap-1 text-xs">
+      <span className="text-slate-500">{label}</span>
+      <input
+        type="number"
+        min={0}
+        step={step}
+        value={value ?? ""}
+        onChange={(e) => {
+          if (e.target.value === "") return onChange(null);
+          const v = Number(e.target.value);
+          if (Number.isFinite(v)) onChange(v);
+        }}
+        className="border rounded-lg px-2 py-1 font-mono"
+      />
+    </label>
+  );
+}
@@ -0,0 +1,181 @@
+import React from "react";
+import {
+  defaultFilter,
+  FILTER_CHANNELS,
+  FILTER_TYPES,
+  MAINS_HZ,
+  recommendedFilters,
+} from "./filters";
+
+// [key, label, step] for the numeric settings each filter type exposes
+const filterFields = {
+  highpass: [
+    ["cutoff", "Hz", 0.01],
+    ["offset", "added back", 0.05],
+  ],
+  notch: [["q", "Q", 1]],
+  lowpass: [["cutoff", "Hz", 0.5]],
+  rms: [["windowS", "s", 0.01]],
+  median: [["size", "samples", 2]],
+};
+
+const sensorLabel = (k) => k.replace(/([A-Z])/g, " $1").toLowerCase();
+
+export default function FiltersPane({ filters, setFilters }) {
+  const update = (sensor, list) => setFilters({ ...filters, [sensor]: list });
+  const patch = (sensor, index, change) =>
+    update(
+      sensor,
+      (filters[sensor] ?? []).map((f, i) => (i === index ? { ...f, ...change } : f))
+    );
+  const remove = (sensor, index) =>
+    update(
+      sensor,
+      (filters[sensor] ?? []).filter((_, i) => i !== index)
+    );
+  const move = (sensor, index, by) => {
+    const list = [...(filters[sensor] ?? [])];
+    const [f] = list.splice(index, 1);
+    list.splice(Math.max(0, Math.min(list.length, index + by)), 0, f);
+    update(sensor, list);
+  };
+  const add = (sensor, type) =>
+    update(sensor, [...(filters[sensor] ?? []), defaultFilter(type)]);
+
+  return (
+    <section className="bg-white rounded-2xl shadow-sm border border-slate-200 p-4 space-y-4">
+      <div className="flex items-center justify-between gap-3 flex-wrap">
+        <div>
+          <h2 className="text-lg font-semibold">Filters</h2>
+          <p className="text-sm text-slate-600">
+            Per-channel chains run on every 200 Hz frame, top to bottom, before the
+            analyses and the coach see it. Compare raw and filtered in the Signals pane.
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={() => setFilters(recommendedFilters)}
+            className="text-xs px-3 py-1 rounded-lg bg-slate-100"
+          >
+            Recommended
+          </button>
+          <button onClick={() => setFilters({})} className="text-xs px-3 py-1 rounded-lg bg-slate-100">
+            Clear all
+          </button>
+        </div>
+      </div>
+
+      <div className="grid md:grid-cols-2 gap-4">
+        {Object.keys(FILTER_CHANNELS).map((sensor) => (
+          <div key={sensor} className="border border-slate-200 rounded-2xl p-4 space-y-3">
+            <div className="flex items-center justify-between">
+              <div className="font-semibold text-sm capitalize">{sensorLabel(sensor)}</div>
+              <select
+                value=""
+                onChange={(e) => e.target.value && add(sensor, e.target.value)}
+                className="border rounded-lg px-2 py-1 text-xs"
+              >
+                <option value="">+ Add filter…</option>
+                {Object.keys(FILTER_TYPES).map((type) => (
+                  <option key={type} value={type}>
+                    {type}
+                  </option>
+                ))}
+              </select>
+            </div>
+            {(filters[sensor] ?? []).map((filter, i, list) => (
+              <div
+                key={i}
+                className={`rounded-xl border p-3 space-y-2 text-sm ${
+                  filter.enabled !== false
+                    ? "border-sky-300 bg-sky-50"
+                    : "border-slate-200 bg-slate-50"
+                }`}
+              >
+                <div className="flex items-center justify-between">
+                  <label className="flex items-center gap-2 font-medium">
+                    <input
+                      type="checkbox"
+                      checked={filter.enabled !== false}
+                      onChange={(e) => patch(sensor, i, { enabled: e.target.checked })}
+                    />
+                    {i + 1}. {filter.type}
+                  </label>
+                  <span className="flex gap-2 text-xs">
+                    <button
+                      onClick={() => move(sensor, i, -1)}
+                      disabled={i === 0}
+                      className="text-slate-500 disabled:opacity-30"
+                    >
+                      ↑
+                    </button>
+                    <button
+                      onClick={() => move(sensor, i, 1)}
+                      disabled={i === list.length - 1}
+                      className="text-slate-500 disabled:opacity-30"
+                    >
+                      ↓
+                    </button>
+                    <button onClick={() => remove(sensor, i)} className="text-rose-600">
+                      Remove
+                    </button>
+                  </span>
+                </div>
+                <div className="grid grid-cols-2 gap-2">
+                  {filter.type === "notch" && (
+                    <label className="grid gap-1 text-xs">
+                      <span className="text-slate-500">mains</span>
+                      <select
+                        value={filter.freq}
+                        onChange={(e) => patch(sensor, i, { freq: Number(e.target.value) })}
+                        className="border rounded-lg px-2 py-1"
+                      >
+                        {MAINS_HZ.map((hz) => (
+                          <option key={hz} value={hz}>
+                            {hz} Hz
+                          </option>
+                        ))}
+                      </select>
+                    </label>
+                  )}
+                  {filterFields[filter.type].map(([key, label, step]) => (
+                    <FilterNumber
+                      key={key}
+                      label={`${key} (${label})`}
+                      value={filter[key]}
+                      step={step}
+                      onChange={(v) => patch(sensor, i, { [key]: v })}
+                    />
+                  ))}
+                </div>
+              </div>
+            ))}
+            {!(filters[sensor] ?? []).length && (
+              <div className="text-xs text-slate-400">Raw — no filters.</div>
+            )}
+          </div>
+        ))}
+      </div>
+    </section>
+  );
+}
+
+// Ignores empty or non-numeric input instead of zeroing the setting.
+function FilterNumber({ label, value, step, onChange }) {
+  return (
+    <label className="grid gap-1 text-xs">
+      <span className="text-slate-500">{label}</span>
+      <input
+        type="number"
+        min={0}
+        step={step}
+        value={value}
+        onChange={(e) => {
+          const v = Number(e.target.value);
+          if (e.target.value !== "" && Number.isFinite(v)) onChange(v);
+        }}
+        className="border rounded-lg px-2 py-1 font-mono"
+      />
+    </label>
+  );
+}
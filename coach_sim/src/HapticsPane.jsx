@@ -0,0 +1,394 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { Area, AreaChart, CartesianGrid, ResponsiveContainer, Tooltip, XAxis, YAxis } from "recharts";
+import {
+  actuatorTimeline,
+  defaultPatterns,
+  encodePattern,
+  PATTERN_FIELDS,
+  PATTERN_KINDS,
+  patternEnvelope,
+  patternLengthMs,
+  validatePattern,
+} from "./haptics";
+import { formatClock } from "./SessionPanel";
+
+const WINDOW_S = 60; // actuator timeline span
+const RECENT_FIRINGS = 12;
+
+const fieldLabels = {
+  amplitude: "amplitude",
+  durationMs: "duration (ms)",
+  repeat: "repeat",
+  gapMs: "gap (ms)",
+};
+
+// Pattern index → problems, including ids used twice.
+function patternProblems(patterns) {
+  const problems = {};
+  const seen = new Set();
+  patterns.forEach((p, i) => {
+    const errors = validatePattern(p);
+    if (seen.has(p.id)) errors.push(`duplicate id "${p.id}"`);
+    seen.add(p.id);
+    if (errors.length) problems[i] = errors;
+  });
+  return problems;
+}
+
+/**
+ * Haptic cue designer: the pattern library, which pattern each rule plays,
+ * and when the motor fired over the last minute of the session. `firings`
+ * are `{ t, rule, pattern }` from createActuator; `time` is the session
+ * clock. Exports hand the library to the ESP32 driver as bytes or a header.
+ */
+export default function HapticsPane({
+  patterns,
+  setPatterns,
+  rules,
+  setRules,
+  firings,
+  time,
+  enabled,
+  onExportBinary,
+  onExportHeader,
+}) {
+  const problems = patternProblems(patterns);
+  const ids = new Set(patterns.map((p) => p.id));
+  const usedBy = (id) => rules.filter((r) => r.haptic === id).map((r) => r.id);
+
+  const patch = (i, change) => {
+    const before = patterns[i];
+    setPatterns(patterns.map((p, j) => (j === i ? { ...p, ...change } : p)));
+    // Renaming a pattern keeps the rules that play it.
+    if (change.id != null && change.id !== before.id && usedBy(before.id).length) {
+      setRules(rules.map((r) => (r.haptic === before.id ? { ...r, haptic: change.id } : r)));
+    }
+  };
+  const add = () => {
+    let n = patterns.length + 1;
+    while (ids.has(`pattern-${n}`)) n += 1;
+    setPatterns([
+      ...patterns,
+      {
+        id: `pattern-${n}`,
+        label: "New pattern",
+        kind: "pulse",
+        amplitude: 0.8,
+        durationMs: 150,
+        repeat: 1,
+        gapMs: 0,
+      },
+    ]);
+  };
+
+  const valid = Object.keys(problems).length === 0;
+  const bytes = valid ? 4 + patterns.reduce((n, p) => n + encodePattern(p).length, 0) : null;
+
+  return (
+    <section className="bg-white rounded-2xl shadow-sm border border-slate-200 p-4 space-y-4">
+      <div className="flex items-center justify-between gap-3 flex-wrap">
+        <div>
+          <h2 className="text-lg font-semibold">Haptic Cues</h2>
+          <p className="text-sm text-slate-600">
+            Each coaching rule plays a pattern from this library on the sleeve's vibration
+            motor whenever its cue starts; a new cue cuts the previous one short.
+          </p>
+        </div>
+        <div className="flex items-center gap-2 text-xs">
+          <button onClick={add} className="px-3 py-1 rounded-lg bg-slate-900 text-white">
+            + Pattern
+          </button>
+          <button
+            onClick={() => setPatterns(defaultPatterns)}
+            className="px-3 py-1 rounded-lg bg-slate-100"
+          >
+            Defaults
+          </button>
+          <button
+            onClick={onExportBinary}
+            disabled={!valid}
+            className="px-3 py-1 rounded-lg bg-slate-100 disabled:opacity-40"
+            title="Packed pattern library for the ESP32 haptic driver"
+          >
+            Export .bin{bytes != null && ` (${bytes} B)`}
+          </button>
+          <button
+            onClick={onExportHeader}
+            disabled={!valid}
+            className="px-3 py-1 rounded-lg bg-slate-100 disabled:opacity-40"
+            title="The same bytes as a C array, with pattern and rule indices"
+          >
+            C header (.h)
+          </button>
+        </div>
+      </div>
+
+      <div className="grid md:grid-cols-2 xl:grid-cols-4 gap-3">
+        {patterns.map((p, i) => {
+          const errors = problems[i] ?? [];
+          const users = usedBy(p.id);
+          return (
+            <div
+              key={i}
+              className={`border rounded-2xl p-3 space-y-2 text-xs ${
+                errors.length ? "border-rose-300" : "border-slate-200"
+              }`}
+            >
+              <div className="flex items-center gap-2">
+                <IdField
+                  id={p.id}
+                  taken={(id) => id !== p.id && ids.has(id)}
+                  onRename={(id) => patch(i, { id })}
+                />
+                <input
+                  value={p.label}
+                  onChange={(e) => patch(i, { label: e.target.value })}
+                  className="border rounded-lg px-2 py-1 flex-1 min-w-0"
+                />
+                <button
+                  onClick={() => setPatterns(patterns.filter((_, j) => j !== i))}
+                  disabled={users.length > 0}
+                  title={users.length ? `Played by ${users.join(", ")}` : "Remove pattern"}
+                  className="px-2 py-1 rounded-lg bg-slate-100 disabled:opacity-40"
+                >
+                  ×
+                </button>
+              </div>
+              <div className="flex gap-1 flex-wrap">
+                {PATTERN_KINDS.map((kind) => (
+                  <button
+                    key={kind}
+                    onClick={() => patch(i, { kind })}
+                    className={`px-2 py-0.5 rounded-lg ${
+                      p.kind === kind ? "bg-slate-900 text-white" : "bg-slate-100"
+                    }`}
+                  >
+                    {kind}
+                  </button>
+                ))}
+              </div>
+              <div className="grid grid-cols-2 gap-2">
+                {PATTERN_FIELDS.map(([key, min, max, step]) => (
+                  <label key={key} className="grid gap-1">
+                    <span className="text-slate-500">{fieldLabels[key]}</span>
+                    <input
+                      type="number"
+                      min={min}
+                      max={max}
+                      step={step}
+                      value={p[key]}
+                      onChange={(e) => {
+                        const v = Number(e.target.value);
+                        if (e.target.value !== "" && Number.isFinite(v)) patch(i, { [key]: v });
+                      }}
+                      className="border rounded-lg px-2 py-1 font-mono"
+                    />
+                  </label>
+                ))}
+              </div>
+              {errors.length ? (
+                <div className="text-rose-600">{errors.join("; ")}</div>
+              ) : (
+                <>
+                  <Envelope pattern={p} />
+                  <div className="flex justify-between text-slate-500">
+                    <span>
+                      {patternLengthMs(p)} ms · {encodePattern(p).length} B
+                    </span>
+                    <span>{users.length ? users.join(", ") : "unused"}</span>
+                  </div>
+                </>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="grid md:grid-cols-3 gap-4">
+        <div className="border border-slate-200 rounded-2xl p-4 space-y-2">
+          <div className="font-semibold text-sm">Rule → pattern</div>
+          <table className="w-full text-xs">
+            <tbody>
+              {[...rules]
+                .sort((a, b) => a.priority - b.priority)
+                .map((rule) => {
+                  const missing = rule.haptic != null && !ids.has(rule.haptic);
+                  return (
+                    <tr key={rule.id} className="border-t">
+                      <td className="py-1 pr-2">
+                        <div className="font-mono">{rule.id}</div>
+                        <div className="text-slate-500">{rule.mode}</div>
+                      </td>
+                      <td className="py-1">
+                        <select
+                          value={rule.haptic ?? ""}
+                          onChange={(e) =>
+                            setRules(
+                              rules.map((r) =>
+                                r.id === rule.id ? { ...r, haptic: e.target.value || null } : r
+                              )
+                            )
+                          }
+                          className={`border rounded-lg px-1 py-1 w-full ${
+                            missing ? "border-rose-300 text-rose-600" : ""
+                          }`}
+                        >
+                          <option value="">none</option>
+                          {missing && <option value={rule.haptic}>{rule.haptic} (missing)</option>}
+                          {patterns.map((p) => (
+                            <option key={p.id} value={p.id}>
+                              {p.id}
+                            </option>
+                          ))}
+                        </select>
+                      </td>
+                    </tr>
+                  );
+                })}
+            </tbody>
+          </table>
+          <div className="text-xs text-slate-500">
+            Also editable per rule in Coaching Logic. A missing pattern plays nothing.
+          </div>
+        </div>
+
+        <ActuatorTimeline
+          firings={firings}
+          patterns={patterns}
+          time={time}
+          enabled={enabled}
+        />
+      </div>
+    </section>
+  );
+}
+
+// Renames on blur or Enter, so rules follow the pattern rather than every
+// keystroke; an empty or taken id reverts.
+function IdField({ id, taken, onRename }) {
+  const [draft, setDraft] = useState(id);
+  useEffect(() => setDraft(id), [id]);
+  const commit = () => {
+    const next = draft.trim();
+    if (next && next !== id && !taken(next)) onRename(next);
+    else setDraft(id);
+  };
+  return (
+    <input
+      value={draft}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => e.key === "Enter" && e.currentTarget.blur()}
+      className="border rounded-lg px-2 py-1 font-mono w-28"
+      title="Pattern id, as rules refer to it"
+    />
+  );
+}
+
+// One pattern's duty envelope, scaled to its own length.
+function Envelope({ pattern }) {
+  const points = patternEnvelope(pattern);
+  const length = Math.max(points[points.length - 1][0], 1);
+  return (
+    <svg viewBox="0 0 200 40" preserveAspectRatio="none" className="w-full h-10 bg-slate-50 rounded">
+      <polyline
+        points={[[0, 0], ...points, [length, 0]]
+          .map(([ms, amp]) => `${(ms / length) * 200},${38 - amp * 36}`)
+          .join(" ")}
+        fill="#bae6fd"
+        stroke="#0284c7"
+        strokeWidth="1"
+        vectorEffect="non-scaling-stroke"
+      />
+    </svg>
+  );
+}
+
+// Motor drive over the last WINDOW_S seconds, and the latest firings.
+function ActuatorTimeline({ firings, patterns, time, enabled }) {
+  const from = Math.max(0, time - WINDOW_S);
+  const timeline = useMemo(() => actuatorTimeline(firings, patterns), [firings, patterns]);
+  const trace = useMemo(() => {
+    const out = [{ t: from, amp: 0 }];
+    for (const f of timeline) {
+      if (f.missing || f.end < from || f.t > time) continue;
+      out.push({ t: f.t, amp: 0 });
+      for (const [t, amp] of f.points) out.push({ t, amp });
+      out.push({ t: f.end, amp: 0 });
+    }
+    out.push({ t: Math.max(time, from + 1), amp: 0 });
+    return out;
+  }, [timeline, from, time]);
+  const recent = timeline.slice(-RECENT_FIRINGS).reverse();
+
+  return (
+    <div className="border border-slate-200 rounded-2xl p-4 space-y-2 md:col-span-2">
+      <div className="flex items-center justify-between text-sm">
+        <span className="font-semibold">Actuator timeline</span>
+        <span className="text-slate-500 text-xs">last {WINDOW_S} s · motor duty</span>
+      </div>
+      {!enabled && (
+        <div className="text-xs text-amber-700">
+          The haptic driver is off (Sensor Layout), so no cues reach the motor.
+        </div>
+      )}
+      <ResponsiveContainer width="100%" height={160}>
+        <AreaChart data={trace} margin={{ left: 8, right: 16, top: 8, bottom: 8 }}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis
+            dataKey="t"
+            type="number"
+            domain={[from, Math.max(time, from + 1)]}
+            allowDataOverflow
+            tickFormatter={(t) => formatClock(t)}
+            tick={{ fontSize: 12 }}
+          />
+          <YAxis domain={[0, 1]} tick={{ fontSize: 12 }} />
+          <Tooltip
+            labelFormatter={(t) => `${Number(t).toFixed(2)} s`}
+            formatter={(v) => [`${Math.round(v * 100)}%`, "duty"]}
+          />
+          <Area
+            type="linear"
+            dataKey="amp"
+            stroke="#0284c7"
+            fill="#bae6fd"
+            isAnimationActive={false}
+            dot={false}
+          />
+        </AreaChart>
+      </ResponsiveContainer>
+      <table className="w-full text-xs">
+        <thead>
+          <tr className="text-left text-slate-500">
+            <th className="py-1 font-normal">fired</th>
+            <th className="py-1 font-normal">rule</th>
+            <th className="py-1 font-normal">pattern</th>
+            <th className="py-1 font-normal">played</th>
+          </tr>
+        </thead>
+        <tbody>
+          {recent.map((f) => (
+            <tr key={`${f.t}:${f.rule}`} className="border-t">
+              <td className="py-1 font-mono">{formatClock(f.t)}</td>
+              <td className="py-1 font-mono">{f.rule}</td>
+              <td className="py-1 font-mono">{f.pattern}</td>
+              <td className={`py-1 ${f.missing ? "text-rose-600" : "text-slate-600"}`}>
+                {f.missing
+                  ? "pattern missing"
+                  : `${((f.end - f.t) * 1000).toFixed(0)} ms${f.cut ? " (cut short)" : ""}`}
+              </td>
+            </tr>
+          ))}
+          {!recent.length && (
+            <tr>
+              <td colSpan={4} className="py-2 text-slate-400">
+                No cues yet — start the session.
+              </td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+    </div>
+  );
+}
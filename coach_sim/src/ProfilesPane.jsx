@@ -0,0 +1,161 @@
+import React from "react";
+import { PARAM_FIELDS } from "./policy";
+
+// [key, label, unit, min, max, step]
+const userFields = [
+  ["hrRest", "Resting HR", "bpm", 40, 120, 1],
+  ["rrRest", "Resting RR", "br/min", 6, 30, 1],
+  ["hrvSdnn", "HR variability", "ms", 5, 120, 1],
+  ["tremorBase", "Tremor baseline", "", 0, 1, 0.01],
+  ["tremorHz", "Tremor frequency", "Hz", 4, 12, 0.5],
+  ["gripMax", "Max grip", "N", 5, 120, 1],
+  ["smoothnessBase", "Smoothness baseline", "", 0, 1, 0.01],
+  ["fatigueRate", "Fatigue build-up", "/min", 0, 1, 0.01],
+  ["recoveryRate", "Rest recovery", "/min", 0, 2, 0.05],
+];
+
+export default function ProfilesPane({
+  profiles,
+  activeId,
+  params,
+  onActivate,
+  onChange,
+  onCreate,
+  onDuplicate,
+  onDelete,
+}) {
+  const active = profiles.find((p) => p.id === activeId) ?? profiles[0];
+
+  const setField = (key, value) => onChange({ ...active, [key]: value });
+  const setParam = (key, value) =>
+    onChange({ ...active, params: { ...active.params, [key]: value } });
+
+  return (
+    <section className="bg-white rounded-2xl shadow-sm border border-slate-200 p-4 space-y-4">
+      <div className="flex items-center justify-between gap-3 flex-wrap">
+        <div>
+          <h2 className="text-lg font-semibold">User Profiles</h2>
+          <p className="text-sm text-slate-600">
+            Patient archetypes drive the simulator; switching applies immediately,
+            even mid-session. Saved in this browser.
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <button onClick={onCreate} className="px-3 py-1.5 rounded-xl bg-slate-900 text-white">
+            New
+          </button>
+          <button onClick={() => onDuplicate(active)} className="px-3 py-1.5 rounded-xl bg-slate-200">
+            Duplicate
+          </button>
+          <button
+            onClick={() => onDelete(active)}
+            disabled={profiles.length < 2}
+            className="px-3 py-1.5 rounded-xl bg-rose-600 text-white disabled:opacity-40"
+          >
+            Delete
+          </button>
+        </div>
+      </div>
+
+      <div className="grid md:grid-cols-3 gap-4">
+        <ul className="grid gap-1 content-start">
+          {profiles.map((p) => (
+            <li key={p.id}>
+              <button
+                onClick={() => onActivate(p.id)}
+                className={`w-full text-left px-3 py-2 rounded-xl border ${
+                  p.id === active.id
+                    ? "border-emerald-500 bg-emerald-50"
+                    : "border-slate-200 hover:bg-slate-50"
+                }`}
+              >
+                <div className="font-medium text-sm">{p.name}</div>
+                <div className="text-xs text-slate-500 font-mono">
+                  HR {p.hrRest} · grip {p.gripMax} N · tremor {p.tremorBase.toFixed(2)}
+                </div>
+              </button>
+            </li>
+          ))}
+        </ul>
+
+        <div className="md:col-span-2 space-y-4">
+          <label className="grid gap-1 text-sm">
+            <span className="text-slate-600">Name</span>
+            <input
+              value={active.name}
+              onChange={(e) => setField("name", e.target.value)}
+              className="border rounded-lg px-2 py-1"
+            />
+          </label>
+
+          <div className="border border-slate-200 rounded-2xl p-4">
+            <div className="font-semibold text-sm mb-2">User model</div>
+            <div className="grid sm:grid-cols-2 gap-3">
+              {userFields.map(([key, label, unit, min, max, step]) => (
+                <NumberField
+                  key={key}
+                  label={label}
+                  unit={unit}
+                  value={active[key]}
+                  min={min}
+                  max={max}
+                  step={step}
+                  onChange={(v) => setField(key, v)}
+                />
+              ))}
+            </div>
+          </div>
+
+          <div className="border border-slate-200 rounded-2xl p-4">
+            <div className="flex items-center justify-between mb-2">
+              <div className="font-semibold text-sm">Default policy params</div>
+              <button
+                onClick={() => onChange({ ...active, params: { ...params } })}
+                className="px-2 py-1 rounded-lg bg-slate-100 text-xs"
+                title="Copy the sidebar's current policy parameters into this profile"
+              >
+                Save current params
+              </button>
+            </div>
+            <div className="grid sm:grid-cols-2 gap-3">
+              {PARAM_FIELDS.map(([key, min, max, step]) => (
+                <NumberField
+                  key={key}
+                  label={key}
+                  value={active.params[key]}
+                  min={min}
+                  max={max}
+                  step={step}
+                  onChange={(v) => setParam(key, v)}
+                />
+              ))}
+            </div>
+          </div>
+        </div>
+      </div>
+    </section>
+  );
+}
+
+function NumberField({ label, unit, value, min, max, step, onChange }) {
+  return (
+    <label className="grid gap-1 text-sm">
+      <span className="flex justify-between text-slate-600">
+        <span>{label}</span>
+        {unit && <span className="text-xs text-slate-400">{unit}</span>}
+      </span>
+      <input
+        type="number"
+        value={value}
+        min={min}
+        max={max}
+        step={step}
+        onChange={(e) => {
+          const v = Number(e.target.value);
+          if (e.target.value !== "" && Number.isFinite(v)) onChange(v);
+        }}
+        className="border rounded-lg px-2 py-1 font-mono"
+      />
+    </label>
+  );
+}
@@ -0,0 +1,333 @@
+import React, { useEffect, useState } from "react";
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from "recharts";
+import { rulePolicy } from "./policy";
+import {
+  ACTIONS,
+  createEpisode,
+  createLearnedPolicy,
+  defaultLearnerConfig,
+  LEARNER_KINDS,
+  REWARD_TERMS,
+  STATE_AXES,
+  stateIndex,
+} from "./rl";
+
+const STEPS_PER_CHUNK = 20; // simulated seconds between yields to the UI
+const EPISODE_BATCHES = [5, 20, 50];
+
+// [key, label, step] for the learner settings
+const learnerFields = [
+  ["alpha", "learning rate α", 0.01],
+  ["gamma", "discount γ", 0.05],
+  ["epsilon", "exploration ε", 0.01],
+  ["episodeS", "episode (s)", 30],
+];
+
+const fixed = (v, digits = 2) => (v == null ? "—" : v.toFixed(digits));
+
+/**
+ * Train a learned coaching policy against the simulator (current profile,
+ * params, sensors and scenario) and switch the coach over to it. Each
+ * training episode is followed by a greedy run of the learner and a run of
+ * the rule policy on the same seed, for the learning curve.
+ */
+export default function RlPane({ learner, onNewLearner, policyKind, setPolicyKind, session }) {
+  const [draft, setDraft] = useState(learner.config);
+  const [target, setTarget] = useState(0); // episodes left to train
+  const [progress, setProgress] = useState(null); // { phase, t }
+  const [, setRevision] = useState(0);
+
+  useEffect(() => setDraft(learner.config), [learner]);
+
+  useEffect(() => {
+    if (!target) return undefined;
+    const { config } = learner;
+    const n = learner.episodes.length;
+    const options = {
+      ...session,
+      seed: `${session.seed}:train:${n}`,
+      weights: config.weights,
+      seconds: config.episodeS,
+    };
+    const runs = [
+      ["train", createEpisode(createLearnedPolicy(learner, { explore: true }), { ...options, learner })],
+      ["greedy", createEpisode(createLearnedPolicy(learner), options)],
+      ["baseline", createEpisode(rulePolicy, options)],
+    ];
+    const results = {};
+    let timer;
+    const chunk = () => {
+      const [phase, episode] = runs[Object.keys(results).length];
+      for (let i = 0; i < STEPS_PER_CHUNK && !episode.done; i++) episode.step();
+      if (episode.done) results[phase] = episode.summary();
+      if (Object.keys(results).length < runs.length) {
+        setProgress({ phase, n: n + 1 });
+        timer = setTimeout(chunk, 0);
+        return;
+      }
+      learner.episodes.push({
+        episode: n + 1,
+        train: results.train.reward,
+        greedy: results.greedy.reward,
+        baseline: results.baseline.reward,
+        restShare: results.greedy.restShare,
+      });
+      setRevision((r) => r + 1);
+      setProgress(null);
+      setTarget((t) => t - 1);
+    };
+    timer = setTimeout(chunk, 0);
+    return () => clearTimeout(timer);
+  }, [target, learner, session]);
+
+  const latest = learner.episodes[learner.episodes.length - 1];
+
+  return (
+    <section className="bg-white rounded-2xl shadow-sm border border-slate-200 p-4 space-y-4">
+      <div className="flex items-center justify-between gap-3 flex-wrap">
+        <div>
+          <h2 className="text-lg font-semibold">RL Sandbox</h2>
+          <p className="text-sm text-slate-600">
+            Wherever the rules would coach, a tabular learner picks COACHING or REST from binned
+            tremor, smoothness and HR; the rules' REST gates still apply and the coach still
+            decides when REST ends. Trains on the simulator with the current profile, params,
+            sensors and scenario.
+          </p>
+        </div>
+        <div className="flex items-center gap-2 text-xs">
+          <span className="text-slate-500">Coach with</span>
+          {[
+            ["rules", "Rules"],
+            ["learned", "Learned policy"],
+          ].map(([kind, label]) => (
+            <button
+              key={kind}
+              onClick={() => setPolicyKind(kind)}
+              className={`px-3 py-1 rounded-lg ${
+                policyKind === kind ? "bg-slate-900 text-white" : "bg-slate-100"
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid md:grid-cols-2 gap-4">
+        <div className="border border-slate-200 rounded-2xl p-4 space-y-3 text-xs">
+          <div className="font-semibold text-sm">Learner</div>
+          <div className="flex items-center gap-2">
+            {LEARNER_KINDS.map((kind) => (
+              <button
+                key={kind}
+                onClick={() => setDraft({ ...draft, kind })}
+                className={`px-3 py-1 rounded-lg ${
+                  draft.kind === kind ? "bg-slate-900 text-white" : "bg-slate-100"
+                }`}
+              >
+                {kind === "q" ? "Q-learning" : "Contextual bandit"}
+              </button>
+            ))}
+          </div>
+          <div className="grid grid-cols-2 gap-2">
+            {learnerFields.map(([key, label, step]) => (
+              <NumberField
+                key={key}
+                label={label}
+                value={draft[key]}
+                step={step}
+                onChange={(v) => setDraft({ ...draft, [key]: v })}
+              />
+            ))}
+          </div>
+          <div className="font-semibold text-sm pt-1">Reward weights</div>
+          <div className="grid grid-cols-2 gap-2">
+            {REWARD_TERMS.map(([key, label]) => (
+              <NumberField
+                key={key}
+                label={label}
+                value={draft.weights[key]}
+                step={0.1}
+                onChange={(v) => setDraft({ ...draft, weights: { ...draft.weights, [key]: v } })}
+              />
+            ))}
+          </div>
+          <div className="flex items-center gap-2 flex-wrap">
+            <button
+              onClick={() => onNewLearner(draft)}
+              disabled={target > 0}
+              className="px-3 py-1 rounded-lg bg-slate-100 disabled:opacity-40"
+            >
+              New learner with these settings
+            </button>
+            <button
+              onClick={() => onNewLearner(defaultLearnerConfig)}
+              disabled={target > 0}
+              className="px-3 py-1 rounded-lg bg-slate-100 disabled:opacity-40"
+            >
+              Defaults
+            </button>
+          </div>
+        </div>
+
+        <div className="border border-slate-200 rounded-2xl p-4 space-y-3 text-xs">
+          <div className="font-semibold text-sm">Training</div>
+          <div className="flex items-center gap-2 flex-wrap">
+            {EPISODE_BATCHES.map((n) => (
+              <button
+                key={n}
+                onClick={() => setTarget(n)}
+                disabled={target > 0}
+                className="px-3 py-1 rounded-lg bg-slate-900 text-white disabled:opacity-40"
+              >
+                Train {n}
+              </button>
+            ))}
+            <button
+              onClick={() => setTarget(0)}
+              disabled={!target}
+              className="px-3 py-1 rounded-lg bg-slate-100 disabled:opacity-40"
+            >
+              Stop
+            </button>
+          </div>
+          <div className="text-slate-600">
+            {target > 0
+              ? `Episode ${progress?.n ?? learner.episodes.length + 1}: ${progress?.phase ?? "train"} run… (${target} to go)`
+              : `${learner.episodes.length} episodes trained (${learner.config.kind === "q" ? "Q-learning" : "bandit"}, ${learner.config.episodeS} s each).`}
+          </div>
+          {latest && (
+            <div className="grid grid-cols-2 gap-2">
+              <Tile label="learned (greedy)" value={fixed(latest.greedy, 3)} />
+              <Tile label="rules, same seed" value={fixed(latest.baseline, 3)} />
+              <Tile label="training (ε-greedy)" value={fixed(latest.train, 3)} />
+              <Tile label="learned time in REST" value={`${Math.round(latest.restShare * 100)}%`} />
+            </div>
+          )}
+          <div className="text-slate-500">Mean reward per record; higher is better.</div>
+        </div>
+      </div>
+
+      <div className="border border-slate-200 rounded-2xl p-4">
+        <div className="font-semibold mb-2">Learning curve</div>
+        <ResponsiveContainer width="100%" height={220}>
+          <LineChart data={learner.episodes} margin={{ left: 8, right: 16, top: 8, bottom: 8 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="episode" tick={{ fontSize: 12 }} />
+            <YAxis domain={["auto", "auto"]} tick={{ fontSize: 12 }} />
+            <Tooltip formatter={(v) => fixed(v, 3)} />
+            <Legend />
+            <Line dataKey="train" name="Training (ε-greedy)" stroke="#94a3b8" dot={false} />
+            <Line dataKey="greedy" name="Learned (greedy)" stroke="#0ea5e9" dot={false} />
+            <Line
+              dataKey="baseline"
+              name="Rules"
+              stroke="#f59e0b"
+              strokeDasharray="4 4"
+              dot={false}
+            />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+
+      <ActionMap learner={learner} />
+    </section>
+  );
+}
+
+// Best action per state: rows tremor × smoothness, columns HR.
+function ActionMap({ learner }) {
+  return (
+    <div className="border border-slate-200 rounded-2xl p-4 space-y-2">
+      <div className="font-semibold">Learned action map</div>
+      <table className="text-xs">
+        <thead>
+          <tr>
+            <th className="px-2 py-1 text-left text-slate-500">tremor / smoothness</th>
+            {STATE_AXES.hr.map((h) => (
+              <th key={h} className="px-2 py-1 text-slate-500">
+                HR {h}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {STATE_AXES.tremor.flatMap((tremorLabel, tremor) =>
+            STATE_AXES.smooth.map((smoothLabel, smooth) => (
+              <tr key={`${tremor}:${smooth}`}>
+                <td className="px-2 py-1 text-slate-600">
+                  {tremorLabel} / {smoothLabel}
+                </td>
+                {STATE_AXES.hr.map((_, hr) => {
+                  const s = stateIndex({ tremor, smooth, hr });
+                  const visits = learner.visits(s);
+                  const values = learner.values(s);
+                  const seen = visits.some((v) => v > 0);
+                  const action = ACTIONS[learner.best(s)];
+                  return (
+                    <td
+                      key={hr}
+                      title={ACTIONS.map(
+                        (a, i) => `${a}: Q ${values[i].toFixed(2)}, ${visits[i]} updates`
+                      ).join("\n")}
+                      className={`px-3 py-2 text-center border border-white rounded ${
+                        !seen
+                          ? "bg-slate-50 text-slate-300"
+                          : action === "REST"
+                            ? "bg-amber-100 text-amber-800"
+                            : "bg-emerald-100 text-emerald-800"
+                      }`}
+                    >
+                      {seen ? action : "·"}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))
+          )}
+        </tbody>
+      </table>
+      <div className="text-xs text-slate-500">
+        Hover a cell for its Q-values and update counts; grey states have not been visited yet.
+      </div>
+    </div>
+  );
+}
+
+function Tile({ label, value }) {
+  return (
+    <div className="p-2 bg-slate-50 rounded-lg border">
+      <div className="text-[11px] uppercase tracking-wide text-slate-500">{label}</div>
+      <div className="font-mono text-sm">{value}</div>
+    </div>
+  );
+}
+
+// Ignores empty or non-numeric input instead of zeroing the setting.
+function NumberField({ label, value, step, onChange }) {
+  return (
+    <label className="grid gap-1">
+      <span className="text-slate-500">{label}</span>
+      <input
+        type="number"
+        min={0}
+        step={step}
+        value={value}
+        onChange={(e) => {
+          const v = Number(e.target.value);
+          if (e.target.value !== "" && Number.isFinite(v)) onChange(v);
+        }}
+        className="border rounded-lg px-2 py-1 font-mono"
+      />
+    </label>
+  );
+}
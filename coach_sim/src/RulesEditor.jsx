@@ -0,0 +1,234 @@
+import React, { useMemo, useState } from "react";
+import { defaultRules } from "./policy";
+import { parseRules, RULE_FIELDS, RULE_MODES, validateRules } from "./rules";
+
+const modeTone = {
+  IDLE: "bg-slate-100 text-slate-700",
+  COACHING: "bg-emerald-100 text-emerald-700",
+  REST: "bg-amber-100 text-amber-700",
+};
+
+// Priorities stay multiples of 10 in list order, so moves never tie.
+const renumber = (list) => list.map((r, i) => ({ ...r, priority: (i + 1) * 10 }));
+const byPriority = (rules) =>
+  rules
+    .map((rule, index) => ({ rule, index }))
+    .sort((a, b) => a.rule.priority - b.rule.priority || a.index - b.index)
+    .map(({ rule }) => rule);
+
+function newRuleId(rules) {
+  let n = rules.length + 1;
+  while (rules.some((r) => r.id === `rule-${n}`)) n += 1;
+  return `rule-${n}`;
+}
+
+/**
+ * Edit the coaching rule set: first enabled, valid rule (by priority) whose
+ * condition holds decides the mode and message. Invalid rules are flagged
+ * and skipped until fixed. `patterns` is the haptic library a rule's cue
+ * can play.
+ */
+export default function RulesEditor({ rules, setRules, fired, onExport, patterns }) {
+  const [error, setError] = useState("");
+  const ordered = useMemo(() => byPriority(rules), [rules]);
+  const problems = useMemo(() => validateRules(rules), [rules]);
+
+  const patch = (rule, change) => setRules(rules.map((r) => (r === rule ? { ...r, ...change } : r)));
+  const remove = (rule) => setRules(rules.filter((r) => r !== rule));
+  const move = (index, by) => {
+    const list = [...ordered];
+    const [r] = list.splice(index, 1);
+    list.splice(Math.max(0, Math.min(list.length, index + by)), 0, r);
+    setRules(renumber(list));
+  };
+  const add = () =>
+    setRules([
+      ...rules,
+      {
+        id: newRuleId(rules),
+        priority: (ordered[ordered.length - 1]?.priority ?? 0) + 10,
+        enabled: true,
+        when: "tremor > params.tremorWarn",
+        mode: "COACHING",
+        message: "New cue",
+        haptic: null,
+      },
+    ]);
+
+  const load = async (file) => {
+    if (!file) return;
+    try {
+      setRules(parseRules(await file.text()));
+      setError("");
+    } catch (err) {
+      setError(`${file.name}: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="border border-slate-200 rounded-2xl p-4 space-y-3">
+      <div className="flex items-center justify-between gap-3 flex-wrap">
+        <div>
+          <div className="font-semibold">Rules</div>
+          <div className="text-xs text-slate-500">
+            Checked top to bottom; the first match sets the mode and cue. Conditions read{" "}
+            <span className="font-mono">{RULE_FIELDS.join(", ")}</span>,{" "}
+            <span className="font-mono">params.*</span>, <span className="font-mono">sensors.*</span>,{" "}
+            <span className="font-mono">running</span> and <span className="font-mono">mode</span>.
+          </div>
+        </div>
+        <div className="flex items-center gap-2 text-xs">
+          <button onClick={add} className="px-3 py-1 rounded-lg bg-slate-900 text-white">
+            + Rule
+          </button>
+          <button onClick={() => setRules(defaultRules)} className="px-3 py-1 rounded-lg bg-slate-100">
+            Defaults
+          </button>
+          <button onClick={onExport} className="px-3 py-1 rounded-lg bg-slate-100">
+            Export JSON
+          </button>
+          <label className="px-3 py-1 rounded-lg bg-slate-100 cursor-pointer">
+            Import JSON
+            <input
+              type="file"
+              accept=".json,application/json"
+              className="hidden"
+              onChange={(e) => {
+                load(e.target.files[0]);
+                e.target.value = "";
+              }}
+            />
+          </label>
+        </div>
+      </div>
+      {error && <div className="text-sm text-rose-600">{error}</div>}
+
+      <div className="space-y-2">
+        {ordered.map((rule, i) => {
+          const errors = problems[rule.id] ?? [];
+          const off = rule.enabled === false;
+          return (
+            <div
+              key={i}
+              className={`rounded-xl border p-3 space-y-2 text-sm ${
+                errors.length
+                  ? "border-rose-400 bg-rose-50"
+                  : rule.id === fired
+                    ? "border-emerald-500 bg-emerald-50"
+                    : "border-slate-200"
+              } ${off ? "opacity-60" : ""}`}
+            >
+              <div className="flex items-center gap-2 flex-wrap">
+                <input
+                  type="checkbox"
+                  checked={!off}
+                  onChange={(e) => patch(rule, { enabled: e.target.checked })}
+                  title="Enabled"
+                />
+                <input
+                  value={rule.id}
+                  onChange={(e) => patch(rule, { id: e.target.value })}
+                  className="border rounded-lg px-2 py-1 font-mono text-xs w-36"
+                />
+                <span className="text-xs text-slate-500">priority {rule.priority}</span>
+                <select
+                  value={rule.mode}
+                  onChange={(e) => patch(rule, { mode: e.target.value })}
+                  className={`rounded-lg px-2 py-1 text-xs ${modeTone[rule.mode] ?? ""}`}
+                >
+                  {RULE_MODES.map((m) => (
+                    <option key={m} value={m}>
+                      {m}
+                    </option>
+                  ))}
+                </select>
+                {rule.id === fired && <span className="text-xs text-emerald-700">fired</span>}
+                <span className="ml-auto flex gap-2 text-xs">
+                  <button
+                    onClick={() => move(i, -1)}
+                    disabled={i === 0}
+                    className="text-slate-500 disabled:opacity-30"
+                  >
+                    ↑
+                  </button>
+                  <button
+                    onClick={() => move(i, 1)}
+                    disabled={i === ordered.length - 1}
+                    className="text-slate-500 disabled:opacity-30"
+                  >
+                    ↓
+                  </button>
+                  <button onClick={() => remove(rule)} className="text-rose-600">
+                    Remove
+                  </button>
+                </span>
+              </div>
+              <label className="grid gap-1 text-xs">
+                <span className="text-slate-500">when</span>
+                <textarea
+                  value={rule.when}
+                  rows={rule.when.length > 80 ? 2 : 1}
+                  onChange={(e) => patch(rule, { when: e.target.value })}
+                  className="border rounded-lg px-2 py-1 font-mono"
+                />
+              </label>
+              {rule.mode === "REST" && (
+                <label className="grid gap-1 text-xs">
+                  <span className="text-slate-500">
+                    resume (safe to leave REST; blank for “when” no longer holding)
+                  </span>
+                  <textarea
+                    value={rule.resume ?? ""}
+                    rows={(rule.resume ?? "").length > 80 ? 2 : 1}
+                    onChange={(e) => patch(rule, { resume: e.target.value || undefined })}
+                    className="border rounded-lg px-2 py-1 font-mono"
+                  />
+                </label>
+              )}
+              <div className="grid md:grid-cols-3 gap-2">
+                <label className="grid gap-1 text-xs md:col-span-2">
+                  <span className="text-slate-500">message</span>
+                  <input
+                    value={rule.message}
+                    onChange={(e) => patch(rule, { message: e.target.value })}
+                    className="border rounded-lg px-2 py-1"
+                  />
+                </label>
+                <label className="grid gap-1 text-xs">
+                  <span className="text-slate-500">haptic pattern</span>
+                  <select
+                    value={rule.haptic ?? ""}
+                    onChange={(e) => patch(rule, { haptic: e.target.value || null })}
+                    className="border rounded-lg px-2 py-1"
+                  >
+                    <option value="">none</option>
+                    {rule.haptic != null && !patterns.some((p) => p.id === rule.haptic) && (
+                      <option value={rule.haptic}>{rule.haptic} (missing)</option>
+                    )}
+                    {patterns.map((p) => (
+                      <option key={p.id} value={p.id}>
+                        {p.id} — {p.label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+              {errors.length > 0 && (
+                <ul className="text-xs text-rose-600 list-disc pl-4">
+                  {errors.map((e) => (
+                    <li key={e}>{e}</li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          );
+        })}
+        {!ordered.length && (
+          <div className="text-xs text-slate-400">
+            No rules — the coach keeps its current mode and says nothing.
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
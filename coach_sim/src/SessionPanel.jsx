@@ -0,0 +1,149 @@
+import React, { useState } from "react";
+
+export const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4, 8, 16];
+
+export const formatClock = (s) =>
+  `${Math.floor(s / 60)}:${String(Math.floor(s % 60)).padStart(2, "0")}`;
+
+// Recording status, export and load in every mode; transport controls
+// once a recording is loaded for replay.
+export default function SessionPanel({
+  recorded,
+  onExport,
+  onReplayRecorded,
+  onLoad,
+  replay,
+  cursor,
+  playing,
+  speed,
+  onPlay,
+  onPause,
+  onSeek,
+  onStep,
+  onSpeed,
+}) {
+  const [error, setError] = useState("");
+
+  const onFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      onLoad(file.name, await file.arrayBuffer());
+      setError("");
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const entries = replay?.entries ?? [];
+  const last = entries.length - 1;
+  const tAt = (i) => entries[i]?.record.t ?? 0;
+
+  return (
+    <section className="bg-white rounded-2xl shadow-sm border border-slate-200 p-4 space-y-3">
+      <h3 className="font-semibold">Session</h3>
+      <div className="flex items-center justify-between text-sm">
+        <span className="text-slate-600">
+          {recorded.count
+            ? `${recorded.label}: ${recorded.count} records · ${formatClock(recorded.seconds)}`
+            : "Nothing recorded yet"}
+        </span>
+      </div>
+      <div className="grid grid-cols-2 gap-1 text-sm">
+        <button
+          onClick={onExport}
+          disabled={!recorded.count}
+          className="px-2 py-1.5 rounded-xl bg-slate-900 text-white disabled:opacity-40"
+          title="Every frame and coaching decision, as a session JSON"
+        >
+          Export
+        </button>
+        <button
+          onClick={onReplayRecorded}
+          disabled={!recorded.count}
+          className="px-2 py-1.5 rounded-xl bg-slate-200 disabled:opacity-40"
+        >
+          Replay
+        </button>
+      </div>
+      <label className="block text-xs text-slate-600">
+        <span className="underline cursor-pointer">Load recording…</span>
+        <input
+          type="file"
+          accept=".json,.jsonl,.bin,application/json,application/octet-stream"
+          onChange={onFile}
+          className="hidden"
+        />
+      </label>
+      <p className="text-xs text-slate-400">
+        Session exports, simulate’s stream.jsonl, or raw sample_t dumps (.bin).
+      </p>
+      {error && <div className="text-xs text-rose-600">{error}</div>}
+
+      {replay && (
+        <div className="space-y-2 border-t pt-3">
+          <div className="text-xs text-slate-500 truncate" title={replay.name}>
+            {replay.name}
+            {replay.meta.recoached && " · decisions re-run with current params"}
+          </div>
+          <input
+            type="range"
+            min={0}
+            max={last}
+            value={cursor}
+            onChange={(e) => onSeek(Number(e.target.value))}
+            className="w-full"
+          />
+          <div className="flex justify-between font-mono text-xs text-slate-500">
+            <span>
+              {formatClock(tAt(cursor))} · #{cursor + 1}
+            </span>
+            <span>{formatClock(tAt(last))}</span>
+          </div>
+          <div className="flex items-center gap-1 text-sm">
+            <button
+              onClick={() => onStep(-1)}
+              disabled={cursor <= 0}
+              className="px-2 py-1 rounded-lg bg-slate-100 disabled:opacity-40"
+              title="Step back one record"
+            >
+              ◀︎
+            </button>
+            {playing ? (
+              <button onClick={onPause} className="flex-1 px-2 py-1 rounded-lg bg-rose-600 text-white">
+                Pause
+              </button>
+            ) : (
+              <button
+                onClick={onPlay}
+                className="flex-1 px-2 py-1 rounded-lg bg-emerald-600 text-white"
+              >
+                Play
+              </button>
+            )}
+            <button
+              onClick={() => onStep(1)}
+              disabled={cursor >= last}
+              className="px-2 py-1 rounded-lg bg-slate-100 disabled:opacity-40"
+              title="Step forward one record"
+            >
+              ▶︎
+            </button>
+            <select
+              value={speed}
+              onChange={(e) => onSpeed(Number(e.target.value))}
+              className="border rounded-lg px-1 py-1 text-xs"
+            >
+              {REPLAY_SPEEDS.map((s) => (
+                <option key={s} value={s}>
+                  {s}×
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
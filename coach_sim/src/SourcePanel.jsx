@@ -0,0 +1,129 @@
+import React from "react";
+
+const statusStyle = {
+  connected: "bg-emerald-100 text-emerald-700",
+  connecting: "bg-amber-100 text-amber-700",
+  reconnecting: "bg-amber-100 text-amber-700",
+  disconnected: "bg-slate-100 text-slate-600",
+  error: "bg-rose-100 text-rose-700",
+};
+
+export default function SourcePanel({
+  source,
+  onSource,
+  canReplay,
+  transports,
+  transport,
+  onTransport,
+  url,
+  onUrl,
+  link,
+  onConnect,
+  onDisconnect,
+}) {
+  const busy = ["connected", "connecting", "reconnecting"].includes(link.status);
+  const stats = link.stats;
+  const current = transports[transport];
+  const supported = current.supported();
+
+  return (
+    <section className="bg-white rounded-2xl shadow-sm border border-slate-200 p-4 space-y-3">
+      <h3 className="font-semibold">Source</h3>
+      <div className="grid grid-cols-3 gap-1 text-sm">
+        {[
+          ["sim", "Simulator"],
+          ["live", "Live device"],
+          ["replay", "Replay"],
+        ].map(([id, label]) => (
+          <button
+            key={id}
+            onClick={() => onSource(id)}
+            disabled={id === "replay" && !canReplay}
+            title={id === "replay" && !canReplay ? "Load or record a session first" : undefined}
+            className={`px-2 py-1.5 rounded-xl disabled:opacity-40 ${
+              source === id ? "bg-slate-900 text-white" : "bg-slate-100"
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {source === "live" && (
+        <div className="space-y-2 text-sm">
+          <div className="flex items-center justify-between gap-2">
+            <select
+              value={transport}
+              onChange={(e) => onTransport(e.target.value)}
+              className="border rounded-lg px-2 py-1 text-xs"
+            >
+              {Object.entries(transports).map(([id, t]) => (
+                <option key={id} value={id}>
+                  {t.label}
+                </option>
+              ))}
+            </select>
+            <span className={`px-2 py-0.5 rounded-full text-xs ${statusStyle[link.status]}`}>
+              {link.status}
+              {link.mock && busy ? " (mock)" : ""}
+            </span>
+          </div>
+          {current.url && (
+            <input
+              value={url}
+              onChange={(e) => onUrl(e.target.value)}
+              disabled={busy}
+              className="w-full border rounded-lg px-2 py-1 font-mono text-xs disabled:opacity-40"
+              placeholder="ws://host:port"
+            />
+          )}
+          {busy ? (
+            <button
+              onClick={onDisconnect}
+              className="w-full px-3 py-1.5 rounded-xl bg-rose-600 text-white"
+            >
+              Disconnect
+            </button>
+          ) : (
+            <div className={`grid gap-1 ${current.mock ? "grid-cols-2" : "grid-cols-1"}`}>
+              <button
+                onClick={() => onConnect({ mock: false })}
+                disabled={!supported}
+                className="px-2 py-1.5 rounded-xl bg-emerald-600 text-white disabled:opacity-40"
+                title={supported ? "Pick the sleeve" : "Not supported here (try Chrome or Edge)"}
+              >
+                Connect…
+              </button>
+              {current.mock && (
+                <button
+                  onClick={() => onConnect({ mock: true })}
+                  className="px-2 py-1.5 rounded-xl bg-slate-200"
+                  title="Simulated sleeve speaking the same wire format"
+                >
+                  Mock device
+                </button>
+              )}
+            </div>
+          )}
+          {link.error && <div className="text-xs text-rose-600">{link.error}</div>}
+          <div className="grid grid-cols-2 gap-x-3 gap-y-1 text-xs font-mono">
+            <span className="text-slate-500">rate</span>
+            <span className="text-right">{stats ? `${stats.fps.toFixed(0)} fps` : "—"}</span>
+            <span className="text-slate-500">frames</span>
+            <span className="text-right">{stats?.frames ?? "—"}</span>
+            <span className="text-slate-500">dropped</span>
+            <span className={`text-right ${stats?.dropped ? "text-rose-600" : ""}`}>
+              {stats?.dropped ?? "—"}
+            </span>
+            <span className="text-slate-500">bad CRC</span>
+            <span className={`text-right ${stats?.corrupt ? "text-rose-600" : ""}`}>
+              {stats?.corrupt ?? "—"}
+            </span>
+            <span className="text-slate-500">reconnects</span>
+            <span className="text-right">{stats?.reconnects ?? "—"}</span>
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
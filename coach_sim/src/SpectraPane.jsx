@@ -0,0 +1,242 @@
+import React, { useMemo } from "react";
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ReferenceArea,
+  ResponsiveContainer,
+} from "recharts";
+import { analyzeImu, defaultDspConfig, SMOOTHNESS_METRICS } from "./dsp";
+import { SENSOR_RATE_HZ } from "./signal-models";
+
+const SEGMENTS_S = [0.5, 1, 2];
+const MAX_PSD_HZ = 20;
+const fixed = (v, digits = 2) => (v == null ? "—" : v.toFixed(digits));
+
+// The last `seconds` of raw frames behind the buffered records, oldest first.
+function recentFrames(stream, seconds) {
+  const want = Math.round(seconds * SENSOR_RATE_HZ);
+  const out = [];
+  for (let i = stream.length - 1; i >= 0 && out.length < want; i--) {
+    const frames = stream[i].frames;
+    if (!frames) break;
+    out.unshift(...frames);
+  }
+  return out.slice(-want);
+}
+
+/**
+ * IMU analysis behind the smoothness and tremor numbers: the gyro Welch PSD
+ * with the tremor band, and the movement speed profile with each segmented
+ * movement and its score. The settings here also drive the live estimates.
+ */
+export default function SpectraPane({ stream, dsp, onChange }) {
+  const cfg = { ...defaultDspConfig, ...dsp };
+  const frames = useMemo(() => recentFrames(stream, cfg.windowS), [stream, cfg.windowS]);
+  const analysis = useMemo(
+    () => (frames.length ? analyzeImu(frames, cfg, SENSOR_RATE_HZ) : null),
+    [frames, dsp]
+  );
+  const set = (patch) => onChange({ ...cfg, ...patch });
+
+  const psd = useMemo(() => {
+    const spectrum = analysis?.tremor.spectrum;
+    if (!spectrum) return [];
+    return spectrum.freqs
+      .map((hz, k) => ({ hz, psd: spectrum.psd[k] }))
+      .filter((p) => p.hz <= MAX_PSD_HZ);
+  }, [analysis]);
+
+  // Thinned 4× for the chart; movement bounds stay exact.
+  const speed = useMemo(
+    () =>
+      (analysis?.smooth.speed ?? [])
+        .map((v, i) => ({ s: i / SENSOR_RATE_HZ, speed: v }))
+        .filter((_, i) => i % 4 === 0),
+    [analysis]
+  );
+
+  const last = stream[stream.length - 1];
+  const [lo, hi] = cfg.tremorBand;
+
+  return (
+    <section className="bg-white rounded-2xl shadow-sm border border-slate-200 p-4 space-y-6">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h2 className="text-lg font-semibold">IMU Analysis</h2>
+          <p className="text-sm text-slate-500">
+            Tremor is gyro power in the {lo}–{hi} Hz band (Welch PSD); smoothness scores each
+            movement in the window with {cfg.smoothness.toUpperCase()}.
+          </p>
+        </div>
+        <button
+          onClick={() => onChange(defaultDspConfig)}
+          className="text-xs px-2 py-1 rounded-lg bg-slate-100"
+        >
+          Defaults
+        </button>
+      </div>
+
+      <div className="grid md:grid-cols-4 gap-4 text-sm">
+        <label className="grid gap-1">
+          <span className="flex justify-between text-xs">
+            <span>Window</span>
+            <span className="font-mono">{cfg.windowS} s</span>
+          </span>
+          <input
+            type="range"
+            min={2}
+            max={12}
+            step={1}
+            value={cfg.windowS}
+            onChange={(e) => set({ windowS: Number(e.target.value) })}
+          />
+        </label>
+        <label className="grid gap-1">
+          <span className="text-xs">Welch segment</span>
+          <select
+            value={cfg.segmentS}
+            onChange={(e) => set({ segmentS: Number(e.target.value) })}
+            className="border rounded-lg px-2 py-1"
+          >
+            {SEGMENTS_S.map((s) => (
+              <option key={s} value={s}>
+                {s} s ({(1 / s).toFixed(1)} Hz bins)
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="grid gap-1">
+          <span className="flex justify-between text-xs">
+            <span>Segment overlap</span>
+            <span className="font-mono">{Math.round(cfg.overlap * 100)}%</span>
+          </span>
+          <input
+            type="range"
+            min={0}
+            max={0.9}
+            step={0.05}
+            value={cfg.overlap}
+            onChange={(e) => set({ overlap: Number(e.target.value) })}
+          />
+        </label>
+        <label className="grid gap-1">
+          <span className="text-xs">Smoothness metric</span>
+          <select
+            value={cfg.smoothness}
+            onChange={(e) => set({ smoothness: e.target.value })}
+            className="border rounded-lg px-2 py-1"
+          >
+            {SMOOTHNESS_METRICS.map((m) => (
+              <option key={m} value={m}>
+                {m.toUpperCase()}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {!analysis ? (
+        <div className="text-sm text-slate-500">
+          No raw IMU frames buffered yet — start the simulator or a live source.
+        </div>
+      ) : (
+        <>
+          <div className="grid md:grid-cols-5 gap-3 text-sm">
+            {[
+              ["Tremor index", fixed(analysis.tremor.index)],
+              ["Band power", `${fixed(analysis.tremor.power, 1)} (°/s)²`],
+              ["Peak", `${fixed(analysis.tremor.peakHz, 1)} Hz`],
+              ["Smoothness", fixed(analysis.smooth.index)],
+              [`Mean ${cfg.smoothness.toUpperCase()}`, fixed(analysis.smooth.score)],
+            ].map(([label, value]) => (
+              <div key={label} className="rounded-xl bg-slate-50 p-3">
+                <div className="text-xs text-slate-500">{label}</div>
+                <div className="font-mono">{value}</div>
+              </div>
+            ))}
+          </div>
+          <div className="text-xs text-slate-500">
+            {(frames.length / SENSOR_RATE_HZ).toFixed(1)} s of frames,{" "}
+            {analysis.tremor.spectrum?.segments ?? 0} Welch segments. The record at{" "}
+            {last?.t?.toFixed(1)} s reported smoothness {fixed(last?.smooth)} (held from the last
+            window with a whole movement) and tremor {fixed(last?.tremor)}.
+          </div>
+
+          <div className="border border-slate-200 rounded-2xl p-4">
+            <div className="font-semibold mb-2">Gyro PSD (sum of axes)</div>
+            <ResponsiveContainer width="100%" height={220}>
+              <LineChart data={psd} margin={{ left: 8, right: 16, top: 8, bottom: 8 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="hz" type="number" domain={[0, MAX_PSD_HZ]} unit=" Hz" tick={{ fontSize: 12 }} />
+                <YAxis tick={{ fontSize: 12 }} />
+                <Tooltip
+                  formatter={(v) => [`${v.toFixed(2)} (°/s)²/Hz`, "PSD"]}
+                  labelFormatter={(v) => `${Number(v).toFixed(1)} Hz`}
+                />
+                <ReferenceArea x1={lo} x2={hi} fill="#ef4444" fillOpacity={0.08} />
+                <Line
+                  dataKey="psd"
+                  stroke="#ef4444"
+                  dot={false}
+                  isAnimationActive={false}
+                />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div className="border border-slate-200 rounded-2xl p-4">
+            <div className="font-semibold mb-2">Angular speed (low-passed) and movements</div>
+            <ResponsiveContainer width="100%" height={200}>
+              <LineChart data={speed} margin={{ left: 8, right: 16, top: 8, bottom: 8 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="s" type="number" domain={[0, "dataMax"]} unit=" s" tick={{ fontSize: 12 }} />
+                <YAxis tick={{ fontSize: 12 }} unit="°/s" />
+                <Tooltip
+                  formatter={(v) => [`${v.toFixed(1)} °/s`, "speed"]}
+                  labelFormatter={(v) => `${Number(v).toFixed(2)} s`}
+                />
+                {analysis.smooth.movements.map((m) => (
+                  <ReferenceArea key={m.start} x1={m.start} x2={m.end} fill="#0ea5e9" fillOpacity={0.12} />
+                ))}
+                <Line dataKey="speed" stroke="#0ea5e9" dot={false} isAnimationActive={false} />
+              </LineChart>
+            </ResponsiveContainer>
+            <table className="w-full text-sm mt-2">
+              <thead>
+                <tr className="text-left text-slate-500">
+                  <th className="py-1 font-normal">Movement</th>
+                  <th className="py-1 font-normal">Span</th>
+                  <th className="py-1 font-normal">Duration</th>
+                  <th className="py-1 font-normal">{cfg.smoothness.toUpperCase()}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {analysis.smooth.movements.map((m, i) => (
+                  <tr key={m.start} className="border-t">
+                    <td className="py-1">{i + 1}</td>
+                    <td className="py-1 font-mono">
+                      {m.start.toFixed(2)}–{m.end.toFixed(2)} s
+                    </td>
+                    <td className="py-1 font-mono">{(m.end - m.start).toFixed(2)} s</td>
+                    <td className="py-1 font-mono">{fixed(m.score)}</td>
+                  </tr>
+                ))}
+                {!analysis.smooth.movements.length && (
+                  <tr className="border-t">
+                    <td colSpan={4} className="py-1 text-slate-500">
+                      No whole movement in the window.
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </section>
+  );
+}
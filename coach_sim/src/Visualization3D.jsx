@@ -150,6 +150,7 @@ export default function VisualizationPane({
   latest,
   layoutPoints,
   sensors,
+  calibration,
   running,
   demoActive,
   onToggleDemo,
@@ -264,9 +265,11 @@ export default function VisualizationPane({
 
   const latestSensors = useMemo(() => {
     if (!latest)
-      return { strain: ["—", "—", "—"], fsr: ["—", "—", "—"], resp: "—" };
+      return { strain: ["—", "—", "—"], angles: ["—", "—", "—"], fsr: ["—", "—", "—"], resp: "—" };
+    const { wrist, leg } = latest.pose ?? defaultPose;
     return {
       strain: latest.strain?.map((v) => v.toFixed(2)) ?? [],
+      angles: [wrist.flexion, leg.knee, leg.ankle].map((v) => `${v.toFixed(0)}°`),
       fsr: latest.fsr?.map((v) => v.toFixed(1)) ?? [],
       resp: latest.resp?.toFixed(2) ?? "—",
     };
@@ -292,7 +295,7 @@ export default function VisualizationPane({
         <div>
           <h2 className="text-lg font-semibold">3D Visualization</h2>
           <p className="text-sm text-slate-600">
-            Live articulated wrist/leg driven by the shared simulated signals.
+            Live articulated wrist/leg driven by the shared signals, mapped through the profile’s calibration.
           </p>
         </div>
         <div className="flex items-center gap-2">
@@ -389,12 +392,21 @@ export default function VisualizationPane({
           <div className="border border-slate-200 rounded-xl p-4 bg-white space-y-2">
             <div className="font-semibold text-sm">Live telemetry</div>
             <div className="grid grid-cols-2 gap-2 text-sm">
-              <Telemetry label="Strain" value={latestSensors.strain.join(", ")} />
-              <Telemetry label="FSR" value={latestSensors.fsr.join(", ")} />
+              <Telemetry label="Strain (raw)" value={latestSensors.strain.join(", ")} />
+              <Telemetry label="Joint angles" value={latestSensors.angles.join(", ")} />
+              <Telemetry label="FSR (N)" value={latestSensors.fsr.join(", ")} />
               <Telemetry label="Resp" value={latestSensors.resp} />
               <Telemetry label="Sensors" value={Object.keys(sensors).filter((k) => sensors[k]).join(", ") || "none"} />
               <Telemetry label="Stream state" value={running ? "Running" : "Paused"} />
               <Telemetry label="Pose source" value={demoActive ? "Random demo" : "Live/Manual"} />
+              <Telemetry
+                label="Calibration"
+                value={
+                  calibration?.updated
+                    ? new Date(calibration.updated).toLocaleDateString()
+                    : "Default linear"
+                }
+              />
             </div>
           </div>
 
@@ -0,0 +1,224 @@
+import { fitCurve } from "./calibration.js";
+
+/**
+ * ADC counts ↔ physical units
+ * ---------------------------
+ * The analog front end behind the sample_t floats, channel by channel:
+ *
+ *   MCP3564R (24-bit)  CH0–2 strain bridges via INA333, CH4 EMG envelope
+ *   MCP3208  (12-bit)  CH0–2 FSR dividers, CH3 respiration band divider
+ *
+ * Each channel converts counts → volts at the ADC pin → an engineering
+ * unit, and to the float the firmware packs into sample_t:
+ *
+ *   strain   Vout / Vref (0.5 = balanced bridge, INA333 REF at Vref/2)
+ *   emg_env  Vout / Vref
+ *   fsr      force in N, from the pad's conductance curve
+ *   resp     band resistance / nominal
+ *
+ * `frameCounts` goes the other way (what the ADCs would have read for a
+ * frame), so any source can be shown as raw counts.
+ */
+
+export const ADC_PARTS = {
+  MCP3564R: { bits: 24, signed: true }, // codes ±2^23, PGA gain per channel
+  MCP3208: { bits: 12, signed: false }, // codes 0…4095
+};
+
+// Interlink 402-style pad: conductance (µS) against force (N), roughly
+// linear once the pad is loaded.
+export const FSR_CONDUCTANCE = {
+  fit: "piecewise",
+  points: [
+    [0, 0],
+    [2, 1],
+    [8, 4],
+    [25, 10],
+    [60, 25],
+    [120, 50],
+    [250, 100],
+  ],
+};
+
+const bridge = (id, label, ch, index) => ({
+  id,
+  label,
+  adc: "MCP3564R",
+  ch,
+  field: "strain",
+  index,
+  kind: "bridge",
+  vref: 3.3,
+  pga: 1,
+  rg: 1000, // INA333 gain = 1 + 100 kΩ / Rg
+  excitation: 3.3,
+});
+
+const pad = (id, label, ch, index) => ({
+  id,
+  label,
+  adc: "MCP3208",
+  ch,
+  field: "fsr",
+  index,
+  kind: "fsr",
+  vref: 3.3,
+  vcc: 3.3,
+  rMeasure: 10000, // FSR to Vcc, measuring resistor to ground
+  conductance: FSR_CONDUCTANCE,
+});
+
+export const defaultAdcChannels = [
+  bridge("wrist", "Wrist strain", 0, 0),
+  bridge("elbow", "Elbow strain", 1, 1),
+  bridge("shoulder", "Shoulder strain", 2, 2),
+  {
+    id: "emg",
+    label: "EMG envelope",
+    adc: "MCP3564R",
+    ch: 4,
+    field: "emg_env",
+    kind: "envelope",
+    vref: 3.3,
+    pga: 1,
+    gain: 200, // MyoWare SIG volts per electrode volt
+  },
+  pad("thumb", "Grip FSR 1 (thumb)", 0, 0),
+  pad("palm", "Grip FSR 2 (palm)", 1, 1),
+  pad("stance", "Stance FSR", 2, 2),
+  {
+    id: "resp",
+    label: "Respiration band",
+    adc: "MCP3208",
+    ch: 3,
+    field: "resp",
+    kind: "divider",
+    vref: 3.3,
+    vcc: 3.3,
+    rTop: 10000, // fixed resistor to Vcc, band to ground
+    rNominal: 10000, // band resistance that reads as resp = 1
+  },
+];
+
+// ---------- Counts ↔ volts ----------
+function fullScale(channel) {
+  const { bits, signed } = ADC_PARTS[channel.adc];
+  return signed ? 2 ** (bits - 1) : 2 ** bits;
+}
+
+export function countsToVolts(channel, counts) {
+  return (counts * channel.vref) / ((channel.pga ?? 1) * fullScale(channel));
+}
+
+export function voltsToCounts(channel, volts) {
+  const { signed } = ADC_PARTS[channel.adc];
+  const scale = fullScale(channel);
+  const code = Math.round((volts * (channel.pga ?? 1) * scale) / channel.vref);
+  return Math.max(signed ? -scale : 0, Math.min(scale - 1, code));
+}
+
+// ---------- Front ends ----------
+// Per kind: volts ↔ the sample_t float, and volts → engineering unit.
+const conductanceCurves = new WeakMap();
+const conductanceOf = (channel) => {
+  if (!conductanceCurves.has(channel.conductance)) {
+    conductanceCurves.set(channel.conductance, fitCurve(channel.conductance, [0, 1e4]));
+  }
+  return conductanceCurves.get(channel.conductance);
+};
+// Conductance (µS) of a pad in a divider reading `v`.
+const padMicrosiemens = (c, v) =>
+  v <= 0 ? 0 : v >= c.vcc ? Infinity : (1e6 * v) / (c.rMeasure * (c.vcc - v));
+
+const frontEnds = {
+  bridge: {
+    unit: "mV/V",
+    toVolts: (c, value) => value * c.vref,
+    toValue: (c, v) => v / c.vref,
+    toUnits: (c, v) => ((v - c.vref / 2) / (1 + 100000 / c.rg) / c.excitation) * 1000,
+  },
+  envelope: {
+    unit: "mV",
+    toVolts: (c, value) => value * c.vref,
+    toValue: (c, v) => v / c.vref,
+    toUnits: (c, v) => (v / c.gain) * 1000,
+  },
+  fsr: {
+    unit: "N",
+    toVolts: (c, force) => {
+      const g = conductanceOf(c).toRaw(Math.max(0, force)) * 1e-6;
+      return (c.vcc * c.rMeasure * g) / (c.rMeasure * g + 1);
+    },
+    toValue: (c, v) => Math.max(0, conductanceOf(c).toUnits(Math.min(padMicrosiemens(c, v), 1e4))),
+    toUnits: (c, v) => frontEnds.fsr.toValue(c, v),
+  },
+  divider: {
+    unit: "kΩ",
+    toVolts: (c, value) => {
+      const r = Math.max(0, value) * c.rNominal;
+      return (c.vcc * r) / (c.rTop + r);
+    },
+    toValue: (c, v) => frontEnds.divider.toUnits(c, v) * (1000 / c.rNominal),
+    toUnits: (c, v) => (v >= c.vcc ? Infinity : (c.rTop * v) / (c.vcc - v) / 1000),
+  },
+};
+
+export const unitOf = (channel) => frontEnds[channel.kind].unit;
+
+const fieldOf = (frame, c) => (c.index != null ? frame[c.field]?.[c.index] : frame[c.field]);
+
+// ---------- Frames ----------
+// The code each ADC channel would have read for a sample_t frame.
+export function frameCounts(frame, channels = defaultAdcChannels) {
+  return Object.fromEntries(
+    channels.map((c) => {
+      const value = fieldOf(frame, c);
+      return [c.id, value == null ? null : voltsToCounts(c, frontEnds[c.kind].toVolts(c, value))];
+    })
+  );
+}
+
+/**
+ * One row per channel for a set of raw counts: volts at the pin, the
+ * engineering value, and the sample_t float the firmware should pack.
+ */
+export function convertCounts(counts, channels = defaultAdcChannels) {
+  return channels.map((c) => {
+    const code = counts[c.id];
+    if (code == null) return { channel: c, counts: null, volts: null, units: null, value: null };
+    const volts = countsToVolts(c, code);
+    const fe = frontEnds[c.kind];
+    return { channel: c, counts: code, volts, units: fe.toUnits(c, volts), value: fe.toValue(c, volts) };
+  });
+}
+
+// ---------- Firmware ----------
+// The same scaling as C constants, so the sleeve firmware packs sample_t
+// with exactly the factors the app converts with.
+export function scalingHeader(channels = defaultAdcChannels) {
+  const name = (c, key) => `ADC_${c.id.toUpperCase()}_${key}`;
+  const float = (v) => `${Number.isInteger(v) ? v.toFixed(1) : v}f`;
+  const lines = [
+    "// Generated by coachsim (src/adc.js). Counts -> volts -> sample_t.",
+    "#pragma once",
+    "",
+  ];
+  for (const c of channels) {
+    const params = Object.entries(c).filter(
+      ([key, v]) => typeof v === "number" && !["ch", "index"].includes(key)
+    );
+    lines.push(`// ${c.label}: ${c.adc} CH${c.ch} -> sample_t.${c.field}${c.index != null ? `[${c.index}]` : ""} (${c.kind})`);
+    lines.push(`#define ${name(c, "CH")} ${c.ch}`);
+    for (const [key, v] of params) lines.push(`#define ${name(c, key.toUpperCase())} ${float(v)}`);
+    if (c.conductance) {
+      const { points } = c.conductance;
+      lines.push(
+        `static const float ${name(c, "CONDUCTANCE_US_N")}[${points.length}][2] = {${points
+          .map(([g, f]) => `{${float(g)}, ${float(f)}}`)
+          .join(", ")}};`
+      );
+    }
+    lines.push("");
+  }
+  return lines.join("\n");
+}
@@ -0,0 +1,279 @@
+import { createRng } from "./rng.js";
+import { streamSimulatedFrames } from "./simulation.js";
+import { decodeFrame, encodeFrames, SAMPLE_T_BYTES } from "./sample-codec.js";
+import { RECONNECT_DELAYS_MS } from "./live.js";
+
+/**
+ * Web Bluetooth transport
+ * -----------------------
+ * The sleeve streams packed sample_t frames as notifications on one GATT
+ * characteristic. Frames do not fit an MTU, so the byte stream is cut into
+ * notifications with a 3-byte header:
+ *
+ *   offset  size  field
+ *        0     2  seq    uint16 LE, +1 per notification, wraps
+ *        2     1  first  offset of the first frame that starts in this
+ *                        payload, 0xFF if the payload only continues one
+ *        3     …  payload (at most ATT MTU − 3 − 3 bytes)
+ *
+ * A gap in `seq` discards the partial frame and skips to the next `first`.
+ * Lost frames are counted from the jump in t_us, since frames carry no
+ * sequence of their own here.
+ *
+ * The radio sits behind a transport — `webBluetoothTransport()` in the
+ * browser, `createFakePeripheral()` anywhere — with this shape:
+ *
+ *   transport.connect({ onValue, onDisconnected }) → Promise<{ mtu, disconnect() }>
+ *
+ * `onValue` receives each notification as a DataView.
+ */
+
+export const SLEEVE_SERVICE_UUID = "6e4a0001-3c1f-4b7e-9a51-5a6b2c0d1e01";
+export const SLEEVE_FRAMES_UUID = "6e4a0002-3c1f-4b7e-9a51-5a6b2c0d1e01";
+
+const HEADER_BYTES = 3;
+const NO_FRAME_START = 0xff;
+
+// ---------- Reassembly ----------
+export function createReassembler({ onFrame, onGap }) {
+  let expected = null;
+  let partial = new Uint8Array(0);
+  let synced = false;
+
+  const emit = (bytes) => {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let at = 0;
+    for (; at + SAMPLE_T_BYTES <= bytes.length; at += SAMPLE_T_BYTES) {
+      onFrame(decodeFrame(view, at));
+    }
+    partial = bytes.slice(at);
+  };
+
+  return {
+    push(view) {
+      const seq = view.getUint16(0, true);
+      const first = view.getUint8(2);
+      const payload = new Uint8Array(
+        view.buffer,
+        view.byteOffset + HEADER_BYTES,
+        view.byteLength - HEADER_BYTES
+      );
+
+      if (expected != null && seq !== expected) {
+        onGap?.((seq - expected + 0x10000) & 0xffff);
+        synced = false;
+      }
+      expected = (seq + 1) & 0xffff;
+
+      // Our leftover bytes and `first` must agree on where the frame ends.
+      if (synced && first !== NO_FRAME_START && (partial.length + first) % SAMPLE_T_BYTES) {
+        synced = false;
+      }
+      if (!synced) {
+        partial = new Uint8Array(0);
+        if (first === NO_FRAME_START || first >= payload.length) return;
+        synced = true;
+        emit(payload.slice(first));
+        return;
+      }
+      const bytes = new Uint8Array(partial.length + payload.length);
+      bytes.set(partial);
+      bytes.set(payload, partial.length);
+      emit(bytes);
+    },
+    reset() {
+      expected = null;
+      partial = new Uint8Array(0);
+      synced = false;
+    },
+  };
+}
+
+// Split a packed frame byte stream into notifications; `offset` is how far
+// into a frame the stream starts (0 when it starts on a boundary).
+export function packetize(bytes, { mtu = 23, seq = 0, offset = 0 } = {}) {
+  const room = mtu - 3 - HEADER_BYTES;
+  const packets = [];
+  for (let at = 0; at < bytes.length; at += room) {
+    const payload = bytes.subarray(at, at + room);
+    const toBoundary = (SAMPLE_T_BYTES - ((offset + at) % SAMPLE_T_BYTES)) % SAMPLE_T_BYTES;
+    const packet = new Uint8Array(HEADER_BYTES + payload.length);
+    new DataView(packet.buffer).setUint16(0, (seq + packets.length) & 0xffff, true);
+    packet[2] = toBoundary < payload.length ? toBoundary : NO_FRAME_START;
+    packet.set(payload, HEADER_BYTES);
+    packets.push(packet);
+  }
+  return packets;
+}
+
+// ---------- Connection ----------
+/**
+ * Subscribe through `transport` and keep the subscription alive: an
+ * unexpected disconnect is retried with backoff before giving up.
+ * `onStatus` receives "connecting" | "connected" | "reconnecting" |
+ * "disconnected" | "error".
+ */
+export async function connectBle(transport, { stats, onFrame, onStatus }) {
+  let link = null;
+  let closing = false;
+  let retry = null;
+
+  const reassembler = createReassembler({
+    onFrame: (frame) => {
+      stats?.timed(frame.t_us);
+      onFrame(frame);
+    },
+  });
+
+  const open = async () => {
+    reassembler.reset();
+    link = await transport.connect({
+      onValue: (view) => reassembler.push(view),
+      onDisconnected: () => {
+        link = null;
+        if (!closing) reconnect(0);
+      },
+    });
+  };
+
+  const reconnect = (attempt) => {
+    if (attempt >= RECONNECT_DELAYS_MS.length) {
+      onStatus?.("error", new Error(`Lost the sleeve after ${attempt} reconnect attempts`));
+      return;
+    }
+    onStatus?.("reconnecting");
+    retry = setTimeout(async () => {
+      retry = null;
+      if (closing) return;
+      try {
+        await open();
+        stats?.reconnect();
+        onStatus?.("connected");
+      } catch {
+        reconnect(attempt + 1);
+      }
+    }, RECONNECT_DELAYS_MS[attempt]);
+  };
+
+  onStatus?.("connecting");
+  await open();
+  onStatus?.("connected");
+
+  return {
+    async close() {
+      closing = true;
+      clearTimeout(retry);
+      await link?.disconnect();
+      link = null;
+      onStatus?.("disconnected");
+    },
+  };
+}
+
+export const bluetoothSupported = () =>
+  typeof navigator !== "undefined" && "bluetooth" in navigator;
+
+// The browser radio. The device picker opens once; reconnects reuse it.
+export function webBluetoothTransport() {
+  let device = null;
+  return {
+    async connect({ onValue, onDisconnected }) {
+      if (!bluetoothSupported()) {
+        throw new Error("Web Bluetooth is not available in this browser (use Chrome or Edge)");
+      }
+      device ??= await navigator.bluetooth.requestDevice({
+        filters: [{ services: [SLEEVE_SERVICE_UUID] }],
+      });
+      const server = await device.gatt.connect();
+      const service = await server.getPrimaryService(SLEEVE_SERVICE_UUID);
+      const characteristic = await service.getCharacteristic(SLEEVE_FRAMES_UUID);
+      const onChange = (e) => onValue(e.target.value);
+      characteristic.addEventListener("characteristicvaluechanged", onChange);
+      device.addEventListener("gattserverdisconnected", onDisconnected, { once: true });
+      await characteristic.startNotifications();
+      return {
+        mtu: null, // not exposed by Web Bluetooth
+        async disconnect() {
+          device.removeEventListener("gattserverdisconnected", onDisconnected);
+          characteristic.removeEventListener("characteristicvaluechanged", onChange);
+          if (device.gatt.connected) device.gatt.disconnect();
+        },
+      };
+    },
+  };
+}
+
+// ---------- Fake peripheral ----------
+/**
+ * A local GATT peripheral for development and tests: streams simulator
+ * frames at real rate, cut into `mtu`-sized notifications. `dropRate` loses
+ * notifications and `disconnectEvery` (seconds) drops the link so the
+ * reconnect path gets exercised. `dropLink()` does the same on demand.
+ * Like the firmware it keeps sampling through a dropped link, and stops
+ * once the central disconnects on purpose.
+ */
+export function createFakePeripheral({
+  seed = "fake-ble",
+  user,
+  params,
+  sensors,
+  mtu = 23,
+  dropRate = 0,
+  disconnectEvery = null,
+  chunkMs = 50,
+} = {}) {
+  const radio = createRng(`${seed}:radio`);
+  let seq = 0;
+  let sent = 0; // bytes streamed so far, to place frame boundaries
+  let stop = null;
+  let kick = null;
+  let subscriber = null;
+
+  const drop = () => {
+    const current = subscriber;
+    subscriber = null;
+    clearTimeout(kick);
+    current?.onDisconnected();
+  };
+
+  const ensureStreaming = () => {
+    if (stop) return;
+    sent = 0;
+    stop = streamSimulatedFrames(
+      { user, params, sensors, seed },
+      (frames) => {
+        const bytes = new Uint8Array(encodeFrames(frames));
+        const packets = packetize(bytes, { mtu, seq, offset: sent % SAMPLE_T_BYTES });
+        seq = (seq + packets.length) & 0xffff;
+        sent += bytes.length;
+        if (!subscriber) return;
+        for (const p of packets) {
+          if (radio.next() < dropRate) continue;
+          subscriber.onValue(new DataView(p.buffer));
+        }
+      },
+      { chunkMs }
+    );
+  };
+
+  return {
+    mock: true,
+    mtu,
+    async connect(handlers) {
+      ensureStreaming();
+      subscriber = handlers;
+      if (disconnectEvery) kick = setTimeout(drop, disconnectEvery * 1000);
+      return {
+        mtu,
+        async disconnect() {
+          if (subscriber !== handlers) return;
+          subscriber = null;
+          clearTimeout(kick);
+          stop?.();
+          stop = null;
+        },
+      };
+    },
+    dropLink: drop,
+  };
+}
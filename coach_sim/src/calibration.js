@@ -0,0 +1,169 @@
+/**
+ * Sensor calibration
+ * ------------------
+ * Per-channel curves from raw readings to physical units: the three strain
+ * bridges to joint angles (degrees) and the three FSR pads to force (N).
+ * A profile stores only what was measured — (raw, value) points and the fit
+ * to use — so it stays readable JSON and refits the same way everywhere:
+ *
+ *   { "updated": "2024-…", "channels": {
+ *       "wrist": { "fit": "piecewise", "points": [[0.47, 0], [0.81, 85]] },
+ *       "thumb": { "fit": "poly", "degree": 2, "points": [[0, 0], …] } } }
+ *
+ * Channels a profile leaves out (or that cannot be fitted) use the defaults,
+ * which keep the original pose-to-strain constants (0.5 + angle/110·0.35 for
+ * the wrist, /130 for the knee, /80 for the ankle). Reading strain back now
+ * inverts those exactly; the old readout scaled by ×120/×140/×90 instead.
+ */
+
+export const CALIBRATION_CHANNELS = [
+  { id: "wrist", sensor: "strain", index: 0, label: "Wrist flexion", unit: "°", raw: [0, 1] },
+  { id: "knee", sensor: "strain", index: 1, label: "Elbow/knee flexion", unit: "°", raw: [0, 1] },
+  { id: "ankle", sensor: "strain", index: 2, label: "Shoulder/ankle", unit: "°", raw: [0, 1] },
+  { id: "thumb", sensor: "fsr", index: 0, label: "Thumb FSR", unit: "N", raw: [0, 100] },
+  { id: "palm", sensor: "fsr", index: 1, label: "Palm FSR", unit: "N", raw: [0, 100] },
+  { id: "stance", sensor: "fsr", index: 2, label: "Stance FSR", unit: "N", raw: [0, 100] },
+];
+
+export const CALIBRATION_FITS = ["piecewise", "poly"];
+export const MAX_POLY_DEGREE = 3;
+
+export const defaultCalibration = {
+  updated: null,
+  channels: {
+    wrist: { fit: "piecewise", points: [[0.5, 0], [0.85, 110]] },
+    knee: { fit: "piecewise", points: [[0.5, 0], [0.85, 130]] },
+    ankle: { fit: "piecewise", points: [[0.5, 0], [0.85, 80]] },
+    thumb: { fit: "piecewise", points: [[0, 0], [1, 1]] },
+    palm: { fit: "piecewise", points: [[0, 0], [1, 1]] },
+    stance: { fit: "piecewise", points: [[0, 0], [1, 1]] },
+  },
+};
+
+const clampTo = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+
+// ---------- Fitting ----------
+// Linear through the knots, extended past the ends with the end segments'
+// slopes.
+const interpolate = (xs, ys) => (x) => {
+  let i = 0;
+  while (i < xs.length - 2 && x > xs[i + 1]) i += 1;
+  return ys[i] + ((x - xs[i]) * (ys[i + 1] - ys[i])) / (xs[i + 1] - xs[i]);
+};
+
+// Knots from the sorted points; points sharing a raw value are averaged.
+function knots(points) {
+  const merged = [];
+  [...points]
+    .sort((a, b) => a[0] - b[0])
+    .forEach(([x, y]) => {
+      const last = merged[merged.length - 1];
+      if (last && last.x === x) {
+        last.sum += y;
+        last.n += 1;
+      } else merged.push({ x, sum: y, n: 1 });
+    });
+  return { xs: merged.map((p) => p.x), ys: merged.map((p) => p.sum / p.n) };
+}
+
+// Least-squares polynomial via the normal equations; the degree drops to
+// what the number of distinct points supports.
+function polynomial(points, degree) {
+  const distinct = new Set(points.map((p) => p[0])).size;
+  const d = Math.min(degree, distinct - 1, MAX_POLY_DEGREE);
+  if (d < 1) return null;
+  const n = d + 1;
+  const a = Array.from({ length: n }, () => new Array(n + 1).fill(0));
+  for (const [x, y] of points) {
+    for (let r = 0; r < n; r++) {
+      for (let c = 0; c < n; c++) a[r][c] += x ** (r + c);
+      a[r][n] += y * x ** r;
+    }
+  }
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(a[r][col]) > Math.abs(a[pivot][col])) pivot = r;
+    }
+    if (Math.abs(a[pivot][col]) < 1e-12) return null;
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+    for (let r = 0; r < n; r++) {
+      if (r === col) continue;
+      const k = a[r][col] / a[col][col];
+      for (let c = col; c <= n; c++) a[r][c] -= k * a[col][c];
+    }
+  }
+  const coeffs = a.map((row, i) => row[n] / row[i]);
+  return (x) => coeffs.reduceRight((acc, c) => acc * x + c, 0);
+}
+
+/**
+ * Fit one channel's curve. Returns { toUnits(raw), toRaw(value) } or null
+ * when the points cannot define a curve (fewer than two distinct readings).
+ * `toRaw` interpolates backwards when the knots are monotonic and bisects
+ * over the channel's raw range otherwise (polynomials, dips in the data).
+ */
+export function fitCurve(curve, range = [0, 1]) {
+  const points = (curve?.points ?? []).filter(
+    (p) => Number.isFinite(p?.[0]) && Number.isFinite(p?.[1])
+  );
+  const [lo, hi] = range;
+  let toUnits;
+  if (curve?.fit === "poly") {
+    toUnits = polynomial(points, curve.degree ?? 2);
+  } else {
+    const { xs, ys } = knots(points);
+    if (xs.length < 2) return null;
+    toUnits = interpolate(xs, ys);
+    const steps = ys.slice(1).map((y, i) => Math.sign(y - ys[i]));
+    if (steps.every((d) => d !== 0 && d === steps[0])) {
+      const backwards =
+        steps[0] > 0 ? interpolate(ys, xs) : interpolate([...ys].reverse(), [...xs].reverse());
+      return { toUnits, toRaw: (value) => clampTo(backwards(value), lo, hi) };
+    }
+  }
+  if (!toUnits) return null;
+  const rising = toUnits(hi) >= toUnits(lo);
+  const toRaw = (value) => {
+    let a = lo;
+    let b = hi;
+    for (let i = 0; i < 40; i++) {
+      const mid = (a + b) / 2;
+      if (toUnits(mid) < value === rising) a = mid;
+      else b = mid;
+    }
+    return (a + b) / 2;
+  };
+  return { toUnits, toRaw };
+}
+
+// ---------- Profiles ----------
+const compiled = new WeakMap();
+
+/**
+ * Fitted curves for every channel of a calibration profile, keyed by
+ * channel id. Cached per profile object, so call it freely per record.
+ */
+export function calibrationCurves(calibration) {
+  calibration ??= defaultCalibration;
+  if (compiled.has(calibration)) return compiled.get(calibration);
+  const curves = Object.fromEntries(
+    CALIBRATION_CHANNELS.map(({ id, raw }) => [
+      id,
+      fitCurve(calibration.channels?.[id], raw) ??
+        fitCurve(defaultCalibration.channels[id], raw),
+    ])
+  );
+  compiled.set(calibration, curves);
+  return curves;
+}
+
+const channelsOf = (sensor) => CALIBRATION_CHANNELS.filter((c) => c.sensor === sensor);
+export const STRAIN_CHANNELS = channelsOf("strain");
+export const FSR_CHANNELS = channelsOf("fsr");
+
+// FSR readings in newtons, through the thumb/palm/stance curves.
+export function fsrToNewtons(fsr, calibration) {
+  const curves = calibrationCurves(calibration);
+  return fsr.map((v, i) => curves[FSR_CHANNELS[i].id].toUnits(v));
+}
@@ -0,0 +1,97 @@
+import { defaultRules, rulePolicy } from "./policy.js";
+import { activeRules, compileCondition } from "./rules.js";
+
+/**
+ * Coach state machine
+ * -------------------
+ * The policy (the rules, unless another is plugged in) decides each record
+ * on its own; this keeps REST from flickering when a reading hovers around
+ * a ceiling:
+ *   - REST starts as soon as a REST rule's `when` (the enter threshold) holds;
+ *   - it lasts at least `params.restMinS` seconds of session time;
+ *   - it ends once `params.resumeFrames` records in a row are safe, i.e.
+ *     every enabled REST rule's `resume` (the exit threshold) holds — or,
+ *     for a rule without one, its `when` does not;
+ *   - stopping the session ends it at once.
+ * Every mode change is reported as `transition: { from, to, reason }`, the
+ * reason being the policy's own when it gives one.
+ *
+ *   const coach = createCoach();
+ *   const decision = coach.decide(record, { running, params, sensors, rules, policy });
+ */
+
+function isSafe(scope, rules) {
+  return activeRules(rules)
+    .filter((rule) => rule.mode === "REST")
+    .every((rule) =>
+      rule.resume ? compileCondition(rule.resume)(scope) : !compileCondition(rule.when)(scope)
+    );
+}
+
+export function createCoach() {
+  let mode = "IDLE";
+  let rest = null; // { since, rule, message, haptic, safe }
+
+  const status = (t, params) => {
+    const elapsed = t - rest.since;
+    return {
+      rule: rest.rule,
+      elapsed,
+      // Param sets saved before the dwell settings existed resume as before.
+      remaining: Math.max(0, (params.restMinS ?? 0) - elapsed),
+      safe: rest.safe,
+      needed: params.resumeFrames ?? 1,
+    };
+  };
+
+  return {
+    get mode() {
+      return mode;
+    },
+    reset() {
+      mode = "IDLE";
+      rest = null;
+    },
+    decide(record, { running, params, sensors, rules = defaultRules, policy = rulePolicy }) {
+      const proposed = policy.decide(record, { mode, running, params, sensors, rules });
+      const from = mode;
+      let decision = proposed;
+      let reason = proposed.reason ?? (proposed.rule ? `rule ${proposed.rule}` : null);
+
+      if (from === "REST" && rest && proposed.mode !== "IDLE") {
+        const scope = { ...record, params, sensors, running, mode };
+        const safe = proposed.mode !== "REST" && isSafe(scope, rules);
+        rest.safe = safe ? rest.safe + 1 : 0;
+        if (proposed.mode === "REST") {
+          rest.message = proposed.message;
+          rest.haptic = proposed.haptic ?? null;
+        }
+        const { remaining, elapsed, needed } = status(record.t, params);
+        if (remaining > 0 || rest.safe < needed) {
+          decision = { mode: "REST", message: rest.message, rule: rest.rule, haptic: rest.haptic };
+        } else {
+          reason = `safe for ${rest.safe} records after ${elapsed.toFixed(0)} s rest`;
+        }
+      } else if (from === "REST" && proposed.mode === "IDLE") {
+        reason = "session stopped";
+      }
+
+      if (decision.mode === "REST" && from !== "REST") {
+        rest = {
+          since: record.t,
+          rule: proposed.rule,
+          message: proposed.message,
+          haptic: proposed.haptic ?? null,
+          safe: 0,
+        };
+      }
+      if (decision.mode !== "REST") rest = null;
+      mode = decision.mode;
+      return {
+        ...decision,
+        rest: rest && status(record.t, params),
+        transition: from !== mode ? { from, to: mode, reason } : null,
+      };
+    },
+  };
+}
@@ -0,0 +1,166 @@
+import { createCoach } from "./coach.js";
+import { MODES } from "./counterfactual.js";
+import { createSimulation } from "./simulation.js";
+
+/**
+ * Policy A/B comparison
+ * ---------------------
+ * Two or more policy configurations ("arms": param overrides and/or a rule
+ * set) coach the same simulated session, one record at a time:
+ *   open   — one stream is simulated with the base settings and every arm
+ *            decides on exactly those records, as in the What-if pane
+ *   closed — each arm drives its own simulation from the same seed, so the
+ *            random draws match but the user reacts to that arm's coach
+ *
+ *   const report = runComparison(
+ *     [{ label: "A" }, { label: "B", params: { tremorRest: 0.45 } }],
+ *     { user, params, sensors, rules, seed, seconds: 600 }
+ *   );
+ *
+ * Cues count each new message the coach delivers outside IDLE; safety trips
+ * count entries into REST. Smoothness and grip error are averaged over the
+ * records spent coaching.
+ */
+
+export const COMPARISON_LOOPS = ["open", "closed"];
+
+export function createComparison(
+  arms,
+  { seconds, loop = "open", displayRate = 1, params, rules, ...session }
+) {
+  if (arms.length < 2) throw new Error("A comparison needs at least two arms");
+  const configs = arms.map((arm, i) => ({
+    label: arm.label || String.fromCharCode(65 + i),
+    params: { ...params, ...arm.params },
+    rules: arm.rules ?? rules,
+  }));
+  const steps = Math.round(seconds * displayRate);
+  const rows = configs.map(() => []);
+  let count = 0;
+
+  const base = loop === "open" ? createSimulation({ ...session, params, rules, displayRate }) : null;
+  const coaches = configs.map(() => createCoach());
+  const sims =
+    loop === "closed"
+      ? configs.map((c) => createSimulation({ ...session, params: c.params, rules: c.rules, displayRate }))
+      : null;
+
+  const keep = (frame, decision) => ({
+    t: frame.t,
+    smooth: frame.smooth,
+    grip: frame.grip,
+    mode: decision.mode,
+    message: decision.message,
+    rule: decision.rule ?? null,
+  });
+
+  return {
+    configs,
+    get done() {
+      return count >= steps;
+    },
+    get progress() {
+      return count / steps;
+    },
+    step() {
+      if (base) {
+        const { frame } = base.step();
+        configs.forEach((c, i) => {
+          const decision = coaches[i].decide(frame, {
+            running: true,
+            params: c.params,
+            sensors: session.sensors,
+            rules: c.rules,
+          });
+          rows[i].push(keep(frame, decision));
+        });
+      } else {
+        sims.forEach((sim, i) => {
+          const { frame, decision } = sim.step();
+          rows[i].push(keep(frame, decision));
+        });
+      }
+      count += 1;
+    },
+    report() {
+      return compareArms(configs, rows, { loop, displayRate, seed: base?.seed ?? sims[0].seed });
+    },
+  };
+}
+
+export function runComparison(arms, options) {
+  const comparison = createComparison(arms, options);
+  while (!comparison.done) comparison.step();
+  return comparison.report();
+}
+
+// ---------- Report ----------
+const mean = (values) => {
+  const kept = values.filter((v) => v != null);
+  return kept.length ? kept.reduce((a, b) => a + b, 0) / kept.length : null;
+};
+
+function summarize(rows, params, dt) {
+  const seconds = Object.fromEntries(MODES.map((m) => [m, 0]));
+  let cues = 0;
+  let trips = 0;
+  let transitions = 0;
+  rows.forEach((r, i) => {
+    const prev = rows[i - 1];
+    seconds[r.mode] += dt;
+    if (r.mode !== "IDLE" && r.message && r.message !== prev?.message) cues += 1;
+    if (prev && prev.mode !== r.mode) transitions += 1;
+    if (r.mode === "REST" && prev?.mode !== "REST") trips += 1;
+  });
+  const coaching = rows.filter((r) => r.mode === "COACHING");
+  return {
+    seconds,
+    cues,
+    trips,
+    transitions,
+    meanSmooth: mean(coaching.map((r) => r.smooth)),
+    meanGripError: mean(
+      coaching.map((r) => (r.grip == null ? null : Math.abs(r.grip - params.gripTarget)))
+    ),
+  };
+}
+
+/**
+ * Per-arm summaries, an aligned mode timeline (`timeline[i].modes[arm]`) and
+ * the spans where the arms disagree, merged while the disagreement stays the
+ * same.
+ */
+export function compareArms(configs, rows, { loop, displayRate, seed }) {
+  const dt = 1 / displayRate;
+  const timeline = rows[0].map((r, i) => ({ t: r.t, modes: rows.map((arm) => arm[i].mode) }));
+  const divergences = [];
+  rows[0].forEach((r, i) => {
+    const decisions = rows.map((arm) => ({ mode: arm[i].mode, message: arm[i].message }));
+    const same = decisions.every(
+      (d) => d.mode === decisions[0].mode && d.message === decisions[0].message
+    );
+    if (same) return;
+    const key = JSON.stringify(decisions);
+    const last = divergences[divergences.length - 1];
+    if (last && last.key === key && last.next === i) {
+      last.end = r.t + dt;
+      last.next = i + 1;
+    } else {
+      divergences.push({ key, next: i + 1, start: r.t, end: r.t + dt, decisions });
+    }
+  });
+  const divergent = timeline.filter((p) => p.modes.some((m) => m !== p.modes[0])).length;
+  return {
+    loop,
+    seed,
+    seconds: rows[0].length * dt,
+    arms: configs.map((c, i) => ({
+      label: c.label,
+      params: c.params,
+      summary: summarize(rows[i], c.params, dt),
+    })),
+    timeline,
+    modeAgreement: timeline.length ? 1 - divergent / timeline.length : 1,
+    divergences: divergences.map(({ key, next, ...span }) => span),
+  };
+}
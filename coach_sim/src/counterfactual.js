@@ -0,0 +1,80 @@
+import { createCoach } from "./coach.js";
+
+/**
+ * Counterfactual policy runs
+ * --------------------------
+ * Re-decide a recorded session with different params/sensors/rules through the
+ * same coach state machine the live session uses, then compare the two runs.
+ *
+ * The re-run is open-loop: the recorded signals are replayed as they were,
+ * even where the simulator's physiology reacted to the original coach (e.g.
+ * recovering during REST). Whether the session was running is taken from
+ * the original decisions — IDLE means the coach was paused.
+ */
+
+export const MODES = ["IDLE", "COACHING", "REST"];
+
+export function rerunPolicy(entries, { params, sensors, rules }) {
+  const coach = createCoach();
+  return entries.map((entry) => {
+    const running = entry.decision.mode !== "IDLE";
+    return coach.decide(entry.record, { running, params, sensors, rules });
+  });
+}
+
+// Seconds per record, from the recording's own clock.
+const durations = (entries) =>
+  entries.map((e, i) => {
+    const next = entries[i + 1]?.record.t;
+    const prev = entries[i - 1]?.record.t;
+    return next != null ? next - e.record.t : prev != null ? e.record.t - prev : 1;
+  });
+
+function summarize(decisions, entries, dt) {
+  const seconds = Object.fromEntries(MODES.map((m) => [m, 0]));
+  let restEpisodes = 0;
+  let transitions = 0;
+  let firstRest = null;
+  decisions.forEach((d, i) => {
+    seconds[d.mode] += dt[i];
+    const prev = decisions[i - 1]?.mode;
+    if (prev != null && prev !== d.mode) transitions += 1;
+    if (d.mode === "REST" && prev !== "REST") {
+      restEpisodes += 1;
+      firstRest ??= entries[i].record.t;
+    }
+  });
+  return { seconds, restEpisodes, transitions, firstRest };
+}
+
+/**
+ * Original vs. alternate: per-record timeline, records whose advice changed,
+ * and a summary of each run.
+ */
+export function compareRuns(entries, alternate) {
+  const original = entries.map((e) => e.decision);
+  const dt = durations(entries);
+  const timeline = entries.map((e, i) => ({
+    t: e.record.t,
+    original: original[i].mode,
+    alternate: alternate[i].mode,
+  }));
+  const changes = [];
+  entries.forEach((e, i) => {
+    if (original[i].message !== alternate[i].message) {
+      changes.push({
+        t: e.record.t,
+        from: original[i],
+        to: alternate[i],
+      });
+    }
+  });
+  const agree = timeline.reduce((n, p, i) => n + (p.original === p.alternate ? dt[i] : 0), 0);
+  return {
+    timeline,
+    changes,
+    agreement: agree / dt.reduce((a, b) => a + b, 0),
+    original: summarize(original, entries, dt),
+    alternate: summarize(alternate, entries, dt),
+  };
+}
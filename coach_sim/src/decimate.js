@@ -0,0 +1,122 @@
+import { clamp, derivePoseFromSensors, gripFromFsr } from "./pose.js";
+import { fsrToNewtons } from "./calibration.js";
+import { createImuAnalyzer, defaultDspConfig } from "./dsp.js";
+import { createVitalsAnalyzer } from "./vitals.js";
+import { createFilterBank } from "./filters.js";
+import { SENSOR_RATE_HZ, tremorIndex } from "./signal-models.js";
+
+/**
+ * Decimation / aggregation
+ * ------------------------
+ * Folds windows of 200 Hz sample_t frames into the display-rate records the
+ * charts, panes and coaching policy consume. Sources that know ground truth
+ * (the simulator) pass it along; anything else is derived from the frames.
+ * FSR forces and the pose go through the user's calibration profile.
+ * Smoothness and tremor come from the IMU analysis (`imu`, see dsp.js) when
+ * one is passed; tremor otherwise falls back to this window's gyro RMS.
+ * HR, HRV and RR come from the waveform estimators (`vitals`, see
+ * vitals.js) with their signal quality in `sqi`. When the frames were
+ * filtered (filters.js), `unfiltered` holds the window as received.
+ */
+
+export const DISPLAY_RATES_HZ = [1, 2, 5, 10];
+
+const mean = (frames, pick) =>
+  frames.reduce((acc, f) => acc + pick(f), 0) / frames.length;
+const meanVec = (frames, pick) =>
+  pick(frames[0]).map((_, i) => mean(frames, (f) => pick(f)[i]));
+
+export function aggregateFrames(
+  frames,
+  { t, truth = {}, overrides = {}, gripMax = 60, calibration, imu, vitals, unfiltered } = {}
+) {
+  const last = frames[frames.length - 1];
+  const strain = overrides.strain ?? meanVec(frames, (f) => f.strain);
+  const fsr = fsrToNewtons(overrides.fsr ?? meanVec(frames, (f) => f.fsr), calibration);
+  const emgEnv = overrides.emgEnv ?? mean(frames, (f) => f.emg_env);
+  const resp = overrides.resp ?? mean(frames, (f) => f.resp);
+  const tremor =
+    overrides.tremor ??
+    clamp(imu?.tremor ?? tremorIndex(frames.map((f) => f.imu_gyro)), 0, 1);
+  const grip = overrides.grip ?? truth.grip ?? gripFromFsr(fsr, gripMax);
+
+  return {
+    t: t ?? last.t_us / 1e6,
+    smooth: overrides.smooth ?? imu?.smooth ?? truth.smooth ?? null,
+    tremor,
+    strain,
+    emgEnv,
+    fsr,
+    resp,
+    grip,
+    hr: overrides.hr ?? vitals?.hr ?? null,
+    rr: overrides.rr ?? vitals?.rr ?? null,
+    hrv: vitals?.hrv ?? null,
+    sdnn: vitals?.sdnn ?? null,
+    sqi: vitals?.sqi ?? null,
+    fatigue: truth.fatigue ?? null,
+    pose: overrides.pose ?? derivePoseFromSensors(strain, fsr, emgEnv, resp, calibration),
+    dsp: imu?.dsp ?? null,
+    faults: [],
+    frame: last, // newest raw sample_t, for the Log pane
+    frames, // the whole window, for waveform views
+    unfiltered: unfiltered ?? null, // the same window before the filter chains
+  };
+}
+
+// Streaming variant for sources that deliver frames one at a time: each
+// frame runs through the filter chains, and the sliding IMU and vitals
+// analyses see everything pushed so far.
+export function createDecimator({
+  fs = SENSOR_RATE_HZ,
+  rate = 1,
+  dsp = defaultDspConfig,
+  filters = {},
+  onRecord,
+}) {
+  let size = Math.max(1, Math.round(fs / rate));
+  let window = [];
+  let rawWindow = [];
+  let chains = filters;
+  const bank = createFilterBank({ fs });
+  const analyzer = createImuAnalyzer({ fs, config: dsp });
+  const vitals = createVitalsAnalyzer({ fs });
+  return {
+    setRate(next) {
+      size = Math.max(1, Math.round(fs / next));
+      window = [];
+      rawWindow = [];
+    },
+    setDsp(next) {
+      analyzer.configure(next);
+    },
+    setFilters(next) {
+      chains = next;
+    },
+    push(frame, options) {
+      const filtered = bank.apply(frame, chains);
+      window.push(filtered);
+      rawWindow.push(frame);
+      if (window.length < size) return null;
+      analyzer.push(window);
+      vitals.push(window);
+      const record = aggregateFrames(window, {
+        ...options,
+        imu: analyzer.summary(),
+        vitals: vitals.summary(),
+        unfiltered: window.some((f, i) => f !== rawWindow[i]) ? rawWindow : null,
+      });
+      window = [];
+      rawWindow = [];
+      onRecord?.(record);
+      return record;
+    },
+    reset() {
+      window = [];
+      rawWindow = [];
+      bank.reset();
+      analyzer.reset();
+      vitals.reset();
+    },
+  };
+}
@@ -0,0 +1,142 @@
+import { clamp } from "./pose.js";
+
+/**
+ * Adaptive difficulty
+ * -------------------
+ * Closes the loop on `params.difficulty`. Each record while coaching counts
+ * as a success when smoothness is at least `smoothMin`, grip is within
+ * GRIP_TOLERANCE of `gripTarget` and tremor stays under `tremorWarn`;
+ * records spent in REST count as failures. Every `periodS` the controller
+ * scores the last `windowS` seconds —
+ *
+ *   score = success rate − restPenalty × REST entries in the window
+ *
+ * — and moves difficulty toward `targetSuccess`, within [min, max]:
+ *   staircase — one `step` up when the score is above the target band, one
+ *               down when below it
+ *   pid       — PID on (score − target) around the difficulty it started
+ *               from, with the integral frozen while the output saturates
+ * With strategy "off" difficulty simply follows the slider.
+ */
+
+export const ADAPTIVE_STRATEGIES = ["off", "staircase", "pid"];
+
+export const defaultAdaptiveConfig = {
+  strategy: "off",
+  min: 0.6,
+  max: 1.8,
+  windowS: 30, // rolling performance window
+  periodS: 10, // seconds between adjustments
+  targetSuccess: 0.7,
+  restPenalty: 0.2, // score lost per REST entry in the window
+  step: 0.05, // staircase
+  band: 0.1, // staircase dead band around the target
+  kp: 0.5, // pid, difficulty per unit of error
+  ki: 0.01, // per error·second
+  kd: 0, // per error/second
+};
+
+// Same tolerance as the default grip rule in policy.js
+export const GRIP_TOLERANCE = 8;
+
+// Whether one record met the session's own thresholds. Missing readings
+// neither pass nor fail a criterion.
+export function recordSuccess(record, params, mode) {
+  if (mode === "REST") return false;
+  const smoothOk = record.smooth == null || record.smooth >= params.smoothMin;
+  const gripOk =
+    record.grip == null || Math.abs(record.grip - params.gripTarget) <= GRIP_TOLERANCE;
+  const tremorOk = record.tremor == null || record.tremor < params.tremorWarn;
+  return smoothOk && gripOk && tremorOk;
+}
+
+export function createDifficultyController({ config = defaultAdaptiveConfig, start = 1 } = {}) {
+  let cfg = config;
+  let value = start;
+  let history; // { t, ok, restEntry } within the window
+  let prevMode;
+  let lastAdjust;
+  let base; // pid set point for zero output
+  let integral;
+  let prevError;
+  let score = null;
+
+  const restart = () => {
+    history = [];
+    prevMode = "IDLE";
+    lastAdjust = null;
+    base = value;
+    integral = 0;
+    prevError = null;
+    score = null;
+  };
+  restart();
+
+  const stats = () => {
+    const ok = history.filter((h) => h.ok).length;
+    return {
+      success: history.length ? ok / history.length : null,
+      rests: history.filter((h) => h.restEntry).length,
+      score,
+    };
+  };
+
+  return {
+    get value() {
+      return value;
+    },
+    // Latest window: success rate, REST entries and the resulting score.
+    get stats() {
+      return stats();
+    },
+    configure(next) {
+      const switched = next.strategy !== cfg.strategy;
+      cfg = next;
+      if (switched) restart();
+      value = clamp(value, cfg.min, cfg.max);
+    },
+    // The difficulty in force: the slider's when off, the controller's otherwise.
+    current(params) {
+      return cfg.strategy === "off" ? params.difficulty : value;
+    },
+    reset(nextStart = start) {
+      value = nextStart;
+      restart();
+    },
+    // Fold in one decided record; returns the difficulty for the next one.
+    update(record, { mode, params }) {
+      const restEntry = mode === "REST" && prevMode !== "REST";
+      prevMode = mode;
+      if (cfg.strategy === "off") {
+        value = params.difficulty;
+        base = value;
+        return value;
+      }
+      if (mode === "IDLE") return value;
+
+      history.push({ t: record.t, ok: recordSuccess(record, params, mode), restEntry });
+      while (history[0].t <= record.t - cfg.windowS) history.shift();
+      lastAdjust ??= record.t;
+      // Hold through REST; the failures it adds are judged once it ends.
+      if (mode === "REST" || record.t - lastAdjust < cfg.periodS) return value;
+      const dt = record.t - lastAdjust;
+      lastAdjust = record.t;
+
+      const { success, rests } = stats();
+      score = success - cfg.restPenalty * rests;
+      const error = score - cfg.targetSuccess;
+      if (cfg.strategy === "staircase") {
+        if (error > cfg.band) value += cfg.step;
+        else if (error < -cfg.band) value -= cfg.step;
+      } else {
+        const derivative = prevError == null ? 0 : (error - prevError) / dt;
+        const next = base + cfg.kp * error + cfg.ki * (integral + error * dt) + cfg.kd * derivative;
+        if (next > cfg.min && next < cfg.max) integral += error * dt;
+        value = base + cfg.kp * error + cfg.ki * integral + cfg.kd * derivative;
+        prevError = error;
+      }
+      value = clamp(value, cfg.min, cfg.max);
+      return value;
+    },
+  };
+}
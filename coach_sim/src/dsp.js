@@ -0,0 +1,323 @@
+import { clamp } from "./pose.js";
+import { GYRO_DPS_PER_UNIT, SENSOR_RATE_HZ, TREMOR_BAND_HZ } from "./signal-models.js";
+
+/**
+ * IMU signal processing
+ * ---------------------
+ * Derives the two scalars the coach leans on hardest from the 200 Hz gyro,
+ * over a window that slides with every record:
+ *
+ * - tremor: Welch PSD of each gyro axis (Hann segments, configurable length
+ *   and overlap); power in the 4–12 Hz band, as the peak amplitude of an
+ *   equivalent sinusoid in tremor-index units (1.0 ≈ 60 °/s).
+ * - smooth: movements are cut out of the low-passed angular speed, scored
+ *   with SPARC (spectral arc length) or LDLJ (log dimensionless jerk), and
+ *   the mean score is mapped to 0–1 between a jerky and an ideal
+ *   minimum-jerk reach.
+ *
+ * `analyzeImu` returns every intermediate (spectra, speed profile, per-
+ * movement scores) for inspection; records carry only the summary.
+ */
+
+export const SMOOTHNESS_METRICS = ["sparc", "ldlj"];
+
+export const defaultDspConfig = {
+  windowS: 6, // analysis window, slides by one record
+  segmentS: 1, // Welch segment length
+  overlap: 0.5, // Welch segment overlap, 0–0.9
+  tremorBand: TREMOR_BAND_HZ,
+  smoothness: "sparc",
+};
+
+// Score → 0–1 smoothness: [jerky, minimum-jerk] for each metric.
+const SMOOTH_RANGE = { sparc: [-2.25, -1.4], ldlj: [-10.5, -4.4] };
+const MOVEMENT_CUTOFF_HZ = 2.5; // voluntary movement sits below the tremor band
+const MOVEMENT_ONSET = 0.1; // speed threshold, fraction of the window's peak
+const MOVEMENT_MIN_S = 0.3;
+const MOVEMENT_GAP_S = 0.35; // shorter pauses join submovements into one reach
+const MIN_PEAK_DPS = 10; // below this the limb is considered still
+
+// ---------- Spectra ----------
+// In-place iterative radix-2 FFT; length must be a power of two.
+export function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let len = 2; len <= n; len <<= 1) {
+    const ang = (-2 * Math.PI) / len;
+    const wr = Math.cos(ang);
+    const wi = Math.sin(ang);
+    for (let i = 0; i < n; i += len) {
+      let cr = 1;
+      let ci = 0;
+      for (let k = 0; k < len / 2; k++) {
+        const a = i + k;
+        const b = a + len / 2;
+        const tr = re[b] * cr - im[b] * ci;
+        const ti = re[b] * ci + im[b] * cr;
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+        [cr, ci] = [cr * wr - ci * wi, cr * wi + ci * wr];
+      }
+    }
+  }
+}
+
+const nextPow2 = (n) => 2 ** Math.ceil(Math.log2(Math.max(2, n)));
+
+/**
+ * One-sided Welch PSD (units²/Hz) with Hann segments, each detrended to its
+ * mean. Integrating `psd` over `freqs` gives the signal's variance.
+ */
+export function welch(signal, fs, { segment = fs, overlap = 0.5 } = {}) {
+  const len = Math.min(Math.round(segment), signal.length);
+  const nfft = nextPow2(len);
+  const hop = Math.max(1, Math.round(len * (1 - clamp(overlap, 0, 0.9))));
+  const w = Array.from({ length: len }, (_, i) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / len));
+  const wPower = w.reduce((a, v) => a + v * v, 0);
+  const psd = new Float64Array(nfft / 2 + 1);
+  let segments = 0;
+  for (let start = 0; start + len <= signal.length; start += hop) {
+    let mean = 0;
+    for (let i = 0; i < len; i++) mean += signal[start + i];
+    mean /= len;
+    const re = new Float64Array(nfft);
+    const im = new Float64Array(nfft);
+    for (let i = 0; i < len; i++) re[i] = (signal[start + i] - mean) * w[i];
+    fft(re, im);
+    for (let k = 0; k < psd.length; k++) {
+      const edge = k === 0 || k === nfft / 2 ? 1 : 2;
+      psd[k] += (edge * (re[k] ** 2 + im[k] ** 2)) / (fs * wPower);
+    }
+    segments += 1;
+  }
+  const freqs = Array.from(psd, (_, k) => (k * fs) / nfft);
+  return { freqs, psd: Array.from(psd, (p) => (segments ? p / segments : 0)), segments };
+}
+
+// Integral of a PSD between two frequencies (rectangle rule on its bins).
+export function bandPower({ freqs, psd }, [lo, hi]) {
+  const df = freqs[1] - freqs[0];
+  let power = 0;
+  freqs.forEach((f, k) => {
+    if (f >= lo && f <= hi) power += psd[k] * df;
+  });
+  return power;
+}
+
+// ---------- Smoothness ----------
+// 2nd-order Butterworth low-pass, run forward and backward (zero phase).
+export function lowpass(signal, fs, fc) {
+  const k = Math.tan((Math.PI * fc) / fs);
+  const norm = 1 / (1 + Math.SQRT2 * k + k * k);
+  const b0 = k * k * norm;
+  const a1 = 2 * (k * k - 1) * norm;
+  const a2 = (1 - Math.SQRT2 * k + k * k) * norm;
+  const pass = (x) => {
+    const y = new Array(x.length);
+    let x1 = x[0];
+    let x2 = x[0];
+    let y1 = x[0];
+    let y2 = x[0];
+    for (let i = 0; i < x.length; i++) {
+      y[i] = b0 * (x[i] + 2 * x1 + x2) - a1 * y1 - a2 * y2;
+      x2 = x1;
+      x1 = x[i];
+      y2 = y1;
+      y1 = y[i];
+    }
+    return y;
+  };
+  return pass(pass(signal).reverse()).reverse();
+}
+
+/**
+ * Spectral arc length of a speed profile (Balasubramanian et al., 2015):
+ * arc length of the normalized magnitude spectrum up to an adaptive cutoff.
+ * About -1.4 for a minimum-jerk reach; more negative is less smooth.
+ */
+export function sparc(speed, fs, { fc = 10, threshold = 0.05, padLevel = 3 } = {}) {
+  const nfft = 2 ** (Math.ceil(Math.log2(speed.length)) + padLevel);
+  const re = new Float64Array(nfft);
+  const im = new Float64Array(nfft);
+  speed.forEach((v, i) => (re[i] = v));
+  fft(re, im);
+  const df = fs / nfft;
+  const bins = Math.floor(fc / df);
+  const mag = Array.from({ length: bins + 1 }, (_, k) => Math.hypot(re[k], im[k]));
+  const peak = Math.max(...mag);
+  if (!(peak > 0)) return null;
+  // Stop at the last bin above threshold, up to fc.
+  let last = 0;
+  mag.forEach((m, k) => {
+    if (m / peak >= threshold) last = k;
+  });
+  let length = 0;
+  for (let k = 1; k <= last; k++) {
+    const dm = (mag[k] - mag[k - 1]) / peak;
+    length -= Math.sqrt((1 / last) ** 2 + dm ** 2);
+  }
+  return length;
+}
+
+/**
+ * Log dimensionless jerk of a speed profile (Balasubramanian et al., 2012):
+ * -ln(T³ / v_peak² · ∫ v''(t)² dt). About -4.5 for a minimum-jerk reach cut
+ * at the onset threshold; more negative is less smooth.
+ */
+export function ldlj(speed, fs) {
+  const dt = 1 / fs;
+  const n = speed.length;
+  if (n < 5) return null;
+  const peak = Math.max(...speed);
+  if (!(peak > 0)) return null;
+  let jerk = 0;
+  for (let i = 1; i < n - 1; i++) {
+    const d2 = (speed[i + 1] - 2 * speed[i] + speed[i - 1]) / (dt * dt);
+    jerk += d2 * d2 * dt;
+  }
+  const duration = n * dt;
+  return -Math.log((duration ** 3 / peak ** 2) * jerk);
+}
+
+// Movements as [start, end) sample ranges where speed stays above onset,
+// bridging brief pauses between submovements. Ones cut by the window edges
+// are left out: they cannot be scored whole.
+export function segmentMovements(speed, fs) {
+  const peak = Math.max(0, ...speed);
+  if (peak < MIN_PEAK_DPS) return [];
+  const onset = peak * MOVEMENT_ONSET;
+  const runs = [];
+  let start = null;
+  speed.forEach((v, i) => {
+    if (v >= onset && start == null) start = i;
+    if (v < onset && start != null) {
+      const prev = runs[runs.length - 1];
+      if (prev && start - prev[1] < MOVEMENT_GAP_S * fs) prev[1] = i;
+      else runs.push([start, i]);
+      start = null;
+    }
+  });
+  return runs.filter(([a, b]) => a > 0 && b - a >= MOVEMENT_MIN_S * fs);
+}
+
+// ---------- Analysis ----------
+const magnitude = (v) => Math.hypot(...v);
+
+/**
+ * Full analysis of a run of frames (oldest first): tremor spectrum and band
+ * power, angular speed, each movement's score, and the resulting indexes.
+ * Either index is null when the window cannot support it.
+ */
+export function analyzeImu(frames, config = defaultDspConfig, fs = SENSOR_RATE_HZ) {
+  const cfg = { ...defaultDspConfig, ...config };
+  const gyro = frames.map((f) => f.imu_gyro);
+
+  // Tremor: Welch PSD per axis, summed.
+  const segment = Math.round(cfg.segmentS * fs);
+  let spectrum = null;
+  if (gyro.length >= segment / 2) {
+    for (let axis = 0; axis < 3; axis++) {
+      const s = welch(
+        gyro.map((g) => g[axis]),
+        fs,
+        { segment, overlap: cfg.overlap }
+      );
+      spectrum = spectrum
+        ? { ...spectrum, psd: spectrum.psd.map((p, k) => p + s.psd[k]) }
+        : s;
+    }
+  }
+  const power = spectrum ? bandPower(spectrum, cfg.tremorBand) : null;
+  let peakHz = null;
+  if (spectrum) {
+    let best = -1;
+    spectrum.freqs.forEach((f, k) => {
+      if (f >= cfg.tremorBand[0] && f <= cfg.tremorBand[1] && spectrum.psd[k] > best) {
+        best = spectrum.psd[k];
+        peakHz = f;
+      }
+    });
+  }
+
+  // Smoothness: per-movement scores on the low-passed angular speed.
+  const axes = [0, 1, 2].map((a) => lowpass(gyro.map((g) => g[a]), fs, MOVEMENT_CUTOFF_HZ));
+  const speed = gyro.map((_, i) => magnitude(axes.map((x) => x[i])));
+  const score = cfg.smoothness === "ldlj" ? ldlj : (s, rate) => sparc(s, rate);
+  const movements = (gyro.length ? segmentMovements(speed, fs) : []).map(([start, end]) => ({
+    start: start / fs,
+    end: end / fs,
+    score: score(speed.slice(start, end), fs),
+  }));
+  const scored = movements.filter((m) => m.score != null);
+  const mean = scored.length ? scored.reduce((a, m) => a + m.score, 0) / scored.length : null;
+  const [lo, hi] = SMOOTH_RANGE[cfg.smoothness];
+
+  return {
+    tremor: {
+      index: power == null ? null : Math.sqrt(2 * power) / GYRO_DPS_PER_UNIT,
+      power, // (°/s)² in band
+      peakHz,
+      spectrum,
+    },
+    smooth: {
+      index: mean == null ? null : clamp((mean - lo) / (hi - lo), 0, 1),
+      metric: cfg.smoothness,
+      score: mean,
+      movements,
+      speed,
+    },
+  };
+}
+
+/**
+ * Sliding-window analyzer for a frame stream: keeps the last `windowS` of
+ * frames and reports the record summary on demand. Smoothness holds its
+ * last value while no whole movement is in the window.
+ */
+export function createImuAnalyzer({ fs = SENSOR_RATE_HZ, config = defaultDspConfig } = {}) {
+  let cfg = { ...defaultDspConfig, ...config };
+  let buffer = [];
+  let lastSmooth = null;
+  return {
+    configure(next) {
+      cfg = { ...defaultDspConfig, ...next };
+    },
+    push(frames) {
+      buffer.push(...frames);
+      const keep = Math.round(cfg.windowS * fs);
+      if (buffer.length > keep) buffer = buffer.slice(buffer.length - keep);
+    },
+    get frames() {
+      return buffer;
+    },
+    summary() {
+      const { tremor, smooth } = analyzeImu(buffer, cfg, fs);
+      if (smooth.index != null) lastSmooth = smooth.index;
+      return {
+        tremor: tremor.index,
+        smooth: lastSmooth,
+        dsp: {
+          tremorHz: tremor.peakHz,
+          tremorPower: tremor.power,
+          metric: smooth.metric,
+          score: smooth.score,
+          movements: smooth.movements.length,
+        },
+      };
+    },
+    reset() {
+      buffer = [];
+      lastSmooth = null;
+    },
+  };
+}
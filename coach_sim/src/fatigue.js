@@ -0,0 +1,49 @@
+import { clamp } from "./pose.js";
+
+/**
+ * Cumulative fatigue
+ * ------------------
+ * One state variable in [0, 1] that closes the coaching loop: it builds up
+ * under COACHING load (scaled by difficulty), decays during REST and, more
+ * slowly, while idle. The simulator turns it into lower smoothness and
+ * higher tremor, HR and RR, so a rest policy that works visibly restores the
+ * user.
+ *
+ * Rates come from the user model, per minute:
+ *   fatigueRate  — approach to 1 under coaching at difficulty 1.0
+ *   recoveryRate — decay toward 0 during REST (idle recovers at a third)
+ */
+
+const IDLE_RECOVERY_SHARE = 1 / 3;
+
+export function createFatigue(level = 0) {
+  return {
+    get level() {
+      return level;
+    },
+    // Advance by `dt` seconds in the given coach mode.
+    update(dt, { mode, difficulty = 1, user }) {
+      const minutes = dt / 60;
+      const load = user.fatigueRate ?? 0.08;
+      const recovery = user.recoveryRate ?? 0.4;
+      if (mode === "COACHING") {
+        level += load * difficulty * (1 - level) * minutes;
+      } else {
+        const rate = mode === "REST" ? recovery : recovery * IDLE_RECOVERY_SHARE;
+        level -= rate * level * minutes;
+      }
+      level = clamp(level, 0, 1);
+      return level;
+    },
+  };
+}
+
+// How a fatigue level bends the simulator's per-second targets.
+export function fatigueEffects(level) {
+  return {
+    smoothScale: 1 - 0.45 * level,
+    tremorGain: 1 + 2 * level,
+    hrAdd: 30 * level, // bpm
+    rrAdd: 6 * level, // breaths/min
+  };
+}
@@ -0,0 +1,138 @@
+import { clamp, gripFromFsr } from "./pose.js";
+
+/**
+ * Sensor fault injection
+ * ----------------------
+ * Corrupts 200 Hz frames the way sleeve bring-up goes wrong, per entry of the
+ * `sensors` map:
+ *   dropout  — intermittent episodes where the channel reads 0
+ *   saturate — channel pinned to its high or low rail
+ *   drift    — slow baseline drift (rail span per minute)
+ *   noise    — bursts of broadband noise, e.g. PPG motion artifacts
+ *
+ *   faults = { ppg: [{ type: "saturate", level: "high", start: 60, end: 120 }] }
+ *
+ * Every corrupted frame carries `faults: ["ppg:saturate", …]` so records and
+ * coaching notes show what was injected. Stochastic faults draw from their
+ * own generator, so switching faults on never changes the clean signals.
+ */
+
+// [frame key, index or null, low rail, high rail]
+export const FAULT_CHANNELS = {
+  tpuForearm: [["strain", 0, 0, 1]],
+  tpuBicep: [["strain", 1, 0, 1]],
+  tpuShoulder: [["strain", 2, 0, 1]],
+  forcePads: [
+    ["fsr", 0, 0, 45],
+    ["fsr", 1, 0, 45],
+    ["fsr", 2, 0, 45],
+  ],
+  imu: [
+    ["imu_acc", 0, -16, 16],
+    ["imu_acc", 1, -16, 16],
+    ["imu_acc", 2, -16, 16],
+    ["imu_gyro", 0, -2000, 2000],
+    ["imu_gyro", 1, -2000, 2000],
+    ["imu_gyro", 2, -2000, 2000],
+  ],
+  ppg: [["ppg", null, 0, 1.5]],
+  resp: [["resp", null, 0, 1.2]],
+};
+
+export const FAULT_TYPES = {
+  dropout: { rate: 6, duration: 0.5 }, // episodes/min, seconds each
+  saturate: { level: "high" },
+  drift: { rate: 0.05 }, // fraction of rail span per minute
+  noise: { rate: 4, duration: 1.5, amplitude: 0.3 }, // amplitude × rail span
+};
+
+export function defaultFault(type) {
+  return { type, enabled: true, start: 0, end: null, ...FAULT_TYPES[type] };
+}
+
+const inSchedule = (fault, t) =>
+  fault.enabled !== false && t >= (fault.start ?? 0) && (fault.end == null || t < fault.end);
+
+const readChannel = (frame, [key, i]) => (i == null ? frame[key] : frame[key][i]);
+function writeChannel(frame, [key, i], value) {
+  if (i == null) frame[key] = value;
+  else frame[key][i] = value;
+}
+
+export function createFaultInjector(rng, { fs }) {
+  const episodes = new Map(); // `${sensor}:${index}` → episode end time (s)
+
+  // Poisson onset at `rate` per minute, held for `duration` seconds.
+  const episodic = (id, fault, t) => {
+    const until = episodes.get(id);
+    if (until != null && t < until) return true;
+    if (rng.next() < fault.rate / 60 / fs) {
+      episodes.set(id, t + fault.duration);
+      return true;
+    }
+    return false;
+  };
+
+  return {
+    apply(frame, faults = {}, t) {
+      const tags = [];
+      let out = frame;
+      for (const [sensor, list] of Object.entries(faults)) {
+        const channels = FAULT_CHANNELS[sensor];
+        if (!channels) continue;
+        list.forEach((fault, index) => {
+          if (!inSchedule(fault, t)) return;
+          const active =
+            fault.type === "dropout" || fault.type === "noise"
+              ? episodic(`${sensor}:${index}`, fault, t)
+              : true;
+          if (!active) return;
+          if (out === frame) {
+            out = {
+              ...frame,
+              imu_acc: [...frame.imu_acc],
+              imu_gyro: [...frame.imu_gyro],
+              strain: [...frame.strain],
+              fsr: [...frame.fsr],
+            };
+          }
+          for (const ch of channels) {
+            const [, , lo, hi] = ch;
+            const v = readChannel(out, ch);
+            let next = v;
+            if (fault.type === "dropout") next = 0;
+            else if (fault.type === "saturate") next = fault.level === "low" ? lo : hi;
+            else if (fault.type === "drift") {
+              next = v + (fault.rate * (hi - lo) * (t - (fault.start ?? 0))) / 60;
+            } else if (fault.type === "noise") {
+              next = v + rng.gauss() * fault.amplitude * (hi - lo);
+            }
+            writeChannel(out, ch, clamp(next, lo, hi));
+          }
+          tags.push(`${sensor}:${fault.type}`);
+        });
+      }
+      if (!tags.length) return frame;
+      out.faults = tags;
+      return out;
+    },
+  };
+}
+
+export const faultTagsOf = (frames) =>
+  [...new Set(frames.flatMap((f) => f.faults ?? []))].sort();
+
+/**
+ * The simulator reports grip from its force model rather than from the
+ * corrupted pads, so recompute it from the faulted FSR channels. HR, RR and
+ * HRV need no mirroring: they are estimated from the corrupted waveforms,
+ * and their signal quality drops with them.
+ */
+export function applyFaultsToRecord(record, tags, { gripMax = 60 } = {}) {
+  if (!tags.length) return record;
+  const rec = { ...record, faults: tags };
+  if (tags.some((tag) => tag.startsWith("forcePads:"))) {
+    rec.grip = gripFromFsr(rec.fsr, gripMax);
+  }
+  return rec;
+}
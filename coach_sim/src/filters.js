@@ -0,0 +1,192 @@
+import { SENSOR_RATE_HZ } from "./signal-models.js";
+
+/**
+ * Per-channel filter chains
+ * -------------------------
+ * Causal filters run sample by sample on the 200 Hz frames, one chain per
+ * entry of the `sensors` map (plus `emg`, which has no toggle of its own):
+ *   highpass — 2nd-order Butterworth, removes bridge drift
+ *   notch    — mains rejection at 50 or 60 Hz
+ *   lowpass  — 2nd-order Butterworth
+ *   rms      — moving RMS over a short window, e.g. an EMG envelope
+ *   median   — moving median, removes FSR spikes
+ *
+ *   filters = { forcePads: [{ type: "median", enabled: true, size: 5 }] }
+ *
+ * A chain applies to every channel of its sensor, each with its own state.
+ */
+
+// [frame key, index or null] per chain
+export const FILTER_CHANNELS = {
+  tpuForearm: [["strain", 0]],
+  tpuBicep: [["strain", 1]],
+  tpuShoulder: [["strain", 2]],
+  emg: [["emg_env", null]],
+  forcePads: [
+    ["fsr", 0],
+    ["fsr", 1],
+    ["fsr", 2],
+  ],
+  imu: [
+    ["imu_acc", 0],
+    ["imu_acc", 1],
+    ["imu_acc", 2],
+    ["imu_gyro", 0],
+    ["imu_gyro", 1],
+    ["imu_gyro", 2],
+  ],
+  ppg: [["ppg", null]],
+  resp: [["resp", null]],
+};
+
+export const FILTER_TYPES = {
+  highpass: { cutoff: 0.05, offset: 0 }, // Hz; level added back afterwards
+  notch: { freq: 50, q: 30 },
+  lowpass: { cutoff: 10 },
+  rms: { windowS: 0.1 },
+  median: { size: 5 }, // samples, odd
+};
+
+export const MAINS_HZ = [50, 60];
+
+export function defaultFilter(type) {
+  return { type, enabled: true, ...FILTER_TYPES[type] };
+}
+
+// A starting point for sleeve data: bridges re-centred on balance after
+// the drift high-pass, mains notched out, EMG smoothed to an RMS envelope,
+// FSR despiked.
+export const recommendedFilters = {
+  tpuForearm: [{ ...defaultFilter("highpass"), cutoff: 0.01, offset: 0.5 }, defaultFilter("notch")],
+  tpuBicep: [{ ...defaultFilter("highpass"), cutoff: 0.01, offset: 0.5 }, defaultFilter("notch")],
+  tpuShoulder: [{ ...defaultFilter("highpass"), cutoff: 0.01, offset: 0.5 }, defaultFilter("notch")],
+  emg: [defaultFilter("notch"), defaultFilter("lowpass"), defaultFilter("rms")],
+  forcePads: [defaultFilter("median"), { ...defaultFilter("lowpass"), cutoff: 20 }],
+  resp: [{ ...defaultFilter("lowpass"), cutoff: 2 }],
+};
+
+// ---------- Stages ----------
+// RBJ biquad, direct form I, started at its steady state for the first
+// sample so a chain switched on mid-stream does not ring.
+function biquad(type, spec, fs) {
+  const fc = type === "notch" ? spec.freq : spec.cutoff;
+  const w0 = (2 * Math.PI * Math.min(Math.max(fc, 1e-3), fs * 0.49)) / fs;
+  const cos = Math.cos(w0);
+  const alpha = Math.sin(w0) / (2 * (type === "notch" ? Math.max(spec.q, 0.1) : Math.SQRT1_2));
+  const b =
+    type === "lowpass"
+      ? [(1 - cos) / 2, 1 - cos, (1 - cos) / 2]
+      : type === "highpass"
+        ? [(1 + cos) / 2, -(1 + cos), (1 + cos) / 2]
+        : [1, -2 * cos, 1];
+  const a0 = 1 + alpha;
+  const [b0, b1, b2] = b.map((v) => v / a0);
+  const a1 = (-2 * cos) / a0;
+  const a2 = (1 - alpha) / a0;
+  const dcGain = type === "highpass" ? 0 : 1;
+  const offset = type === "highpass" ? spec.offset ?? 0 : 0;
+  let x1 = null;
+  let x2;
+  let y1;
+  let y2;
+  return (x) => {
+    if (x1 == null) {
+      x1 = x2 = x;
+      y1 = y2 = x * dcGain;
+    }
+    const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+    x2 = x1;
+    x1 = x;
+    y2 = y1;
+    y1 = y;
+    return y + offset;
+  };
+}
+
+function movingRms(spec, fs) {
+  const n = Math.max(1, Math.round(spec.windowS * fs));
+  const ring = new Float64Array(n);
+  let i = 0;
+  let count = 0;
+  let sum = 0;
+  return (x) => {
+    sum += x * x - ring[i];
+    ring[i] = x * x;
+    i = (i + 1) % n;
+    count = Math.min(count + 1, n);
+    return Math.sqrt(Math.max(0, sum) / count);
+  };
+}
+
+function movingMedian(spec) {
+  const n = Math.max(1, Math.round(spec.size) | 1);
+  const recent = [];
+  return (x) => {
+    recent.push(x);
+    if (recent.length > n) recent.shift();
+    const sorted = [...recent].sort((a, b) => a - b);
+    return sorted[sorted.length >> 1];
+  };
+}
+
+export function createStage(spec, fs = SENSOR_RATE_HZ) {
+  if (spec.type === "rms") return movingRms(spec, fs);
+  if (spec.type === "median") return movingMedian(spec);
+  return biquad(spec.type, spec, fs);
+}
+
+// ---------- Bank ----------
+const readChannel = (frame, [key, i]) => (i == null ? frame[key] : frame[key]?.[i]);
+
+/**
+ * Runs the chains over a frame stream. Stage state lives per chain and
+ * channel, and restarts whenever that chain's list changes.
+ */
+export function createFilterBank({ fs = SENSOR_RATE_HZ } = {}) {
+  const chains = new Map(); // sensor → { list, stages: [[stage…] per channel] }
+
+  const chainFor = (sensor, list) => {
+    const current = chains.get(sensor);
+    if (current?.list === list) return current;
+    const enabled = list.filter((f) => f.enabled !== false);
+    const next = {
+      list,
+      stages: FILTER_CHANNELS[sensor].map(() => enabled.map((f) => createStage(f, fs))),
+    };
+    chains.set(sensor, next);
+    return next;
+  };
+
+  return {
+    // The filtered copy of `frame`, or `frame` itself when nothing applies.
+    apply(frame, filters = {}) {
+      let out = frame;
+      for (const [sensor, list] of Object.entries(filters)) {
+        const channels = FILTER_CHANNELS[sensor];
+        if (!channels || !list?.length) continue;
+        const { stages } = chainFor(sensor, list);
+        channels.forEach((ch, c) => {
+          const v = readChannel(frame, ch);
+          if (v == null || !stages[c].length) return;
+          if (out === frame) {
+            out = {
+              ...frame,
+              imu_acc: [...frame.imu_acc],
+              imu_gyro: [...frame.imu_gyro],
+              strain: [...frame.strain],
+              fsr: [...frame.fsr],
+            };
+          }
+          const y = stages[c].reduce((x, stage) => stage(x), v);
+          const [key, i] = ch;
+          if (i == null) out[key] = y;
+          else out[key][i] = y;
+        });
+      }
+      return out;
+    },
+    reset() {
+      chains.clear();
+    },
+  };
+}
@@ -0,0 +1,249 @@
+/**
+ * Haptic cue patterns
+ * -------------------
+ * What the sleeve's vibration motor plays for a coaching cue. A pattern is
+ * one motif played `repeat` times with `gapMs` of silence between plays:
+ *
+ *   { id: "breathe", label: "Breathing waves", kind: "breathing",
+ *     amplitude: 0.6, durationMs: 5000, repeat: 3, gapMs: 0 }
+ *
+ *   pulse       one burst of `durationMs`
+ *   double-tap  two bursts of `durationMs`, `durationMs` apart
+ *   ramp        a linear rise from 0 to `amplitude` over `durationMs`
+ *   breathing   one raised-cosine swell per `durationMs`, to pace a breath
+ *               (inhale on the rise, exhale on the fall)
+ *
+ * Rules name a pattern by id in their `haptic` field. The coach's cue goes
+ * to the motor when it changes (see createActuator); a new cue cuts the one
+ * still playing short.
+ *
+ * Byte format, little-endian — what the ESP32 haptic driver plays back.
+ * Each step ramps the motor's PWM duty linearly from `from` to `to`:
+ *
+ *   pattern  uint8  repeat
+ *            uint16 gap_ms
+ *            uint8  n_steps
+ *            n × { uint8 from; uint8 to; uint16 ms; }
+ *   library  'H' 'P' uint8 version uint8 n_patterns, patterns in order
+ */
+
+export const PATTERN_KINDS = ["pulse", "double-tap", "ramp", "breathing"];
+export const HAPTIC_FORMAT_VERSION = 1;
+
+// [key, min, max, step] for the pattern editor; fields with a whole step
+// are whole numbers, as the byte format stores them
+export const PATTERN_FIELDS = [
+  ["amplitude", 0, 1, 0.05],
+  ["durationMs", 10, 10000, 10],
+  ["repeat", 1, 20, 1],
+  ["gapMs", 0, 5000, 10],
+];
+
+const BREATH_SEGMENTS = 8; // linear steps per breathing swell
+const MAX_STEP_MS = 0xffff;
+
+const preset = (id, label, kind, amplitude, durationMs, repeat = 1, gapMs = 0) => ({
+  id,
+  label,
+  kind,
+  amplitude,
+  durationMs,
+  repeat,
+  gapMs,
+});
+
+export const defaultPatterns = [
+  preset("pulse", "Pulse", "pulse", 0.8, 200),
+  preset("double-tap", "Double tap", "double-tap", 1, 80),
+  preset("ramp", "Slow ramp", "ramp", 0.9, 800, 2, 200),
+  preset("breathe", "Breathing waves", "breathing", 0.6, 5000, 3),
+];
+
+// Every problem with one pattern, as strings; empty when it can be played.
+export function validatePattern(pattern) {
+  const errors = [];
+  if (!pattern || typeof pattern !== "object") return ["pattern must be an object"];
+  if (typeof pattern.id !== "string" || !pattern.id) errors.push("id is required");
+  if (!PATTERN_KINDS.includes(pattern.kind)) {
+    errors.push(`kind must be one of ${PATTERN_KINDS.join(", ")}`);
+  }
+  for (const [key, min, max, step] of PATTERN_FIELDS) {
+    const v = pattern[key];
+    if (!Number.isFinite(v) || v < min || v > max) {
+      errors.push(`${key} must be within ${min}–${max}`);
+    } else if (Number.isInteger(step) && !Number.isInteger(v)) {
+      errors.push(`${key} must be a whole number`);
+    }
+  }
+  return errors;
+}
+
+// ---------- Steps ----------
+const duty = (amplitude) => Math.round(Math.min(1, Math.max(0, amplitude)) * 255);
+
+// One play of the motif as { from, to, ms } duty steps.
+export function patternSteps(pattern) {
+  const a = duty(pattern.amplitude);
+  const ms = pattern.durationMs;
+  switch (pattern.kind) {
+    case "pulse":
+      return [{ from: a, to: a, ms }];
+    case "double-tap":
+      return [
+        { from: a, to: a, ms },
+        { from: 0, to: 0, ms },
+        { from: a, to: a, ms },
+      ];
+    case "ramp":
+      return [{ from: 0, to: a, ms }];
+    case "breathing": {
+      const level = (k) =>
+        Math.round((a * (1 - Math.cos((2 * Math.PI * k) / BREATH_SEGMENTS))) / 2);
+      // Whole milliseconds that still add up to the swell's length.
+      const at = (k) => Math.round((ms * k) / BREATH_SEGMENTS);
+      return Array.from({ length: BREATH_SEGMENTS }, (_, k) => ({
+        from: level(k),
+        to: level(k + 1),
+        ms: at(k + 1) - at(k),
+      }));
+    }
+    default:
+      throw new Error(`Unknown haptic pattern kind "${pattern.kind}"`);
+  }
+}
+
+const motifMs = (steps) => steps.reduce((sum, s) => sum + s.ms, 0);
+
+export function patternLengthMs(pattern) {
+  return pattern.repeat * motifMs(patternSteps(pattern)) + (pattern.repeat - 1) * pattern.gapMs;
+}
+
+// Breakpoints [ms, amplitude 0–1] across every repeat, for plotting.
+export function patternEnvelope(pattern) {
+  const steps = patternSteps(pattern);
+  const points = [];
+  let t = 0;
+  for (let r = 0; r < pattern.repeat; r++) {
+    if (r > 0) t += pattern.gapMs;
+    for (const s of steps) {
+      points.push([t, s.from / 255], [t + s.ms, s.to / 255]);
+      t += s.ms;
+    }
+  }
+  return points;
+}
+
+// ---------- Bytes ----------
+export function encodePattern(pattern) {
+  const steps = patternSteps(pattern);
+  const bytes = new Uint8Array(4 + steps.length * 4);
+  const view = new DataView(bytes.buffer);
+  view.setUint8(0, pattern.repeat);
+  view.setUint16(1, pattern.gapMs, true);
+  view.setUint8(3, steps.length);
+  steps.forEach((s, i) => {
+    view.setUint8(4 + i * 4, s.from);
+    view.setUint8(5 + i * 4, s.to);
+    view.setUint16(6 + i * 4, Math.min(s.ms, MAX_STEP_MS), true);
+  });
+  return bytes;
+}
+
+export function encodeLibrary(patterns) {
+  const encoded = patterns.map(encodePattern);
+  const bytes = new Uint8Array(4 + encoded.reduce((n, b) => n + b.length, 0));
+  bytes.set([0x48, 0x50, HAPTIC_FORMAT_VERSION, patterns.length]); // "HP"
+  let at = 4;
+  for (const b of encoded) {
+    bytes.set(b, at);
+    at += b.length;
+  }
+  return bytes;
+}
+
+const macro = (id) => id.toUpperCase().replace(/[^A-Z0-9]+/g, "_");
+
+// The library as a C array, with an index per pattern and per mapped rule.
+export function libraryHeader(patterns, rules = []) {
+  const bytes = encodeLibrary(patterns);
+  const lines = [
+    "// Generated by coachsim (src/haptics.js). Haptic pattern library; byte format there.",
+    "#pragma once",
+    "#include <stdint.h>",
+    "",
+  ];
+  patterns.forEach((p, i) => {
+    lines.push(`#define HAPTIC_${macro(p.id)} ${i} // ${p.label}, ${patternLengthMs(p)} ms`);
+  });
+  const mapped = rules.filter((r) => patterns.some((p) => p.id === r.haptic));
+  if (mapped.length) {
+    lines.push("");
+    for (const r of mapped) {
+      lines.push(`#define HAPTIC_RULE_${macro(r.id)} HAPTIC_${macro(r.haptic)}`);
+    }
+  }
+  lines.push("", `static const uint8_t HAPTIC_LIBRARY[${bytes.length}] = {`);
+  const hex = (b) => `0x${b.toString(16).padStart(2, "0")}`;
+  for (let i = 0; i < bytes.length; i += 16) {
+    const row = Array.from(bytes.subarray(i, i + 16), hex);
+    lines.push(`  ${row.join(", ")},`);
+  }
+  lines.push("};", "");
+  return lines.join("\n");
+}
+
+// ---------- Actuator ----------
+/**
+ * When the motor fires: whenever the decision's pattern changes, or the
+ * same pattern comes from a different rule. Fed one decision per record;
+ * `update` returns the firing `{ t, rule, pattern }` or null.
+ */
+export function createActuator() {
+  let last = null; // { rule, haptic } of the previous record
+  return {
+    reset() {
+      last = null;
+    },
+    update(t, decision) {
+      const haptic = decision.haptic ?? null;
+      const rule = decision.rule ?? null;
+      const fires = haptic != null && (haptic !== last?.haptic || rule !== last?.rule);
+      last = { rule, haptic };
+      return fires ? { t, rule, pattern: haptic } : null;
+    },
+  };
+}
+
+// Firings for a whole run of `{ t, rule, haptic }` decisions.
+export function hapticFirings(decisions) {
+  const actuator = createActuator();
+  return decisions.map((d) => actuator.update(d.t, d)).filter(Boolean);
+}
+
+/**
+ * Firings resolved against a library: when each one starts and ends (in
+ * session seconds; cut short by the next) and its envelope as [t, amplitude]
+ * breakpoints. Firings of patterns missing from the library are kept with
+ * `missing: true` and no envelope.
+ */
+export function actuatorTimeline(firings, patterns) {
+  const byId = new Map(patterns.map((p) => [p.id, p]));
+  return firings.map((f, i) => {
+    const pattern = byId.get(f.pattern);
+    const next = firings[i + 1]?.t ?? Infinity;
+    if (!pattern) return { ...f, end: f.t, cut: false, missing: true, points: [] };
+    const full = f.t + patternLengthMs(pattern) / 1000;
+    const end = Math.min(full, next);
+    const points = [];
+    for (const [ms, amp] of patternEnvelope(pattern)) {
+      const t = f.t + ms / 1000;
+      if (t > end) {
+        const [pt, pa] = points[points.length - 1];
+        points.push([end, t === pt ? amp : pa + ((amp - pa) * (end - pt)) / (t - pt)]);
+        break;
+      }
+      points.push([t, amp]);
+    }
+    return { ...f, end, cut: end < full, missing: false, points };
+  });
+}
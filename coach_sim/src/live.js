@@ -0,0 +1,209 @@
+import { defaultRules, noteFor, rulePolicy } from "./policy.js";
+import { createCoach } from "./coach.js";
+import { createDecimator } from "./decimate.js";
+import { SENSOR_RATE_HZ } from "./signal-models.js";
+import { defaultParams, defaultSensors, defaultUserModel } from "./simulation.js";
+import { defaultDspConfig } from "./dsp.js";
+import { createDifficultyController, defaultAdaptiveConfig } from "./difficulty.js";
+import { createActuator } from "./haptics.js";
+
+/**
+ * Live sessions
+ * -------------
+ * The device-side counterpart of `createSimulation`: raw sample_t frames are
+ * pushed in as they arrive, folded into display-rate records and run through
+ * the same coaching policy. Each completed record produces a step with the
+ * simulator's `{ frame, decision, firing, note }` shape, so the panes cannot
+ * tell the sources apart. There is no ground truth here: smoothness and tremor are
+ * estimated from the IMU frames and RR from the respiration band; HR stays
+ * null, as sample_t carries no PPG channel.
+ *
+ *   const live = createLiveSession({ params, sensors, onStep });
+ *   transport.onFrame = (frame) => live.push(frame);
+ */
+
+export function createLiveSession({
+  user = defaultUserModel,
+  params = defaultParams,
+  sensors = defaultSensors,
+  fs = SENSOR_RATE_HZ,
+  displayRate = 1,
+  running = false,
+  dsp = defaultDspConfig,
+  filters = {},
+  rules = defaultRules,
+  adaptive = defaultAdaptiveConfig,
+  policy = rulePolicy,
+  onStep,
+} = {}) {
+  let config = {
+    user,
+    params,
+    sensors,
+    displayRate,
+    running,
+    dsp,
+    filters,
+    rules,
+    adaptive,
+    policy,
+  };
+  const coach = createCoach();
+  const controller = createDifficultyController({ config: adaptive, start: params.difficulty });
+  const actuator = createActuator();
+  let count = 0;
+  // Added to t_us: 2^32 per wrap-around (uint32 µs rolls over every ~71.6 min),
+  // re-anchored when the device clock restarts.
+  let offset = 0;
+  let lastUs = null;
+  let anchor = false; // carry on from the last frame whatever the next t_us
+  let t0 = null;
+  let windowStart = null; // session time of the first frame in the window
+
+  const decimator = createDecimator({ fs, rate: displayRate, dsp, filters });
+
+  return {
+    get mode() {
+      return coach.mode;
+    },
+    configure(patch) {
+      if (patch.displayRate && patch.displayRate !== config.displayRate) {
+        decimator.setRate(patch.displayRate);
+        windowStart = null;
+      }
+      if (patch.dsp && patch.dsp !== config.dsp) decimator.setDsp(patch.dsp);
+      if (patch.filters && patch.filters !== config.filters) decimator.setFilters(patch.filters);
+      if (patch.adaptive && patch.adaptive !== config.adaptive) controller.configure(patch.adaptive);
+      if (patch.params && patch.params.difficulty !== config.params.difficulty) {
+        controller.reset(patch.params.difficulty);
+      }
+      config = { ...config, ...patch };
+    },
+    stop() {
+      coach.reset();
+    },
+    reset() {
+      decimator.reset();
+      coach.reset();
+      controller.reset(config.params.difficulty);
+      actuator.reset();
+      count = 0;
+      offset = 0;
+      lastUs = null;
+      anchor = false;
+      t0 = null;
+      windowStart = null;
+    },
+    // The link dropped: the device may have restarted its clock, so the next
+    // frame follows the last one instead of being read against its t_us.
+    resync() {
+      anchor = lastUs != null;
+    },
+    // Session time runs from the first frame, in device microseconds. A step
+    // back of less than half the counter range is a rebooted device, not a
+    // wrap-around, and time carries on from the last frame.
+    push(raw) {
+      if (lastUs != null) {
+        const forward = (raw.t_us - lastUs) >>> 0;
+        if (anchor || forward >= 2 ** 31) offset += lastUs + 1e6 / fs - raw.t_us;
+        else if (raw.t_us < lastUs) offset += 2 ** 32;
+      }
+      anchor = false;
+      lastUs = raw.t_us;
+      const us = raw.t_us + offset;
+      t0 ??= us;
+      windowStart ??= (us - t0) / 1e6;
+      const record = decimator.push(raw, {
+        t: windowStart,
+        gripMax: config.user.gripMax,
+        calibration: config.user.calibration,
+      });
+      if (!record) return null;
+      windowStart = null;
+      // The controller's difficulty is what the device should apply next.
+      const difficulty = controller.current(config.params);
+      const params = { ...config.params, difficulty };
+      const frame = { ...record, difficulty };
+      const decision = coach.decide(frame, { ...config, params });
+      controller.update(frame, { mode: decision.mode, params });
+      const firing = actuator.update(frame.t, decision);
+      count += 1;
+      const step = {
+        frame,
+        decision,
+        firing,
+        note: noteFor(frame, decision, {
+          index: count - 1,
+          every: 15 * config.displayRate,
+          firing,
+        }),
+      };
+      onStep?.(step);
+      return step;
+    },
+  };
+}
+
+const FRAME_PERIOD_US = 1e6 / SENSOR_RATE_HZ;
+
+// Backoff between attempts when a wireless or networked link drops.
+export const RECONNECT_DELAYS_MS = [500, 1000, 2000, 4000, 8000];
+
+/**
+ * Link counters shared by the device transports: frames received, frames
+ * lost (gaps in a 16-bit frame sequence, or in t_us for transports without
+ * one), packets rejected by the checksum, reconnects, and the receive rate
+ * over the last snapshot interval.
+ */
+export function createLinkStats({ now = () => performance.now() } = {}) {
+  let frames = 0;
+  let dropped = 0;
+  let corrupt = 0;
+  let reconnects = 0;
+  let expected = null;
+  let lastUs = null;
+  let mark = { at: now(), frames: 0 };
+  let fps = 0;
+
+  return {
+    frame(seq) {
+      if (seq != null) {
+        if (expected != null) dropped += (seq - expected + 0x10000) & 0xffff;
+        expected = (seq + 1) & 0xffff;
+      }
+      frames += 1;
+    },
+    // For links without a frame sequence: infer losses from the 200 Hz clock.
+    timed(t_us) {
+      if (lastUs != null) {
+        // uint32 wrap-aware; a backwards jump (device reboot) counts nothing
+        const dt = ((t_us - lastUs + 2 ** 31) >>> 0) - 2 ** 31;
+        const missed = Math.round(dt / FRAME_PERIOD_US) - 1;
+        if (missed > 0) dropped += missed;
+      }
+      lastUs = t_us;
+      frames += 1;
+    },
+    corrupt() {
+      corrupt += 1;
+    },
+    reconnect() {
+      reconnects += 1;
+      expected = null;
+      lastUs = null;
+    },
+    // The next frame starts a fresh sequence and clock (e.g. after a reconnect).
+    resync() {
+      expected = null;
+      lastUs = null;
+    },
+    snapshot() {
+      const at = now();
+      if (at - mark.at >= 250) {
+        fps = ((frames - mark.frames) * 1000) / (at - mark.at);
+        mark = { at, frames };
+      }
+      return { frames, dropped, corrupt, reconnects, fps };
+    },
+  };
+}
@@ -0,0 +1,135 @@
+import { firstMatch, PARAM_FIELDS } from "./rules.js";
+
+// ---------- Coaching policy ----------
+// Rule-driven mode decisions. Pure: the live app, the headless engine and
+// any offline tooling all decide through evaluatePolicy, with `rules` (see
+// rules.js) defaulting to the set below. coach.js adds the REST dwell and
+// hysteresis on top.
+// Live sources cannot estimate every scalar; a null reading never trips a
+// rule on its own. HR and RR from a window whose signal quality index is
+// below `sqiMin` are ignored by the safety gates.
+
+export { PARAM_FIELDS };
+
+export const IDLE_MESSAGE = "Coach idle. Press Start.";
+
+// The behavior the coach shipped with, as rules. `haptic` names a pattern
+// in the haptic library (haptics.js).
+export const defaultRules = [
+  {
+    id: "vitals-gate",
+    priority: 10,
+    enabled: true,
+    // Records from before SQI was estimated carry none and stay trusted.
+    when:
+      "sensors.ppg && (sqi.ppg == null || sqi.ppg >= params.sqiMin) && hr > params.hrCeiling || " +
+      "sensors.resp && (sqi.resp == null || sqi.resp >= params.sqiMin) && rr > params.rrCeiling",
+    resume:
+      "!(sensors.ppg && (sqi.ppg == null || sqi.ppg >= params.sqiMin) && hr > params.hrResume || " +
+      "sensors.resp && (sqi.resp == null || sqi.resp >= params.sqiMin) && rr > params.rrResume)",
+    mode: "REST",
+    message: "Heart/resp high — pause and breathe",
+    haptic: "breathe",
+  },
+  {
+    id: "tremor-rest",
+    priority: 20,
+    enabled: true,
+    when: "sensors.tpuForearm && tremor > params.tremorRest",
+    resume: "!(sensors.tpuForearm && tremor > params.tremorResume)",
+    mode: "REST",
+    message: "Tremor elevated — guided rest",
+    haptic: "breathe",
+  },
+  {
+    id: "idle",
+    priority: 30,
+    enabled: true,
+    when: "!running",
+    mode: "IDLE",
+    message: IDLE_MESSAGE,
+    haptic: null,
+  },
+  {
+    id: "smooth-low",
+    priority: 40,
+    enabled: true,
+    when: "smooth < params.smoothMin",
+    mode: "COACHING",
+    message: "Slow down, lengthen exhale",
+    haptic: "ramp",
+  },
+  {
+    id: "grip-off-target",
+    priority: 50,
+    enabled: true,
+    when: "abs(grip - params.gripTarget) > 8",
+    mode: "COACHING",
+    message: "Match both hands gently",
+    haptic: "double-tap",
+  },
+  {
+    id: "tremor-warn",
+    priority: 60,
+    enabled: true,
+    when: "tremor > params.tremorWarn",
+    mode: "COACHING",
+    message: "Micro‑break: shake out wrist",
+    haptic: "double-tap",
+  },
+  {
+    id: "good-form",
+    priority: 70,
+    enabled: true,
+    when: "true",
+    mode: "COACHING",
+    message: "Nice form — adding tiny challenge",
+    haptic: "pulse",
+  },
+];
+
+// The first matching rule sets mode, message and haptic pattern, the last
+// only when the haptic driver is enabled. With no match the mode holds.
+export function evaluatePolicy(last, { mode, running, params, sensors, rules = defaultRules }) {
+  const rule = firstMatch(rules, { ...last, params, sensors, running, mode });
+  if (!rule) return { mode, message: "", rule: null, haptic: null };
+  const haptic = sensors.haptic ? rule.haptic ?? null : null;
+  return { mode: rule.mode, message: rule.message, rule: rule.id, haptic };
+}
+
+// A policy turns one record into `{ mode, message, rule, haptic }`, given
+// `{ mode, running, params, sensors, rules }`; the coach (coach.js) calls
+// whichever one it is handed. This is the default; rl.js has a learned one.
+export const rulePolicy = { id: "rules", decide: evaluatePolicy };
+
+// Log every mode transition, and advice when it changes materially or every
+// `every` records (~15 s at 1 Hz). `haptic` is what the motor started on this
+// record — `firing` from createActuator — not the decision's standing cue.
+export function noteFor(last, decision, { index = last.t, every = 15, firing = null } = {}) {
+  const { mode, message, transition } = decision;
+  if (
+    !transition &&
+    (index + 1) % every !== 0 &&
+    !message.includes("pause") &&
+    !message.includes("Nice")
+  ) {
+    return null;
+  }
+  return {
+    t: last.t, // simulation seconds, so seeded reruns log identical notes
+    event: transition ? "transition" : "advice",
+    mode,
+    msg: message,
+    haptic: firing?.pattern ?? null,
+    reason: transition ? `${transition.from} → ${transition.to}: ${transition.reason}` : null,
+    smooth: fixed(last.smooth, 2),
+    tremor: fixed(last.tremor, 2),
+    grip: fixed(last.grip, 1),
+    hr: rounded(last.hr),
+    rr: rounded(last.rr),
+    faults: (last.faults ?? []).join("|"),
+  };
+}
+
+const fixed = (v, digits) => (v == null ? null : v.toFixed(digits));
+const rounded = (v) => (v == null ? null : Math.round(v));
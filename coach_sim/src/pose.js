@@ -0,0 +1,60 @@
+import { calibrationCurves, FSR_CHANNELS } from "./calibration.js";
+
+// ---------- Pose <-> sensor mapping ----------
+// Both directions go through the user's calibration profile (see
+// calibration.js); without one, the defaults keep the original pose-to-strain
+// constants and read strain back through their exact inverse.
+
+export const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+
+export const defaultPose = {
+  wrist: { flexion: 0, rotation: 0, fingers: [0, 0, 0] },
+  leg: { knee: 0, ankle: 0 },
+};
+
+export function poseToSensors(pose, userMaxGrip = 60, calibration) {
+  const curves = calibrationCurves(calibration);
+  const wristFlex = pose?.wrist?.flexion ?? 0;
+  const knee = pose?.leg?.knee ?? 0;
+  const ankle = pose?.leg?.ankle ?? 0;
+  const fingers = pose?.wrist?.fingers ?? [0, 0, 0];
+
+  const strain = [
+    clamp(curves.wrist.toRaw(wristFlex), 0, 1),
+    clamp(curves.knee.toRaw(knee), 0, 1),
+    clamp(curves.ankle.toRaw(ankle), 0, 1),
+  ];
+  const forces = fingers.map((f) =>
+    clamp(((fingers.length ? f : 0) / 90) * (userMaxGrip / 2), 0, userMaxGrip / 2)
+  );
+  const fsr = forces.map((n, i) => Math.max(0, curves[FSR_CHANNELS[i].id].toRaw(n)));
+  const grip = clamp(
+    forces.reduce((acc, v) => acc + v, 0) * 0.6,
+    0,
+    userMaxGrip
+  );
+  return { strain, fsr, grip };
+}
+
+// `strain` is raw bridge readings; `fsr` is already in newtons.
+export function derivePoseFromSensors(strain, fsr, emgEnv, resp, calibration) {
+  const curves = calibrationCurves(calibration);
+  const angle = (id, i) => (strain?.[i] != null ? curves[id].toUnits(strain[i]) : 0);
+  return {
+    wrist: {
+      flexion: angle("wrist", 0),
+      rotation: ((emgEnv ?? 0.35) - 0.35) * 120,
+      fingers: (fsr || []).map((v) => clamp((v / 30) * 90, 0, 95)),
+    },
+    leg: {
+      knee: angle("knee", 1),
+      ankle: angle("ankle", 2) + ((resp ?? 0.6) - 0.6) * 40,
+    },
+  };
+}
+
+// Inverse of the simulator's pad split (thumb ≈ 0.45·grip, palm ≈ 0.35·grip),
+// for sources that only report FSR forces.
+export function gripFromFsr(fsr, userMaxGrip = 60) {
+  return clamp(((fsr?.[0] ?? 0) + (fsr?.[1] ?? 0)) / 0.8, 0, userMaxGrip);
+}
@@ -0,0 +1,131 @@
+import { defaultParams, defaultUserModel } from "./simulation.js";
+
+/**
+ * User profiles
+ * -------------
+ * A profile is a user model (the fields `createSimulation` reads) plus the
+ * policy `params` that should load with it. Profiles persist in localStorage;
+ * where that is unavailable (Node, private mode) the built-ins are used.
+ */
+
+const STORAGE_KEY = "coachsim.profiles.v1";
+
+export const builtinProfiles = [
+  { id: "demo", ...defaultUserModel, params: defaultParams },
+  {
+    id: "post-stroke",
+    name: "Post-stroke (hemiparesis)",
+    hrRest: 78,
+    rrRest: 14,
+    tremorBase: 0.12,
+    tremorHz: 5,
+    hrvSdnn: 28,
+    gripMax: 28,
+    smoothnessBase: 0.5,
+    fatigueRate: 0.14,
+    recoveryRate: 0.3,
+    params: {
+      ...defaultParams,
+      tremorWarn: 0.3,
+      tremorRest: 0.5,
+      smoothMin: 0.35,
+      gripTarget: 10,
+      hrCeiling: 115,
+      rrCeiling: 22,
+      hrResume: 104,
+      rrResume: 19,
+      tremorResume: 0.4,
+      difficulty: 0.8,
+    },
+  },
+  {
+    id: "essential-tremor",
+    name: "Essential tremor",
+    hrRest: 70,
+    rrRest: 12,
+    tremorBase: 0.35,
+    tremorHz: 8,
+    hrvSdnn: 38,
+    gripMax: 50,
+    smoothnessBase: 0.6,
+    fatigueRate: 0.08,
+    recoveryRate: 0.4,
+    params: {
+      ...defaultParams,
+      tremorWarn: 0.45,
+      tremorRest: 0.7,
+      smoothMin: 0.4,
+      gripTarget: 15,
+      hrCeiling: 125,
+      hrResume: 112,
+      tremorResume: 0.6,
+      difficulty: 0.9,
+    },
+  },
+  {
+    id: "older-low-grip",
+    name: "Older adult, low grip",
+    hrRest: 76,
+    rrRest: 15,
+    tremorBase: 0.18,
+    tremorHz: 6,
+    hrvSdnn: 22,
+    gripMax: 22,
+    smoothnessBase: 0.62,
+    fatigueRate: 0.12,
+    recoveryRate: 0.25,
+    params: {
+      ...defaultParams,
+      smoothMin: 0.42,
+      gripTarget: 8,
+      hrCeiling: 110,
+      rrCeiling: 22,
+      hrResume: 99,
+      rrResume: 19,
+      restMinS: 30,
+      difficulty: 0.85,
+    },
+  },
+];
+
+// Fill anything a stored or imported profile is missing from the defaults.
+export function normalizeProfile(profile) {
+  return {
+    ...defaultUserModel,
+    ...profile,
+    id: profile.id ?? newProfileId(),
+    params: { ...defaultParams, ...profile.params },
+  };
+}
+
+export function newProfileId() {
+  return `profile-${Date.now().toString(36)}${Math.floor(Math.random() * 1e4)}`;
+}
+
+export function duplicateProfile(profile) {
+  return { ...profile, id: newProfileId(), name: `${profile.name} (copy)`, params: { ...profile.params } };
+}
+
+export function loadProfiles() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (stored?.profiles?.length) {
+      const profiles = stored.profiles.map(normalizeProfile);
+      const activeId = profiles.some((p) => p.id === stored.activeId)
+        ? stored.activeId
+        : profiles[0].id;
+      return { profiles, activeId };
+    }
+  } catch {
+    // Unavailable or corrupt storage: fall through to the built-ins.
+  }
+  return { profiles: builtinProfiles, activeId: builtinProfiles[0].id };
+}
+
+export function saveProfiles({ profiles, activeId }) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ profiles, activeId }));
+  } catch {
+    // Storage full or disabled; profiles stay in memory for this session.
+  }
+}
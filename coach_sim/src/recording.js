@@ -0,0 +1,199 @@
+import { decodeFrames, encodeFrames } from "./sample-codec.js";
+import { createLiveSession } from "./live.js";
+
+/**
+ * Session recording
+ * -----------------
+ * Keeps every step of a session — the display record, the coach's decision,
+ * any log note, and the raw 200 Hz frames packed as sample_t (plus the
+ * simulator-only PPG channel) — and reads it back for replay:
+ *
+ *   { "format": "coachsim-session", "version": 1,
+ *     "meta": { seed, source, displayRate, user, params, sensors, … },
+ *     "records": [{ t, smooth, …, mode, msg, rule, haptic, note,
+ *                   raw: "<base64 sample_t>",
+ *                   ppg: "<base64 float32>" }] }
+ *
+ * `parseRecording` also accepts the CLI's stream.jsonl and raw sample_t
+ * dumps; dumps carry no decisions, so the coach is re-run over them.
+ */
+
+export const RECORDING_FORMAT = "coachsim-session";
+const RECORDING_VERSION = 1;
+
+// ---------- Recorder ----------
+// Frames are packed as they arrive: 60 bytes each instead of a JS object.
+export function createRecorder() {
+  let entries = [];
+  return {
+    meta: null, // session settings, filled in by whoever records
+    get entries() {
+      return entries;
+    },
+    get length() {
+      return entries.length;
+    },
+    // Frames are kept as received, before any filter chain.
+    add({ frame, decision, note }) {
+      const { frames: filtered = [], unfiltered, frame: _latest, ...record } = frame;
+      const frames = unfiltered ?? filtered;
+      entries.push({
+        record,
+        decision: {
+          mode: decision.mode,
+          message: decision.message,
+          rule: decision.rule ?? null,
+          haptic: decision.haptic ?? null,
+        },
+        note: note ?? null,
+        raw: new Uint8Array(encodeFrames(frames)),
+        ppg: frames.length && frames[0].ppg != null ? Float32Array.from(frames, (f) => f.ppg) : null,
+      });
+    },
+    clear() {
+      entries = [];
+    },
+  };
+}
+
+export function framesOf(entry) {
+  const frames = decodeFrames(entry.raw, { validate: false });
+  if (entry.ppg) frames.forEach((f, i) => (f.ppg = entry.ppg[i]));
+  return frames;
+}
+
+// The step an entry was recorded from, raw window included when it was kept.
+export function entryStep(entry) {
+  const frames = entry.raw.length ? framesOf(entry) : null;
+  return {
+    frame: { ...entry.record, frames, frame: frames?.[frames.length - 1] ?? null },
+    decision: entry.decision,
+    note: entry.note,
+  };
+}
+
+// ---------- Export ----------
+const toBase64 = (bytes) => {
+  let s = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    s += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(s);
+};
+const fromBase64 = (s) => Uint8Array.from(atob(s), (c) => c.charCodeAt(0));
+
+export function serializeRecording(entries, meta = {}) {
+  return JSON.stringify({
+    format: RECORDING_FORMAT,
+    version: RECORDING_VERSION,
+    meta: { ...meta, recordedAt: new Date().toISOString() },
+    records: entries.map((e) => ({
+      ...e.record,
+      mode: e.decision.mode,
+      msg: e.decision.message,
+      rule: e.decision.rule ?? null,
+      haptic: e.decision.haptic ?? null,
+      note: e.note,
+      raw: toBase64(e.raw),
+      ppg: e.ppg ? toBase64(new Uint8Array(e.ppg.buffer, e.ppg.byteOffset, e.ppg.byteLength)) : null,
+    })),
+  });
+}
+
+// ---------- Import ----------
+// Records from the CLI or an export: scalars plus mode/msg (and, since
+// haptic patterns, rule/haptic), frames optional.
+function entryFromRecord({
+  mode,
+  msg,
+  rule = null,
+  haptic = null,
+  note = null,
+  raw,
+  ppg,
+  frames,
+  ...record
+}) {
+  let bytes = raw ? fromBase64(raw) : new Uint8Array(0);
+  let ppgValues = ppg ? new Float32Array(fromBase64(ppg).buffer) : null;
+  if (!raw && frames?.length) {
+    bytes = new Uint8Array(encodeFrames(frames));
+    ppgValues = frames[0].ppg != null ? Float32Array.from(frames, (f) => f.ppg) : null;
+  }
+  return {
+    record,
+    decision: { mode: mode ?? "IDLE", message: msg ?? "", rule, haptic },
+    note,
+    raw: bytes,
+    ppg: ppgValues,
+  };
+}
+
+// Notes up to entry i are notes.slice(0, noteCounts[i]).
+export function withIndex(meta, entries) {
+  const notes = [];
+  const noteCounts = entries.map((e) => {
+    if (e.note) notes.push(e.note);
+    return notes.length;
+  });
+  return { meta, entries, notes, noteCounts };
+}
+
+/**
+ * Parse a recording for replay. `coach` takes the createLiveSession settings
+ * (user, params, sensors, displayRate, dsp, filters, rules, adaptive, policy)
+ * for dumps that need the policy re-run. Throws Error with a message naming
+ * the file on anything it cannot read.
+ */
+export function parseRecording(name, buffer, coach = {}) {
+  const bytes = new Uint8Array(buffer);
+  const fail = (why) => {
+    throw new Error(`${name}: ${why}`);
+  };
+  const indexed = (meta, entries) =>
+    entries.length ? withIndex(meta, entries) : fail("holds no records");
+  const binary =
+    /\.(bin|dat|raw)$/i.test(name) ||
+    !/^\s*\{/.test(new TextDecoder().decode(bytes.subarray(0, 64)));
+
+  if (!binary) {
+    const text = new TextDecoder().decode(bytes);
+    let docs;
+    try {
+      docs = [JSON.parse(text)];
+    } catch {
+      try {
+        docs = text
+          .split("\n")
+          .filter((l) => l.trim())
+          .map((l) => JSON.parse(l));
+      } catch (err) {
+        fail(`not valid JSON or JSON lines (${err.message})`);
+      }
+    }
+    const [doc] = docs;
+    if (docs.length === 1 && doc.format === RECORDING_FORMAT) {
+      if (doc.version > RECORDING_VERSION) fail(`made by a newer version (${doc.version})`);
+      if (!Array.isArray(doc.records)) fail(`"records" must be an array`);
+      return indexed(doc.meta ?? {}, doc.records.map(entryFromRecord));
+    }
+    if (docs.every((d) => typeof d?.t === "number")) {
+      return indexed({ source: "stream.jsonl" }, docs.map(entryFromRecord));
+    }
+    fail("neither a session export nor a stream.jsonl");
+  }
+
+  let frames;
+  try {
+    frames = decodeFrames(bytes);
+  } catch (err) {
+    fail(err.message);
+  }
+  const recorder = createRecorder();
+  const session = createLiveSession({ ...coach, running: true, onStep: recorder.add });
+  frames.forEach(session.push);
+  return indexed(
+    { source: "sample_t dump", displayRate: coach.displayRate ?? 1, recoached: true },
+    recorder.entries
+  );
+}
@@ -0,0 +1,223 @@
+import { createRng } from "./rng.js";
+import { clamp } from "./pose.js";
+import { evaluatePolicy, IDLE_MESSAGE } from "./policy.js";
+import { createSimulation } from "./simulation.js";
+import { GRIP_TOLERANCE } from "./difficulty.js";
+
+/**
+ * Learned coaching policies
+ * -------------------------
+ * A tabular learner that decides, while coaching, whether to keep coaching
+ * or to send the user to REST, trained against the simulator:
+ *
+ *   state   tremor (≤ warn, ≤ rest, above) × smoothness (< smoothMin or not)
+ *           × HR (≤ hrResume, ≤ hrCeiling, above)
+ *   reward  weighted sum of the terms in REWARD_TERMS, each in [-1, 1]
+ *   learner "q" — Q-learning, credit flows back through `gamma`
+ *           "bandit" — contextual bandit, mean reward of the choice only
+ *
+ * The rules' REST gates always apply; the learner only chooses on records
+ * the rules would coach. When REST ends is still the coach's call (dwell
+ * and safe-resume streak), so a REST choice runs until the next record
+ * decided while coaching and is credited with every reward in between. Each
+ * reward is scored on the record generated under the mode being credited.
+ * Missing readings fall in the calm bins and score 0.
+ *
+ *   const learner = createLearner({ kind: "q" });
+ *   runEpisode(createLearnedPolicy(learner, { explore: true }), { learner, ...session });
+ */
+
+export const ACTIONS = ["COACHING", "REST"];
+export const LEARNER_KINDS = ["q", "bandit"];
+
+// [key, label, default weight]
+export const REWARD_TERMS = [
+  ["smooth", "smoothness ↑", 1],
+  ["tremor", "tremor ↓", 1],
+  ["hrBand", "HR within band", 1],
+  ["grip", "grip on target", 0.5],
+  ["adherence", "adherence (coaching)", 0.5],
+];
+export const defaultRewardWeights = Object.fromEntries(REWARD_TERMS.map(([k, , w]) => [k, w]));
+
+export const defaultLearnerConfig = {
+  kind: "q",
+  alpha: 0.1, // learning rate
+  gamma: 0.9, // discount, Q-learning only
+  epsilon: 0.05, // exploration while training
+  episodeS: 120, // simulated seconds per training episode
+  weights: defaultRewardWeights,
+};
+
+// ---------- State & reward ----------
+export const STATE_AXES = {
+  tremor: ["low", "warn", "high"],
+  smooth: ["low", "ok"],
+  hr: ["ok", "elevated", "high"],
+};
+export const STATE_COUNT = 3 * 2 * 3;
+
+export function stateBins(record, params) {
+  const { tremor, smooth, hr } = record;
+  return {
+    tremor: tremor == null || tremor <= params.tremorWarn ? 0 : tremor <= params.tremorRest ? 1 : 2,
+    smooth: smooth != null && smooth < params.smoothMin ? 0 : 1,
+    hr: hr == null || hr <= params.hrResume ? 0 : hr <= params.hrCeiling ? 1 : 2,
+  };
+}
+
+export const stateIndex = ({ tremor, smooth, hr }) => (tremor * 2 + smooth) * 3 + hr;
+
+export function stateOf(record, params) {
+  return stateIndex(stateBins(record, params));
+}
+
+export function rewardTerms(record, mode, params) {
+  const { smooth, tremor, hr, grip } = record;
+  const band = Math.max(1, params.hrCeiling - params.hrResume);
+  return {
+    smooth: smooth ?? 0,
+    tremor: -(tremor ?? 0),
+    hrBand: hr == null ? 0 : -clamp((hr - params.hrResume) / band, 0, 1),
+    grip: grip == null ? 0 : -Math.min(1, Math.abs(grip - params.gripTarget) / (2 * GRIP_TOLERANCE)),
+    adherence: mode === "COACHING" ? 1 : 0,
+  };
+}
+
+export function reward(record, mode, params, weights = defaultRewardWeights) {
+  const terms = rewardTerms(record, mode, params);
+  return Object.entries(terms).reduce((sum, [k, v]) => sum + (weights[k] ?? 0) * v, 0);
+}
+
+// ---------- Learner ----------
+export function createLearner({ seed = "rl", ...options } = {}) {
+  const config = { ...defaultLearnerConfig, ...options };
+  const rng = createRng(`${seed}:explore`);
+  const q = new Float64Array(STATE_COUNT * ACTIONS.length);
+  const visits = new Uint32Array(STATE_COUNT * ACTIONS.length);
+  const episodes = []; // learning curve, appended by whoever trains it
+
+  const values = (s) => ACTIONS.map((_, a) => q[s * ACTIONS.length + a]);
+  // Ties (including unvisited states) go to COACHING.
+  const best = (s) => {
+    const v = values(s);
+    return v.reduce((bi, x, i) => (x > v[bi] ? i : bi), 0);
+  };
+
+  return {
+    config,
+    episodes,
+    values,
+    best,
+    act(s, explore = false) {
+      if (explore && rng.next() < config.epsilon) return Math.floor(rng.next() * ACTIONS.length);
+      return best(s);
+    },
+    // `rewards`: one per record the choice ran for; `next`: the state of the
+    // following decision.
+    learn(s, a, rewards, next) {
+      const i = s * ACTIONS.length + a;
+      let target;
+      if (config.kind === "q") {
+        const k = rewards.length;
+        target = rewards.reduce((g, r, j) => g + config.gamma ** j * r, 0);
+        target += config.gamma ** k * Math.max(...values(next));
+      } else {
+        target = rewards.reduce((sum, r) => sum + r, 0) / rewards.length;
+      }
+      q[i] += config.alpha * (target - q[i]);
+      visits[i] += 1;
+    },
+    visits: (s) => ACTIONS.map((_, a) => visits[s * ACTIONS.length + a]),
+  };
+}
+
+// Pattern a learned REST plays, as the default REST rules do.
+const REST_HAPTIC = "breathe";
+
+// The learner as a coach policy. The rules stay in charge of safety: they
+// are evaluated first, running or not, and when they call for REST (or do not
+// coach) their decision stands. Only when they would coach does the learner
+// choose between their cue and REST.
+// During REST it proposes COACHING once the rules no longer gate, leaving
+// the resume to the coach.
+export function createLearnedPolicy(learner, { explore = false } = {}) {
+  return {
+    id: "learned",
+    decide(record, ctx) {
+      const ruled = evaluatePolicy(record, ctx);
+      if (ruled.mode !== "COACHING") return ruled;
+      // Rule sets without an idle rule still leave the learner out when stopped.
+      if (!ctx.running) return { mode: "IDLE", message: IDLE_MESSAGE, rule: null, haptic: null };
+      const { message, haptic } = ruled;
+      const coaching = { mode: "COACHING", message, rule: "learned", haptic };
+      if (ctx.mode === "REST") return coaching;
+      const s = stateOf(record, ctx.params);
+      const mode = ACTIONS[learner.act(s, explore)];
+      const [coach, rest] = learner.values(s);
+      const reason = `learned policy (Q coach ${coach.toFixed(2)}, rest ${rest.toFixed(2)})`;
+      if (mode === "REST") {
+        return {
+          mode,
+          message: "Learned policy: pause and breathe",
+          rule: "learned",
+          haptic: ctx.sensors.haptic ? REST_HAPTIC : null,
+          reason,
+        };
+      }
+      return { ...coaching, reason };
+    },
+  };
+}
+
+// ---------- Episodes ----------
+/**
+ * One simulated session at 1 Hz under `policy`, stepped by the caller so a
+ * browser can yield between chunks. With `learner` set, every transition
+ * trains it. `summary()` gives the mean reward and the share of time in REST.
+ */
+export function createEpisode(policy, { learner, weights, seconds, ...session }) {
+  const sim = createSimulation({ ...session, displayRate: 1, policy });
+  const { params } = session;
+  let prev = null; // mode the last record ran under
+  let choice = null; // { s, a, rewards } awaiting its next decision
+  let total = 0;
+  let scored = 0;
+  let rested = 0;
+  let steps = 0;
+
+  return {
+    get done() {
+      return steps >= seconds;
+    },
+    step() {
+      const before = sim.mode;
+      const { frame, decision } = sim.step();
+      if (prev) {
+        const r = reward(frame, prev, params, weights);
+        choice?.rewards.push(r);
+        total += r;
+        scored += 1;
+      }
+      if (before !== "REST") {
+        const s = stateOf(frame, params);
+        if (choice?.rewards.length) learner?.learn(choice.s, choice.a, choice.rewards, s);
+        // Records the rules decided (a safety REST) are not the learner's choice.
+        const learned = decision.rule === "learned";
+        choice = learned ? { s, a: ACTIONS.indexOf(decision.mode), rewards: [] } : null;
+      }
+      prev = decision.mode;
+      if (decision.mode === "REST") rested += 1;
+      steps += 1;
+    },
+    summary() {
+      return { reward: scored ? total / scored : 0, restShare: steps ? rested / steps : 0 };
+    },
+  };
+}
+
+export function runEpisode(policy, options) {
+  const episode = createEpisode(policy, options);
+  while (!episode.done) episode.step();
+  return episode.summary();
+}
@@ -0,0 +1,47 @@
+// ---------- Seeded PRNG ----------
+// mulberry32: 32-bit state, fast, and good enough for signal jitter. Every
+// simulated value draws from one of these so a session can be replayed from
+// its seed.
+
+// Numeric seeds map to themselves; any other string is hashed (FNV-1a).
+export function hashSeed(seed) {
+  const s = String(seed ?? "").trim();
+  if (/^\d+$/.test(s)) return Number(s) >>> 0;
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+export function randomSeed() {
+  return String(Math.floor(Math.random() * 1e9));
+}
+
+export function createRng(seed) {
+  let state = hashSeed(seed);
+
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let z = state;
+    z = Math.imul(z ^ (z >>> 15), z | 1);
+    z ^= z + Math.imul(z ^ (z >>> 7), z | 61);
+    return ((z ^ (z >>> 14)) >>> 0) / 4294967296;
+  };
+
+  // Standard normal via Box–Muller; the spare value is discarded to keep the
+  // draw count per call fixed.
+  const gauss = () => {
+    const u = 1 - next();
+    const v = next();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  };
+
+  return {
+    seed: String(seed),
+    next,
+    gauss,
+    rnd: (m = 1, v = 0.2) => m + (next() - 0.5) * 2 * v, // mean +/‑ variance
+  };
+}
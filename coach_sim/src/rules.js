@@ -0,0 +1,359 @@
+/**
+ * Rule sets
+ * ---------
+ * Coaching rules as data, so they can be edited, exported and diffed:
+ *
+ *   { id: "tremor-rest", priority: 20, enabled: true,
+ *     when: "sensors.tpuForearm && tremor > params.tremorRest",
+ *     mode: "REST", message: "Tremor elevated — guided rest",
+ *     haptic: "breathe" }
+ *
+ * `haptic` is the id of a pattern in the haptic library (haptics.js), or
+ * null for none. REST rules may add `resume`, the condition under which that rule's
+ * concern has cleared (see coach.js); without it, `when` no longer holding
+ * counts as clear.
+ *
+ * `when` is a small expression language over the record (smooth, tremor,
+ * grip, hr, rr, hrv, sdnn, fatigue, emgEnv, resp, t, sqi.ppg, sqi.resp),
+ * `params.*`, `sensors.*`, `running` and the current `mode`:
+ *
+ *   literals   1.5  "REST"  true  false  null
+ *   operators  ! - * / + - < <= > >= == != && ||   (usual precedence)
+ *   functions  abs(x)  min(a, b)  max(a, b)
+ *
+ * A missing reading is null: arithmetic on it stays null and ordering
+ * comparisons against it are false, so a null never trips a rule.
+ */
+
+export const RULESET_FORMAT = "coachsim-rules";
+// v2: `haptic` names a library pattern instead of describing the cue
+const RULESET_VERSION = 2;
+
+export const RULE_MODES = ["IDLE", "COACHING", "REST"];
+
+// [key, min, max, step] for every tunable threshold, for sliders and forms;
+// the `params.*` names a condition may read.
+export const PARAM_FIELDS = [
+  ["tremorWarn", 0, 1, 0.01],
+  ["tremorRest", 0, 1, 0.01],
+  ["smoothMin", 0, 1, 0.01],
+  ["gripTarget", 0, 60, 1],
+  ["hrCeiling", 80, 180, 1],
+  ["rrCeiling", 10, 35, 1],
+  ["hrResume", 80, 180, 1],
+  ["rrResume", 10, 35, 1],
+  ["tremorResume", 0, 1, 0.01],
+  ["restMinS", 0, 120, 5],
+  ["resumeFrames", 1, 30, 1],
+  ["sqiMin", 0, 1, 0.01],
+  ["difficulty", 0.6, 1.8, 0.01],
+];
+
+export const RULE_FIELDS = [
+  "smooth",
+  "tremor",
+  "grip",
+  "hr",
+  "rr",
+  "hrv",
+  "sdnn",
+  "fatigue",
+  "emgEnv",
+  "resp",
+  "t",
+  "sqi.ppg",
+  "sqi.resp",
+];
+const SCOPE_NAMES = ["running", "mode"];
+const SENSOR_NAMES = [
+  "tpuForearm",
+  "tpuBicep",
+  "tpuShoulder",
+  "forcePads",
+  "imu",
+  "ppg",
+  "resp",
+  "haptic",
+];
+
+const FUNCTIONS = {
+  abs: [1, (x) => Math.abs(x)],
+  min: [2, (a, b) => Math.min(a, b)],
+  max: [2, (a, b) => Math.max(a, b)],
+};
+
+// ---------- Tokens ----------
+const TOKEN = /\s*(?:(\d+(?:\.\d+)?|\.\d+)|("[^"]*"|'[^']*')|([A-Za-z_]\w*(?:\.[A-Za-z_]\w*)*)|(&&|\|\||[<>=!]=|[-+*/<>!(),]))/y;
+
+function tokenize(src) {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+  let at = 0;
+  while (at < src.length) {
+    if (!src.slice(at).trim()) break;
+    TOKEN.lastIndex = at;
+    const m = TOKEN.exec(src);
+    if (!m) throw new Error(`unexpected "${src.slice(at).trim()[0]}" at ${at + 1}`);
+    const pos = m.index + m[0].length - (m[1] ?? m[2] ?? m[3] ?? m[4]).length;
+    if (m[1]) tokens.push({ type: "num", value: Number(m[1]), pos });
+    else if (m[2]) tokens.push({ type: "str", value: m[2].slice(1, -1), pos });
+    else if (m[3]) tokens.push({ type: "name", value: m[3], pos });
+    else tokens.push({ type: "op", value: m[4], pos });
+    at = TOKEN.lastIndex;
+  }
+  return tokens;
+}
+
+// ---------- Parser ----------
+// Recursive descent straight to closures over a scope object.
+const isNull = (v) => v == null || Number.isNaN(v);
+const arith = (f) => (a, b) => (isNull(a) || isNull(b) ? null : f(a, b));
+const order = (f) => (a, b) => (isNull(a) || isNull(b) ? false : f(a, b));
+const BINARY = {
+  "||": null,
+  "&&": null,
+  "==": (a, b) => (isNull(a) ? null : a) === (isNull(b) ? null : b),
+  "!=": (a, b) => (isNull(a) ? null : a) !== (isNull(b) ? null : b),
+  "<": order((a, b) => a < b),
+  "<=": order((a, b) => a <= b),
+  ">": order((a, b) => a > b),
+  ">=": order((a, b) => a >= b),
+  "+": arith((a, b) => a + b),
+  "-": arith((a, b) => a - b),
+  "*": arith((a, b) => a * b),
+  "/": arith((a, b) => (b === 0 ? null : a / b)),
+};
+const LEVELS = [["||"], ["&&"], ["==", "!=", "<", "<=", ">", ">="], ["+", "-"], ["*", "/"]];
+
+function checkName(name) {
+  const [root, key, ...rest] = name.split(".");
+  const ok =
+    rest.length === 0 &&
+    (RULE_FIELDS.includes(name) ||
+      (SCOPE_NAMES.includes(root) && key == null) ||
+      (root === "params" && PARAM_FIELDS.some(([k]) => k === key)) ||
+      (root === "sensors" && SENSOR_NAMES.includes(key)));
+  if (!ok) throw new Error(`unknown name "${name}"`);
+}
+
+function lookup(name) {
+  const path = name.split(".");
+  return (scope) => {
+    let v = scope;
+    for (const key of path) v = v?.[key];
+    return v ?? null;
+  };
+}
+
+function parse(tokens) {
+  let i = 0;
+  const peek = () => tokens[i];
+  const fail = (why) => {
+    const tok = peek();
+    throw new Error(tok ? `${why} at ${tok.pos + 1} ("${tok.value}")` : `${why} at end`);
+  };
+  const accept = (value) => {
+    if (peek()?.type === "op" && peek().value === value) {
+      i += 1;
+      return true;
+    }
+    return false;
+  };
+  const expect = (value) => accept(value) || fail(`expected "${value}"`);
+
+  const binary = (level) => {
+    if (level === LEVELS.length) return unary();
+    let left = binary(level + 1);
+    for (;;) {
+      const tok = peek();
+      if (tok?.type !== "op" || !LEVELS[level].includes(tok.value)) return left;
+      i += 1;
+      const right = binary(level + 1);
+      const l = left;
+      if (tok.value === "||") left = (s) => Boolean(l(s)) || Boolean(right(s));
+      else if (tok.value === "&&") left = (s) => Boolean(l(s)) && Boolean(right(s));
+      else {
+        const f = BINARY[tok.value];
+        left = (s) => f(l(s), right(s));
+      }
+      // Comparisons do not chain: a < b < c is an error, not (a < b) < c.
+      if (level === 2) return left;
+    }
+  };
+
+  const unary = () => {
+    if (accept("!")) {
+      const arg = unary();
+      return (s) => !arg(s);
+    }
+    if (accept("-")) {
+      const arg = unary();
+      return (s) => {
+        const v = arg(s);
+        return isNull(v) ? null : -v;
+      };
+    }
+    return primary();
+  };
+
+  const primary = () => {
+    const tok = peek();
+    if (!tok) fail("expected a value");
+    if (tok.type === "num" || tok.type === "str") {
+      i += 1;
+      return () => tok.value;
+    }
+    if (tok.type === "name") {
+      i += 1;
+      if (tok.value === "true" || tok.value === "false") return () => tok.value === "true";
+      if (tok.value === "null") return () => null;
+      if (accept("(")) {
+        const fn = FUNCTIONS[tok.value];
+        if (!fn) throw new Error(`unknown function "${tok.value}"`);
+        const args = [];
+        if (!accept(")")) {
+          do args.push(binary(0));
+          while (accept(","));
+          expect(")");
+        }
+        const [arity, f] = fn;
+        if (args.length !== arity) {
+          throw new Error(`${tok.value}() takes ${arity} argument${arity === 1 ? "" : "s"}`);
+        }
+        return (s) => {
+          const values = args.map((a) => a(s));
+          return values.some(isNull) ? null : f(...values);
+        };
+      }
+      checkName(tok.value);
+      return lookup(tok.value);
+    }
+    if (accept("(")) {
+      const inner = binary(0);
+      expect(")");
+      return inner;
+    }
+    return fail("expected a value");
+  };
+
+  const root = binary(0);
+  if (i < tokens.length) fail("unexpected token");
+  return root;
+}
+
+// source → evaluator | Error, least recently used first. Bounded, as the
+// editor compiles every intermediate source typed.
+const compiled = new Map();
+const MAX_COMPILED = 256;
+
+/**
+ * Compile a `when` expression to `(scope) => boolean`. Throws an Error
+ * naming the position of the first problem.
+ */
+export function compileCondition(src) {
+  let result = compiled.get(src);
+  if (result) {
+    compiled.delete(src);
+  } else {
+    try {
+      if (typeof src !== "string" || !src.trim()) throw new Error("condition is empty");
+      const evaluate = parse(tokenize(src));
+      result = (scope) => Boolean(evaluate(scope));
+    } catch (err) {
+      result = err;
+    }
+    if (compiled.size >= MAX_COMPILED) compiled.delete(compiled.keys().next().value);
+  }
+  compiled.set(src, result);
+  if (result instanceof Error) throw result;
+  return result;
+}
+
+// ---------- Rules ----------
+// Every problem with one rule, as strings; empty when the rule is usable.
+export function validateRule(rule) {
+  const errors = [];
+  if (!rule || typeof rule !== "object") return ["rule must be an object"];
+  if (typeof rule.id !== "string" || !rule.id) errors.push("id is required");
+  if (!Number.isFinite(rule.priority)) errors.push("priority must be a number");
+  if (!RULE_MODES.includes(rule.mode)) errors.push(`mode must be one of ${RULE_MODES.join(", ")}`);
+  if (typeof rule.message !== "string") errors.push("message must be text");
+  if (rule.haptic != null && (typeof rule.haptic !== "string" || !rule.haptic)) {
+    errors.push("haptic must be a pattern id or null");
+  }
+  try {
+    compileCondition(rule.when);
+  } catch (err) {
+    errors.push(`when: ${err.message}`);
+  }
+  if (rule.resume != null) {
+    try {
+      compileCondition(rule.resume);
+    } catch (err) {
+      errors.push(`resume: ${err.message}`);
+    }
+  }
+  return errors;
+}
+
+// Rule id → errors, for the rules that have any, plus duplicate ids.
+export function validateRules(rules) {
+  const problems = {};
+  const seen = new Set();
+  rules.forEach((rule, i) => {
+    const errors = validateRule(rule);
+    if (rule?.id && seen.has(rule.id)) errors.push(`duplicate id "${rule.id}"`);
+    seen.add(rule?.id);
+    if (errors.length) problems[rule?.id || `#${i + 1}`] = errors;
+  });
+  return problems;
+}
+
+// Enabled, valid rules in evaluation order: priority ascending, then as listed.
+export function activeRules(rules) {
+  return rules
+    .map((rule, index) => ({ rule, index }))
+    .filter(({ rule }) => rule.enabled !== false && !validateRule(rule).length)
+    .sort((a, b) => a.rule.priority - b.rule.priority || a.index - b.index)
+    .map(({ rule }) => rule);
+}
+
+// The first rule whose condition holds for `scope`, or null.
+export function firstMatch(rules, scope) {
+  return activeRules(rules).find((rule) => compileCondition(rule.when)(scope)) ?? null;
+}
+
+// ---------- Import / export ----------
+export function serializeRules(rules) {
+  return JSON.stringify({ format: RULESET_FORMAT, version: RULESET_VERSION, rules }, null, 2);
+}
+
+/**
+ * Read a rule set export (or a bare array of rules). Throws an Error naming
+ * the first invalid rule.
+ */
+export function parseRules(text) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Rule set is not valid JSON (${err.message})`);
+  }
+  const rules = Array.isArray(doc) ? doc : doc?.rules;
+  if (!Array.isArray(rules)) throw new Error('Rule set needs a "rules" array');
+  if (!Array.isArray(doc) && doc.format !== RULESET_FORMAT) {
+    throw new Error(`Not a rule set (format "${doc.format}")`);
+  }
+  if (doc.version > RULESET_VERSION) throw new Error(`Rule set is from a newer version (${doc.version})`);
+  const problems = validateRules(rules);
+  const [id, errors] = Object.entries(problems)[0] ?? [];
+  if (id) throw new Error(`Rule "${id}": ${errors[0]}`);
+  // A v1 cue was always the one motor pulse.
+  const legacy = !Array.isArray(doc) && doc.version < 2;
+  return rules.map((r) => ({
+    enabled: true,
+    haptic: null,
+    ...r,
+    ...(legacy && r.haptic != null && { haptic: "pulse" }),
+  }));
+}
@@ -0,0 +1,159 @@
+/**
+ * sample_t codec
+ * --------------
+ * Little-endian, packed, 60 bytes per frame — byte-for-byte what the ESP32-S3
+ * firmware writes:
+ *
+ *   typedef struct {
+ *     uint32_t t_us;         //  0
+ *     float    imu_acc[3];   //  4
+ *     float    imu_gyro[3];  // 16
+ *     float    strain[3];    // 28
+ *     float    emg_env;      // 40
+ *     float    fsr[3];       // 44
+ *     float    resp;         // 56
+ *   } sample_t;              // 60
+ *
+ * Decoded frames have the same shape as the simulator's frames, so dumps
+ * from a device and from `encodeFrames(sim frames)` can be diffed directly.
+ */
+
+export const SAMPLE_T_BYTES = 60;
+
+// [field, byte offset, float count] — t_us is handled separately
+const FLOAT_FIELDS = [
+  ["imu_acc", 4, 3],
+  ["imu_gyro", 16, 3],
+  ["strain", 28, 3],
+  ["emg_env", 40, 1],
+  ["fsr", 44, 3],
+  ["resp", 56, 1],
+];
+
+export class SampleFrameError extends Error {
+  constructor(message, { frameIndex = null, byteOffset = null } = {}) {
+    super(message);
+    this.name = "SampleFrameError";
+    this.frameIndex = frameIndex;
+    this.byteOffset = byteOffset;
+  }
+}
+
+// Accepts ArrayBuffer, any typed array / Buffer, or DataView.
+function toBytes(input) {
+  if (input instanceof ArrayBuffer) return new Uint8Array(input);
+  if (ArrayBuffer.isView(input)) {
+    return new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+  }
+  throw new SampleFrameError(
+    `Expected an ArrayBuffer or typed array, got ${input === null ? "null" : typeof input}`
+  );
+}
+
+export function encodeFrame(frame, view, offset = 0) {
+  view.setUint32(offset, Math.round(frame.t_us) >>> 0, true); // wraps like the MCU counter
+  for (const [field, at, count] of FLOAT_FIELDS) {
+    const value = frame[field];
+    for (let i = 0; i < count; i++) {
+      view.setFloat32(offset + at + i * 4, count === 1 ? value : value[i], true);
+    }
+  }
+}
+
+export function encodeFrames(frames) {
+  const buffer = new ArrayBuffer(frames.length * SAMPLE_T_BYTES);
+  const view = new DataView(buffer);
+  frames.forEach((f, i) => encodeFrame(f, view, i * SAMPLE_T_BYTES));
+  return buffer;
+}
+
+export function decodeFrame(view, offset = 0) {
+  const frame = { t_us: view.getUint32(offset, true) };
+  for (const [field, at, count] of FLOAT_FIELDS) {
+    const values = [];
+    for (let i = 0; i < count; i++) values.push(view.getFloat32(offset + at + i * 4, true));
+    frame[field] = count === 1 ? values[0] : values;
+  }
+  return frame;
+}
+
+const firstNonFinite = (frame) =>
+  FLOAT_FIELDS.find(([field]) => [frame[field]].flat().some((v) => !Number.isFinite(v)))?.[0];
+
+/**
+ * Decode packed frames. Throws SampleFrameError when the byte length is not a
+ * whole number of frames or a frame holds NaN/Inf (the usual sign of reading
+ * from the wrong offset); the message suggests a likely offset when one fits.
+ */
+export function decodeFrames(input, { validate = true } = {}) {
+  const bytes = toBytes(input);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const hint = () => {
+    const offset = findAlignment(bytes);
+    return offset > 0 ? ` — data looks aligned at byte offset ${offset}` : "";
+  };
+
+  if (bytes.byteLength % SAMPLE_T_BYTES !== 0) {
+    const whole = Math.floor(bytes.byteLength / SAMPLE_T_BYTES);
+    throw new SampleFrameError(
+      `${bytes.byteLength} bytes is not a whole number of ${SAMPLE_T_BYTES}-byte sample_t frames ` +
+        `(${whole} frames + ${bytes.byteLength % SAMPLE_T_BYTES} stray bytes)${hint()}`,
+      { byteOffset: whole * SAMPLE_T_BYTES }
+    );
+  }
+
+  const frames = [];
+  for (let off = 0; off < bytes.byteLength; off += SAMPLE_T_BYTES) {
+    const frame = decodeFrame(view, off);
+    const bad = validate && firstNonFinite(frame);
+    if (bad) {
+      const frameIndex = off / SAMPLE_T_BYTES;
+      throw new SampleFrameError(
+        `frame ${frameIndex} (byte ${off}): ${bad} is not a finite number${hint()}`,
+        { frameIndex, byteOffset: off }
+      );
+    }
+    frames.push(frame);
+  }
+  return frames;
+}
+
+/**
+ * Best guess at where whole frames start in a dump that may begin mid-frame:
+ * the offset whose first few frames have finite floats and a steady
+ * (±10 %), positive t_us step. Returns -1 if nothing fits.
+ */
+export function findAlignment(input, { probe = 8 } = {}) {
+  const bytes = toBytes(input);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  for (let offset = 0; offset < SAMPLE_T_BYTES; offset++) {
+    const count = Math.min(probe, Math.floor((bytes.byteLength - offset) / SAMPLE_T_BYTES));
+    if (count < 2) break;
+    const frames = [];
+    for (let i = 0; i < count; i++) frames.push(decodeFrame(view, offset + i * SAMPLE_T_BYTES));
+    if (frames.some(firstNonFinite)) continue;
+    const step = (frames[1].t_us - frames[0].t_us) >>> 0;
+    const steady = frames.every(
+      (f, i) =>
+        i === 0 || Math.abs(((f.t_us - frames[i - 1].t_us) >>> 0) - step) <= step * 0.1
+    );
+    if (step > 0 && step < 1e6 && steady) return offset;
+  }
+  return -1;
+}
+
+// Undo uint32 wrap-around (every ~71.6 min) so t_us increases monotonically.
+export function unwrapTimestamps(frames) {
+  let base = 0;
+  return frames.map((f, i) => {
+    if (i > 0 && f.t_us < frames[i - 1].t_us) base += 2 ** 32;
+    return base ? { ...f, t_us: f.t_us + base } : f;
+  });
+}
+
+// ---------- Records ----------
+// Pack the raw windows behind display records back to back: as received,
+// before any filter chain (record.unfiltered), else record.frames.
+export function encodeRecords(records) {
+  return encodeFrames(records.flatMap((r) => r.unfiltered ?? r.frames ?? []));
+}
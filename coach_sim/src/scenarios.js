@@ -0,0 +1,207 @@
+/**
+ * Scenario scripting
+ * ------------------
+ * A scenario is plain JSON: keyframed tracks for any field the engine's
+ * `step(overrides)` accepts, evaluated against session time in seconds.
+ *
+ *   {
+ *     "id": "tremor-ramp",
+ *     "name": "Tremor ramps up at minute 3",
+ *     "duration": 420,
+ *     "tracks": {
+ *       "tremor": [
+ *         { "t": 180, "value": 0.15 },
+ *         { "t": 300, "value": 0.65, "ease": "smooth" },
+ *         { "t": 360, "value": null }
+ *       ]
+ *     }
+ *   }
+ *
+ * A track is released (the simulator runs free) before its first keyframe and
+ * from any keyframe whose value is null. `ease` describes the segment that
+ * ends at that keyframe: "linear" (default), "smooth" or "step". Arrays and
+ * objects (strain, fsr, pose) are interpolated element by element.
+ */
+
+export const SCENARIO_FIELDS = [
+  "smooth",
+  "tremor",
+  "emgEnv",
+  "strain",
+  "grip",
+  "fsr",
+  "hr",
+  "rr",
+  "resp",
+  "pose",
+  "usePoseSensors",
+];
+
+const EASINGS = {
+  linear: (k) => k,
+  smooth: (k) => k * k * (3 - 2 * k),
+  step: () => 0,
+};
+
+function lerpValue(a, b, k) {
+  if (typeof a === "number" && typeof b === "number") return a + (b - a) * k;
+  if (Array.isArray(a) && Array.isArray(b)) return a.map((v, i) => lerpValue(v, b[i], k));
+  if (a && b && typeof a === "object" && typeof b === "object") {
+    return Object.fromEntries(Object.keys(a).map((key) => [key, lerpValue(a[key], b[key], k)]));
+  }
+  return k < 1 ? a : b;
+}
+
+function sampleTrack(keys, t) {
+  if (!keys.length || t < keys[0].t) return null;
+  let i = 0;
+  while (i + 1 < keys.length && keys[i + 1].t <= t) i++;
+  const from = keys[i];
+  const to = keys[i + 1];
+  if (!to || from.value == null || to.value == null) return from.value;
+  const ease = EASINGS[to.ease ?? "linear"];
+  return lerpValue(from.value, to.value, ease((t - from.t) / (to.t - from.t)));
+}
+
+// Overrides for session time `t`; released tracks are simply absent.
+export function evaluateScenario(scenario, t) {
+  const overrides = {};
+  if (!scenario) return overrides;
+  for (const [field, keys] of Object.entries(scenario.tracks)) {
+    const value = sampleTrack(keys, t);
+    if (value != null) overrides[field] = value;
+  }
+  return overrides;
+}
+
+/**
+ * Checks untrusted JSON and returns a normalised scenario (keyframes sorted).
+ * Throws an Error naming the first offending field.
+ */
+export function parseScenario(input) {
+  const data = typeof input === "string" ? JSON.parse(input) : input;
+  if (!data || typeof data !== "object") throw new Error("Scenario must be a JSON object");
+  if (typeof data.name !== "string" || !data.name) throw new Error("Scenario needs a name");
+  if (!(data.duration > 0)) throw new Error(`"${data.name}": duration must be > 0 seconds`);
+  if (!data.tracks || typeof data.tracks !== "object") {
+    throw new Error(`"${data.name}": tracks must be an object of field → keyframes`);
+  }
+  const tracks = {};
+  for (const [field, keys] of Object.entries(data.tracks)) {
+    if (!SCENARIO_FIELDS.includes(field)) {
+      throw new Error(`"${data.name}": unknown track "${field}"`);
+    }
+    if (!Array.isArray(keys) || !keys.length) {
+      throw new Error(`"${data.name}": track "${field}" needs at least one keyframe`);
+    }
+    keys.forEach((k, i) => {
+      if (!(k?.t >= 0)) throw new Error(`"${data.name}": ${field}[${i}].t must be ≥ 0`);
+      if (k.ease != null && !EASINGS[k.ease]) {
+        throw new Error(`"${data.name}": ${field}[${i}].ease "${k.ease}" is not linear/smooth/step`);
+      }
+    });
+    tracks[field] = [...keys].sort((a, b) => a.t - b.t);
+  }
+  return {
+    id: data.id ?? data.name.toLowerCase().replace(/[^a-z0-9]+/g, "-"),
+    name: data.name,
+    description: data.description ?? "",
+    duration: data.duration,
+    tracks,
+  };
+}
+
+// ---------- Bundled scenarios ----------
+// One per branch of the default coaching policy, tuned to the default params.
+export const bundledScenarios = [
+  {
+    id: "good-form",
+    name: "Steady good form",
+    description: "Smooth, on-target grip, low tremor — the coach should praise and add challenge.",
+    duration: 180,
+    tracks: {
+      smooth: [{ t: 0, value: 0.8 }],
+      grip: [{ t: 0, value: 18 }],
+      tremor: [{ t: 0, value: 0.1 }],
+    },
+  },
+  {
+    id: "tremor-ramp",
+    name: "Tremor ramps up at minute 3",
+    description: "Tremor crosses the warning level, then the rest gate, then settles.",
+    duration: 420,
+    tracks: {
+      tremor: [
+        { t: 180, value: 0.15 },
+        { t: 240, value: 0.42 },
+        { t: 300, value: 0.65, ease: "smooth" },
+        { t: 330, value: 0.65 },
+        { t: 390, value: 0.15, ease: "smooth" },
+        { t: 400, value: null },
+      ],
+    },
+  },
+  {
+    id: "hr-spike",
+    name: "HR spikes past the ceiling, then recovers",
+    description: "Heart rate climbs over 120 bpm at minute 2, holds, and comes back down.",
+    duration: 360,
+    tracks: {
+      hr: [
+        { t: 90, value: 88 },
+        { t: 120, value: 132, ease: "smooth" },
+        { t: 180, value: 130 },
+        { t: 260, value: 86, ease: "smooth" },
+        { t: 270, value: null },
+      ],
+    },
+  },
+  {
+    id: "rr-spike",
+    name: "Breathing rate surge",
+    description: "Respiration rate rises above the 20 bpm ceiling for a minute.",
+    duration: 300,
+    tracks: {
+      rr: [
+        { t: 60, value: 13 },
+        { t: 100, value: 26 },
+        { t: 160, value: 25 },
+        { t: 200, value: 13 },
+        { t: 210, value: null },
+      ],
+    },
+  },
+  {
+    id: "grip-drift",
+    name: "Grip drifts below target",
+    description: "Grip force slides from 18 N to 6 N over three minutes.",
+    duration: 300,
+    tracks: {
+      grip: [
+        { t: 30, value: 18 },
+        { t: 210, value: 6 },
+        { t: 270, value: 6 },
+      ],
+      fsr: [
+        { t: 30, value: [12, 9, 16] },
+        { t: 210, value: [5, 4, 16] },
+        { t: 270, value: [5, 4, 16] },
+      ],
+    },
+  },
+  {
+    id: "smoothness-drop",
+    name: "Movement gets jerky",
+    description: "Smoothness falls under the minimum, then recovers.",
+    duration: 300,
+    tracks: {
+      smooth: [
+        { t: 60, value: 0.72 },
+        { t: 120, value: 0.3, ease: "smooth" },
+        { t: 200, value: 0.32 },
+        { t: 260, value: 0.72, ease: "smooth" },
+        { t: 270, value: null },
+      ],
+    },
+  },
+].map(parseScenario);
@@ -0,0 +1,211 @@
+import { createRng } from "./rng.js";
+import { streamSimulatedFrames } from "./simulation.js";
+import { decodeFrame, encodeFrame, SAMPLE_T_BYTES } from "./sample-codec.js";
+
+/**
+ * Web Serial transport
+ * --------------------
+ * The sleeve's USB CDC stream wraps each sample_t in a small packet so a
+ * reader can join mid-stream and notice loss:
+ *
+ *   offset  size  field
+ *        0     2  sync   0xA5 0x5A
+ *        2     2  seq    uint16 LE, +1 per frame, wraps
+ *        4    60  sample_t
+ *       64     1  crc    CRC-8 (poly 0x07, init 0) over seq + sample_t
+ *
+ * `createPacketParser` resynchronises on the sync word after garbage or a
+ * bad checksum; `createMockSerialPort` speaks the same protocol from the
+ * simulator for development without hardware.
+ */
+
+export const SERIAL_BAUD = 921600;
+export const ESPRESSIF_USB_VID = 0x303a;
+
+const SYNC = [0xa5, 0x5a];
+const PACKET_BYTES = 2 + 2 + SAMPLE_T_BYTES + 1;
+
+// ---------- Framing ----------
+const CRC8_TABLE = (() => {
+  const table = new Uint8Array(256);
+  for (let i = 0; i < 256; i++) {
+    let c = i;
+    for (let b = 0; b < 8; b++) c = c & 0x80 ? ((c << 1) ^ 0x07) & 0xff : (c << 1) & 0xff;
+    table[i] = c;
+  }
+  return table;
+})();
+
+export function crc8(bytes, start = 0, end = bytes.length) {
+  let crc = 0;
+  for (let i = start; i < end; i++) crc = CRC8_TABLE[crc ^ bytes[i]];
+  return crc;
+}
+
+export function encodePacket(frame, seq) {
+  const bytes = new Uint8Array(PACKET_BYTES);
+  const view = new DataView(bytes.buffer);
+  bytes[0] = SYNC[0];
+  bytes[1] = SYNC[1];
+  view.setUint16(2, seq & 0xffff, true);
+  encodeFrame(frame, view, 4);
+  bytes[PACKET_BYTES - 1] = crc8(bytes, 2, PACKET_BYTES - 1);
+  return bytes;
+}
+
+// Feed arbitrary chunks; complete, checksummed packets come out of onPacket.
+export function createPacketParser({ onPacket, onCorrupt }) {
+  let buf = new Uint8Array(0);
+
+  return {
+    push(chunk) {
+      const next = new Uint8Array(buf.length + chunk.length);
+      next.set(buf);
+      next.set(chunk, buf.length);
+      buf = next;
+
+      let i = 0;
+      while (buf.length - i >= PACKET_BYTES) {
+        if (buf[i] !== SYNC[0] || buf[i + 1] !== SYNC[1]) {
+          i += 1;
+          continue;
+        }
+        if (crc8(buf, i + 2, i + PACKET_BYTES - 1) !== buf[i + PACKET_BYTES - 1]) {
+          onCorrupt?.();
+          i += 1; // a false sync inside payload, or a damaged packet
+          continue;
+        }
+        const view = new DataView(buf.buffer, buf.byteOffset + i, PACKET_BYTES);
+        onPacket({ seq: view.getUint16(2, true), frame: decodeFrame(view, 4) });
+        i += PACKET_BYTES;
+      }
+      buf = buf.slice(i);
+    },
+    reset() {
+      buf = new Uint8Array(0);
+    },
+  };
+}
+
+// ---------- Connection ----------
+export const serialSupported = () =>
+  typeof navigator !== "undefined" && "serial" in navigator;
+
+export async function requestSerialPort() {
+  if (!serialSupported()) {
+    throw new Error("Web Serial is not available in this browser (use Chrome or Edge)");
+  }
+  return navigator.serial.requestPort({ filters: [{ usbVendorId: ESPRESSIF_USB_VID }] });
+}
+
+/**
+ * Open `port` and pump packets until `close()` or the device goes away.
+ * `onStatus` receives "connecting" | "connected" | "disconnected" | "error"
+ * (with an Error for the last).
+ */
+export async function connectSerial(port, { stats, onFrame, onStatus }) {
+  let reader = null;
+  let closing = false;
+  const parser = createPacketParser({
+    onPacket: ({ seq, frame }) => {
+      stats?.frame(seq);
+      onFrame(frame);
+    },
+    onCorrupt: () => stats?.corrupt(),
+  });
+
+  onStatus?.("connecting");
+  await port.open({ baudRate: SERIAL_BAUD });
+  stats?.resync();
+  onStatus?.("connected");
+
+  const pump = (async () => {
+    try {
+      while (port.readable && !closing) {
+        reader = port.readable.getReader();
+        try {
+          for (;;) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            parser.push(value);
+          }
+        } finally {
+          reader.releaseLock();
+          reader = null;
+        }
+      }
+      onStatus?.("disconnected");
+    } catch (err) {
+      onStatus?.(closing ? "disconnected" : "error", err);
+    } finally {
+      if (!closing) await port.close().catch(() => {});
+    }
+  })();
+
+  return {
+    async close() {
+      closing = true;
+      await reader?.cancel().catch(() => {});
+      await pump;
+      await port.close().catch(() => {});
+    },
+  };
+}
+
+// ---------- Mock port ----------
+/**
+ * A stand-in for a Web Serial `SerialPort` that streams simulator frames in
+ * real time, chopped into 64-byte USB bulk transfers. `dropRate` loses whole
+ * packets (sequence gaps) and `corruptRate` flips a payload byte, so the
+ * link counters have something to count.
+ */
+export function createMockSerialPort({
+  seed = "mock",
+  user,
+  params,
+  sensors,
+  dropRate = 0,
+  corruptRate = 0,
+  chunkMs = 50,
+} = {}) {
+  let readable = null;
+  let stop = null;
+
+  const start = (controller) => {
+    const link = createRng(`${seed}:link`);
+    let seq = 0;
+    const onFrames = (frames) => {
+      const packets = [];
+      for (const f of frames) {
+        const packet = encodePacket(f, seq++);
+        if (link.next() < dropRate) continue;
+        if (link.next() < corruptRate) packet[4 + Math.floor(link.next() * SAMPLE_T_BYTES)] ^= 0xff;
+        packets.push(packet);
+      }
+      const bytes = new Uint8Array(packets.length * PACKET_BYTES);
+      packets.forEach((p, i) => bytes.set(p, i * PACKET_BYTES));
+      for (let i = 0; i < bytes.length; i += 64) controller.enqueue(bytes.slice(i, i + 64));
+    };
+    stop = streamSimulatedFrames({ user, params, sensors, seed }, onFrames, { chunkMs });
+  };
+  const halt = () => {
+    stop?.();
+    stop = null;
+  };
+
+  return {
+    mock: true,
+    get readable() {
+      return readable;
+    },
+    getInfo: () => ({ usbVendorId: ESPRESSIF_USB_VID, usbProductId: 0 }),
+    async open() {
+      if (readable) throw new Error("Mock serial port is already open");
+      readable = new ReadableStream({ start, cancel: halt });
+    },
+    async close() {
+      halt();
+      readable = null;
+    },
+  };
+}
@@ -0,0 +1,175 @@
+import { clamp } from "./pose.js";
+
+/**
+ * Generative physiology models
+ * ----------------------------
+ * Waveforms at sensor rate instead of jittered scalars:
+ * - movement: repeated reaches on the wrist gyro, minimum-jerk when smooth,
+ *   broken into corrective submovements as smoothness drops
+ * - tremor: 4–12 Hz oscillation on the IMU axes, amplitude grows with fatigue
+ * - PPG: pulse wave (systolic + dicrotic bump) with beat-to-beat variability
+ *   and respiratory sinus arrhythmia
+ * - respiration band: sinusoid plus noise at the breathing rate
+ * The record scalars are estimated from these waveforms (dsp.js, vitals.js),
+ * not read off the models.
+ */
+
+export const SENSOR_RATE_HZ = 200;
+export const TREMOR_BAND_HZ = [4, 12];
+
+// Tremor index 1.0 ≈ 60 °/s peak on the wrist gyro, 0.25 g on the accelerometer.
+export const GYRO_DPS_PER_UNIT = 60;
+const ACC_G_PER_UNIT = 0.25;
+const TREMOR_AXIS = [0.8, 0.5, 0.33]; // mostly flexion/extension
+
+const TWO_PI = 2 * Math.PI;
+const bump = (x, mu, sigma) => Math.exp(-((x - mu) ** 2) / (2 * sigma ** 2));
+
+export function createTremorModel(rng, { fs = SENSOR_RATE_HZ, freq = 6 } = {}) {
+  let phase = rng.next() * TWO_PI;
+  let f = freq;
+  let wander = 1; // slow AR(1) amplitude modulation
+
+  return {
+    // One IMU sample (acc in g, gyro in °/s) for a tremor index `amplitude`.
+    sample(amplitude, centerHz = freq) {
+      f = clamp(f + (centerHz - f) * 0.01 + rng.gauss() * 0.02, ...TREMOR_BAND_HZ);
+      wander = 1 + (wander - 1) * 0.995 + rng.gauss() * 0.01;
+      phase = (phase + (TWO_PI * f) / fs) % TWO_PI;
+      const a = Math.max(0, amplitude * wander);
+      const s = Math.sin(phase);
+      const c = Math.cos(phase);
+      return {
+        acc: TREMOR_AXIS.map(
+          (k, i) => k * a * c * ACC_G_PER_UNIT + (i === 2 ? 1 : 0) + rng.gauss() * 0.01
+        ),
+        gyro: TREMOR_AXIS.map((k) => k * a * s * GYRO_DPS_PER_UNIT + rng.gauss() * 0.5),
+      };
+    },
+  };
+}
+
+// Minimum-jerk speed profile over [0, 1], unit area.
+const minJerk = (x) => (x <= 0 || x >= 1 ? 0 : 30 * x * x * (1 - x) * (1 - x));
+const MOVE_AXIS = [1, 0.35, 0.2];
+
+export function createMovementModel(rng, { fs = SENSOR_RATE_HZ } = {}) {
+  let t = 0;
+  let nextStart = rng.next() * 0.5;
+  let direction = 1;
+  let bumps = []; // { start, duration, amplitude (°) }
+
+  // One reach: a primary minimum-jerk stroke plus submovements whose number
+  // and size grow as `smooth` falls.
+  const plan = (smooth) => {
+    const duration = 0.9 + rng.next() * 0.5;
+    const amplitude = (40 + rng.next() * 30) * direction;
+    const extra = Math.floor((1 - clamp(smooth, 0, 1)) * 4 + rng.next());
+    const list = [{ start: t, duration, amplitude }];
+    let at = t + duration * (0.55 + rng.next() * 0.3);
+    for (let i = 0; i < extra; i++) {
+      const sub = duration * (0.3 + rng.next() * 0.25);
+      list.push({ start: at, duration: sub, amplitude: amplitude * (0.25 + rng.next() * 0.35) });
+      at += sub * (0.6 + rng.next() * 0.5);
+    }
+    const end = Math.max(...list.map((b) => b.start + b.duration));
+    nextStart = end + 0.5 + rng.next() * 0.6;
+    direction = -direction;
+    return list;
+  };
+
+  return {
+    // Angular velocity (°/s) on the gyro axes for one sensor tick.
+    sample(smooth) {
+      if (t >= nextStart) bumps = [...bumps.filter((b) => b.start + b.duration > t), ...plan(smooth)];
+      let v = 0;
+      for (const b of bumps) v += (b.amplitude / b.duration) * minJerk((t - b.start) / b.duration);
+      t += 1 / fs;
+      return MOVE_AXIS.map((k) => k * v);
+    },
+  };
+}
+
+export function createPpgModel(rng, { fs = SENSOR_RATE_HZ } = {}) {
+  let t = 0;
+  let nextBeat = rng.next() * 0.8;
+  const beats = []; // beat onset times, seconds
+
+  return {
+    get beats() {
+      return beats;
+    },
+    // `respPhase` couples in respiratory sinus arrhythmia.
+    sample(hr, { sdnnMs = 40, respPhase = 0 } = {}) {
+      t += 1 / fs;
+      while (t >= nextBeat) {
+        beats.push(nextBeat);
+        if (beats.length > 64) beats.shift();
+        const ibi =
+          (60 / hr) * (1 + 0.04 * Math.sin(respPhase)) + (rng.gauss() * sdnnMs) / 1000;
+        nextBeat += clamp(ibi, 0.3, 2);
+      }
+      let v = 0;
+      for (let i = Math.max(0, beats.length - 2); i < beats.length; i++) {
+        const dt = t - beats[i];
+        v += bump(dt, 0.12, 0.045) + 0.35 * bump(dt, 0.34, 0.07);
+      }
+      return v + 0.05 * Math.sin(TWO_PI * 0.1 * t) + rng.gauss() * 0.01;
+    },
+  };
+}
+
+export function createRespModel(rng, { fs = SENSOR_RATE_HZ } = {}) {
+  let phase = rng.next() * TWO_PI;
+  let f = null; // breathing frequency, Hz
+
+  return {
+    get phase() {
+      return phase;
+    },
+    sample(rrBpm, depth = 0.25) {
+      const target = rrBpm / 60;
+      f = f ?? target;
+      f = Math.max(0.05, f + (target - f) * 0.02 + rng.gauss() * 0.0005);
+      phase = (phase + (TWO_PI * f) / fs) % TWO_PI;
+      return 0.55 + depth * Math.sin(phase) + rng.gauss() * 0.01;
+    },
+  };
+}
+
+// Peak tremor amplitude (index units) from a window of gyro samples.
+export function tremorIndex(gyro) {
+  if (!gyro.length) return 0;
+  const mean = [0, 1, 2].map((i) => gyro.reduce((a, g) => a + g[i], 0) / gyro.length);
+  const power =
+    gyro.reduce(
+      (a, g) => a + g.reduce((b, v, i) => b + (v - mean[i]) ** 2, 0),
+      0
+    ) / gyro.length;
+  return Math.sqrt(2 * power) / GYRO_DPS_PER_UNIT;
+}
+
+/**
+ * Bundles the four models for one simulated wearer. `sample` advances every
+ * model by one sensor tick toward the given targets.
+ */
+export function createPhysiology(rng, { fs = SENSOR_RATE_HZ, movementRng = rng } = {}) {
+  const movement = createMovementModel(movementRng, { fs });
+  const tremor = createTremorModel(rng, { fs });
+  const ppg = createPpgModel(rng, { fs });
+  const resp = createRespModel(rng, { fs });
+
+  return {
+    sample({ user, hr, rr, tremorAmp, smooth }) {
+      const reach = movement.sample(smooth);
+      const imu = tremor.sample(tremorAmp, user.tremorHz);
+      const band = resp.sample(rr);
+      return {
+        acc: imu.acc,
+        gyro: imu.gyro.map((g, i) => g + reach[i]),
+        resp: band,
+        ppg: ppg.sample(hr, { sdnnMs: user.hrvSdnn, respPhase: resp.phase }),
+      };
+    },
+  };
+}
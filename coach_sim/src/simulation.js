@@ -0,0 +1,387 @@
+import { createRng } from "./rng.js";
+import { clamp, poseToSensors } from "./pose.js";
+import { defaultRules, noteFor, rulePolicy } from "./policy.js";
+import { createCoach } from "./coach.js";
+import { createPhysiology, SENSOR_RATE_HZ } from "./signal-models.js";
+import { aggregateFrames } from "./decimate.js";
+import { evaluateScenario } from "./scenarios.js";
+import { createFatigue, fatigueEffects } from "./fatigue.js";
+import { applyFaultsToRecord, createFaultInjector, faultTagsOf } from "./faults.js";
+import { encodeFrames } from "./sample-codec.js";
+import { createImuAnalyzer, defaultDspConfig } from "./dsp.js";
+import { createVitalsAnalyzer } from "./vitals.js";
+import { createFilterBank } from "./filters.js";
+import { createDifficultyController, defaultAdaptiveConfig } from "./difficulty.js";
+import { createActuator } from "./haptics.js";
+
+/**
+ * Headless simulation engine
+ * --------------------------
+ * Owns the seeded generator, the 200 Hz frame clock and the coach mode, so a
+ * session can run in the browser (one step per tick) or in Node as fast as it
+ * likes. Each step emits one decimated record at the display rate.
+ *
+ *   const sim = createSimulation({ user, params, sensors, seed });
+ *   const { frame, decision, firing, note } = sim.step();
+ *
+ * `firing` is the haptic cue the motor starts on that record, if any (see
+ * createActuator).
+ */
+
+// ---------- Fake user model ----------
+export const defaultUserModel = {
+  name: "Demo User",
+  hrRest: 72,
+  rrRest: 12, // breaths per minute
+  tremorBase: 0.15,
+  tremorHz: 6, // dominant tremor frequency, 4–12 Hz
+  hrvSdnn: 40, // beat-to-beat variability, ms
+  gripMax: 60, // Newtons
+  smoothnessBase: 0.7,
+  fatigueRate: 0.08, // per minute of coaching at difficulty 1
+  recoveryRate: 0.4, // per minute of rest
+};
+
+export const defaultSensors = {
+  tpuForearm: true,
+  tpuBicep: true,
+  tpuShoulder: true,
+  forcePads: true,
+  imu: true,
+  ppg: true,
+  resp: true,
+  haptic: true,
+};
+
+// Thresholds / policy params
+export const defaultParams = {
+  tremorWarn: 0.35,
+  tremorRest: 0.55,
+  smoothMin: 0.45,
+  gripTarget: 18,
+  hrCeiling: 120,
+  rrCeiling: 20,
+  hrResume: 108, // REST exit thresholds, below the ceilings that enter it
+  rrResume: 18,
+  tremorResume: 0.45,
+  restMinS: 20, // shortest REST, seconds
+  resumeFrames: 5, // consecutive safe records before COACHING resumes
+  sqiMin: 0.5, // signal quality below which HR/RR gates are ignored
+  difficulty: 1.0,
+};
+
+// Per-second targets the 200 Hz generator relaxes toward. Drawn on a fixed
+// one-second control period so the raw stream does not depend on the
+// display rate.
+function drawTargets(rng, mode, { user, params, sensors }, fatigue) {
+  const { rnd } = rng;
+  const tired = fatigueEffects(fatigue);
+  // Harder exercises come out less smooth (and so more effortful and shaky).
+  const smooth = clamp(
+    (rnd(user.smoothnessBase, 0.15) * tired.smoothScale) / params.difficulty,
+    0,
+    1
+  );
+  const effort = clamp(1 - smooth, 0, 1);
+  const grip = clamp(
+    rnd(params.gripTarget, 6) *
+      (sensors.forcePads ? 1 : 0) *
+      (mode === "REST" ? 0.6 : 1),
+    0,
+    user.gripMax
+  );
+  const hr = clamp(
+    user.hrRest + params.difficulty * 25 * (smooth < 0.55 ? 1 : 0.6) + tired.hrAdd,
+    50,
+    200
+  );
+  return {
+    smooth,
+    grip,
+    hr,
+    rr: clamp(user.rrRest + (hr - user.hrRest) / 20 + tired.rrAdd, 6, 35),
+    tremorAmp: user.tremorBase * (0.5 + 2 * effort) * tired.tremorGain,
+    emgEnv: clamp(rnd(0.35, 0.12) * (smooth < 0.55 ? 1.2 : 0.9), 0, 1),
+    strain: [
+      clamp(rnd(0.46, 0.08), 0, 1), // wrist bridge
+      clamp(rnd(0.52, 0.08), 0, 1), // elbow/knee bridge
+      clamp(rnd(0.58, 0.08), 0, 1), // shoulder/ankle bridge
+    ],
+    fsr: [
+      clamp(grip * 0.45 + rnd(4, 2), 0, user.gripMax / 2),
+      clamp(grip * 0.35 + rnd(3, 2), 0, user.gripMax / 2),
+      clamp(rnd(16, 6), 0, 45),
+    ],
+  };
+}
+
+// Overrides pin both the generator target and the reported scalar, so
+// scripted values stay exact.
+function applyOverrides(targets, overrides, user) {
+  const pinned = { ...targets };
+  for (const key of ["smooth", "grip", "hr", "rr", "emgEnv", "strain", "fsr"]) {
+    if (overrides[key] != null) pinned[key] = overrides[key];
+  }
+  if (overrides.tremor != null) pinned.tremorAmp = overrides.tremor;
+  if (overrides.pose && overrides.usePoseSensors) {
+    const mapped = poseToSensors(overrides.pose, user.gripMax, user.calibration);
+    pinned.strain = overrides.strain ?? mapped.strain;
+    pinned.fsr = overrides.fsr ?? mapped.fsr;
+    pinned.grip = overrides.grip ?? mapped.grip;
+  }
+  return pinned;
+}
+
+/**
+ * 200 Hz sensor generator. Each `next` call yields one sample_t-shaped frame
+ * (plus the simulator-only `ppg` channel, which the firmware struct lacks).
+ */
+function createSensorSim(rng, { fs = SENSOR_RATE_HZ, movementRng } = {}) {
+  const physiology = createPhysiology(rng, { fs, movementRng });
+  const fatigue = createFatigue();
+  const lag = 1 - Math.exp(-1 / (0.1 * fs)); // ~100 ms first-order response
+  let k = 0;
+  let targets = null;
+  let pinned = null;
+  let level = null; // low-passed strain/fsr/emg levels
+
+  const follow = (cur, target) => cur + (target - cur) * lag;
+
+  return {
+    // Scalars only the simulator knows. HR, RR and HRV are not among them:
+    // those are estimated from the PPG and respiration waveforms.
+    get truth() {
+      return {
+        smooth: pinned?.smooth,
+        grip: pinned?.grip,
+        fatigue: fatigue.level,
+      };
+    },
+    next({ mode, config, overrides }) {
+      const { user } = config;
+      if (k % fs === 0 || !targets) {
+        if (k > 0) {
+          fatigue.update(1, { mode, difficulty: config.params.difficulty, user });
+        }
+        targets = drawTargets(rng, mode, config, fatigue.level);
+      }
+      pinned = applyOverrides(targets, overrides, user);
+      level = level
+        ? {
+            strain: level.strain.map((v, i) => follow(v, pinned.strain[i])),
+            fsr: level.fsr.map((v, i) => follow(v, pinned.fsr[i])),
+            emgEnv: follow(level.emgEnv, pinned.emgEnv),
+          }
+        : { strain: [...pinned.strain], fsr: [...pinned.fsr], emgEnv: pinned.emgEnv };
+
+      const phys = physiology.sample({ user, ...pinned });
+      const frame = {
+        t_us: Math.round((k * 1e6) / fs),
+        imu_acc: phys.acc,
+        imu_gyro: phys.gyro,
+        strain: level.strain.map((v) => clamp(v + rng.gauss() * 0.004, 0, 1)),
+        emg_env: clamp(level.emgEnv + rng.gauss() * 0.015, 0, 1),
+        fsr: level.fsr.map((v) => Math.max(0, v + rng.gauss() * 0.25)),
+        resp: overrides.resp ?? clamp(phys.resp, 0, 1.2),
+        ppg: phys.ppg,
+      };
+      k += 1;
+      return frame;
+    },
+  };
+}
+
+export function createSimulation({
+  user = defaultUserModel,
+  params = defaultParams,
+  sensors = defaultSensors,
+  seed = "1",
+  fs = SENSOR_RATE_HZ,
+  displayRate = 1,
+  scenario = null,
+  faults = {},
+  dsp = defaultDspConfig,
+  filters = {},
+  rules = defaultRules,
+  adaptive = defaultAdaptiveConfig,
+  policy = rulePolicy,
+} = {}) {
+  let config = {
+    user,
+    params,
+    sensors,
+    displayRate,
+    scenario,
+    faults,
+    dsp,
+    filters,
+    rules,
+    adaptive,
+    policy,
+  };
+  let rng;
+  let sensorSim;
+  let injector;
+  let analyzer;
+  let vitals;
+  let bank;
+  let last;
+  let count;
+  let sample; // raw frames generated so far; session time is sample / fs
+  const coach = createCoach();
+  const controller = createDifficultyController({ config: adaptive, start: params.difficulty });
+  const actuator = createActuator();
+
+  const reset = (nextSeed = seed) => {
+    seed = String(nextSeed);
+    rng = createRng(seed);
+    sensorSim = createSensorSim(rng, { fs, movementRng: createRng(`${seed}:movement`) });
+    injector = createFaultInjector(createRng(`${seed}:faults`), { fs });
+    analyzer = createImuAnalyzer({ fs, config: config.dsp });
+    vitals = createVitalsAnalyzer({ fs });
+    bank = createFilterBank({ fs });
+    last = null;
+    coach.reset();
+    controller.reset(config.params.difficulty);
+    actuator.reset();
+    count = 0;
+    sample = 0;
+  };
+  reset(seed);
+
+  return {
+    fs,
+    get seed() {
+      return seed;
+    },
+    get mode() {
+      return coach.mode;
+    },
+    get last() {
+      return last;
+    },
+    get displayRate() {
+      return config.displayRate;
+    },
+    reset,
+    // Swap user/params/sensors/displayRate/scenario/faults/dsp/filters/rules/
+    // adaptive/policy between steps without touching the generator.
+    configure(patch) {
+      if (patch.dsp && patch.dsp !== config.dsp) analyzer.configure(patch.dsp);
+      if (patch.adaptive && patch.adaptive !== config.adaptive) controller.configure(patch.adaptive);
+      // Moving the slider restarts the controller from the new difficulty.
+      if (patch.params && patch.params.difficulty !== config.params.difficulty) {
+        controller.reset(patch.params.difficulty);
+      }
+      config = { ...config, ...patch };
+    },
+    stop() {
+      coach.reset();
+    },
+    // Advance one display period (fs / displayRate raw frames), fold it into
+    // a record and run the coaching policy on that record. Explicit overrides
+    // win over the active scenario's tracks. The record carries the
+    // difficulty it was generated at; the controller then sets the next one.
+    step(explicit = {}, { running = true } = {}) {
+      const n = Math.max(1, Math.round(fs / config.displayRate));
+      // Counted in raw frames, so a new displayRate never moves time back.
+      const t = sample / fs;
+      const overrides = { ...evaluateScenario(config.scenario, t), ...explicit };
+      const difficulty = controller.current(config.params);
+      const tick = { ...config, params: { ...config.params, difficulty } };
+      const raw = [];
+      const frames = [];
+      for (let i = 0; i < n; i++) {
+        const clean = sensorSim.next({ mode: coach.mode, config: tick, overrides });
+        raw.push(injector.apply(clean, config.faults, t + i / fs));
+        frames.push(bank.apply(raw[i], config.filters));
+      }
+      analyzer.push(frames);
+      vitals.push(frames);
+      const record = applyFaultsToRecord(
+        aggregateFrames(frames, {
+          t,
+          truth: sensorSim.truth,
+          imu: analyzer.summary(),
+          vitals: vitals.summary(),
+          unfiltered: frames.some((f, i) => f !== raw[i]) ? raw : null,
+          overrides,
+          gripMax: config.user.gripMax,
+          calibration: config.user.calibration,
+        }),
+        faultTagsOf(frames),
+        { gripMax: config.user.gripMax }
+      );
+      const frame = { ...record, difficulty };
+      const decision = coach.decide(frame, { running, ...tick });
+      controller.update(frame, { mode: decision.mode, params: tick.params });
+      const firing = actuator.update(t, decision);
+      last = frame;
+      count += 1;
+      sample += n;
+      return {
+        frame,
+        decision,
+        firing,
+        note: noteFor(frame, decision, {
+          index: count - 1,
+          every: 15 * config.displayRate,
+          firing,
+        }),
+      };
+    },
+  };
+}
+
+// Run a whole session headlessly for `seconds` of session time. Raw 200 Hz
+// windows are dropped unless `keepWaves` is set — they dominate size.
+// `keepBinary` also packs every raw frame as firmware sample_t bytes.
+export function runSimulation(
+  options,
+  seconds,
+  { keepWaves = false, keepBinary = false } = {}
+) {
+  const sim = createSimulation(options);
+  const stream = [];
+  const events = [];
+  const chunks = [];
+  const steps = Math.round(seconds * sim.displayRate);
+  for (let i = 0; i < steps; i++) {
+    const { frame, decision, note } = sim.step();
+    const { frames, unfiltered, ...scalars } = frame;
+    if (keepBinary) chunks.push(new Uint8Array(encodeFrames(unfiltered ?? frames)));
+    stream.push({
+      ...(keepWaves ? frame : scalars),
+      mode: decision.mode,
+      msg: decision.message,
+      rule: decision.rule ?? null,
+      haptic: decision.haptic ?? null,
+    });
+    if (note) events.push(note);
+  }
+  const binary = keepBinary ? concatBytes(chunks) : null;
+  return { seed: sim.seed, stream, events, binary };
+}
+
+/**
+ * Stand-in for a sleeve streaming in real time: runs a simulation and hands
+ * its raw frames to `onFrames` every `chunkMs`. Mock transports build on
+ * this. Returns a function that stops the stream.
+ */
+export function streamSimulatedFrames(options, onFrames, { chunkMs = 50 } = {}) {
+  const sim = createSimulation({ ...options, displayRate: 1000 / chunkMs });
+  const handle = setInterval(() => {
+    onFrames(sim.step({}, { running: true }).frame.frames);
+  }, chunkMs);
+  return () => clearInterval(handle);
+}
+
+function concatBytes(chunks) {
+  const out = new Uint8Array(chunks.reduce((n, c) => n + c.byteLength, 0));
+  let offset = 0;
+  for (const c of chunks) {
+    out.set(c, offset);
+    offset += c.byteLength;
+  }
+  return out;
+}
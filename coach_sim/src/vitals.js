@@ -0,0 +1,193 @@
+import { clamp } from "./pose.js";
+import { lowpass } from "./dsp.js";
+import { SENSOR_RATE_HZ } from "./signal-models.js";
+
+/**
+ * Vital signs from waveforms
+ * --------------------------
+ * Heart rate, HRV and breathing rate estimated from the raw 200 Hz PPG and
+ * respiration-band channels, each with a 0–1 signal quality index (SQI):
+ *
+ * - PPG (last 10 s): band-passed, systolic peaks picked above an adaptive
+ *   threshold with a refractory period. SQI is each beat's correlation with
+ *   the window's average beat, scaled by the share of plausible intervals.
+ *   HR, RMSSD and SDNN come from the plausible intervals only.
+ * - Respiration (last 30 s, MCP3208 CH3): low-passed, one breath per rising
+ *   crossing of the mean with hysteresis. SQI drops for irregular breath
+ *   periods and for a flat or railed band.
+ *
+ * Estimates are reported whatever their quality; the policy decides what a
+ * low SQI means (see `sqiMin`).
+ */
+
+const PPG_WINDOW_S = 10;
+const RESP_WINDOW_S = 30;
+const PPG_BAND_HZ = [0.5, 8];
+const PEAK_THRESHOLD = 0.4; // of the window's 98th-percentile level
+const PPG_MIN_LEVEL = 0.05; // flatter than this is no pulse signal
+const REFRACTORY_S = 0.3; // 200 bpm
+const IBI_RANGE_S = [0.3, 2]; // 30–200 bpm
+const IBI_TOLERANCE = 0.3; // of the median interval
+const BEAT_SPAN_S = [-0.15, 0.35]; // template around each systolic peak
+const RESP_CUTOFF_HZ = 1;
+const RESP_HYSTERESIS = 0.3; // of the band's standard deviation
+const RESP_MIN_SD = 0.02; // flatter than this is no breathing signal
+const BREATH_RANGE_S = [1.5, 12]; // 5–40 breaths/min
+const RESP_RAILS = [0, 1.2];
+
+const mean = (xs) => xs.reduce((a, v) => a + v, 0) / xs.length;
+const std = (xs, m = mean(xs)) => Math.sqrt(mean(xs.map((v) => (v - m) ** 2)));
+const median = (xs) => {
+  const s = [...xs].sort((a, b) => a - b);
+  return s[Math.floor(s.length / 2)];
+};
+
+function pearson(a, b) {
+  const ma = mean(a);
+  const mb = mean(b);
+  let ab = 0;
+  let aa = 0;
+  let bb = 0;
+  a.forEach((v, i) => {
+    ab += (v - ma) * (b[i] - mb);
+    aa += (v - ma) ** 2;
+    bb += (b[i] - mb) ** 2;
+  });
+  return aa > 0 && bb > 0 ? ab / Math.sqrt(aa * bb) : 0;
+}
+
+// ---------- Heart ----------
+// HR from the mean interval; HRV as RMSSD and SDNN (ms). `ibis` in seconds.
+export function intervalMetrics(ibis) {
+  if (ibis.length < 2) return { hr: null, rmssd: null, sdnn: null };
+  const m = mean(ibis);
+  const diffs = ibis.slice(1).map((v, i) => v - ibis[i]);
+  return {
+    hr: 60 / m,
+    rmssd: Math.sqrt(mean(diffs.map((d) => d * d))) * 1000,
+    sdnn: std(ibis, m) * 1000,
+  };
+}
+
+/**
+ * Systolic peaks of a PPG run, as sample indexes into it, plus the
+ * band-passed signal they were picked from.
+ */
+export function detectBeats(ppg, fs = SENSOR_RATE_HZ) {
+  if (ppg.length < fs) return { beats: [], filtered: [] };
+  const smooth = lowpass(ppg, fs, PPG_BAND_HZ[1]);
+  const base = lowpass(ppg, fs, PPG_BAND_HZ[0]);
+  const filtered = smooth.map((v, i) => v - base[i]);
+  const sorted = [...filtered].sort((a, b) => a - b);
+  const level = sorted[Math.floor(0.98 * (sorted.length - 1))];
+  if (level < PPG_MIN_LEVEL) return { beats: [], filtered };
+  const threshold = PEAK_THRESHOLD * level;
+  const refractory = REFRACTORY_S * fs;
+  const beats = [];
+  for (let i = 1; i < filtered.length - 1; i++) {
+    const v = filtered[i];
+    if (!(v > threshold && v >= filtered[i - 1] && v > filtered[i + 1])) continue;
+    const prev = beats[beats.length - 1];
+    if (prev != null && i - prev < refractory) {
+      if (v > filtered[prev]) beats[beats.length - 1] = i;
+    } else beats.push(i);
+  }
+  return { beats, filtered };
+}
+
+// Intervals (s) between consecutive beats, each flagged plausible or not.
+function intervals(beats, fs) {
+  const ibis = beats.slice(1).map((b, i) => (b - beats[i]) / fs);
+  if (!ibis.length) return [];
+  const med = median(ibis);
+  return ibis.map((ibi) => ({
+    ibi,
+    ok: ibi >= IBI_RANGE_S[0] && ibi <= IBI_RANGE_S[1] && Math.abs(ibi - med) <= IBI_TOLERANCE * med,
+  }));
+}
+
+export function analyzePpg(ppg, fs = SENSOR_RATE_HZ) {
+  const { beats, filtered } = detectBeats(ppg, fs);
+  const ibis = intervals(beats, fs);
+  const [a, b] = BEAT_SPAN_S.map((s) => Math.round(s * fs));
+  const segments = beats
+    .filter((i) => i + a >= 0 && i + b <= filtered.length)
+    .map((i) => filtered.slice(i + a, i + b));
+  let sqi = 0;
+  if (segments.length >= 3 && ibis.length) {
+    const template = segments[0].map((_, k) => mean(segments.map((s) => s[k])));
+    const shape = mean(segments.map((s) => Math.max(0, pearson(s, template))));
+    sqi = shape * (ibis.filter((x) => x.ok).length / ibis.length);
+  }
+  const good = ibis.filter((x) => x.ok).map((x) => x.ibi);
+  return { ...intervalMetrics(good), sqi, beats, filtered, ibis };
+}
+
+// ---------- Respiration ----------
+export function analyzeResp(resp, fs = SENSOR_RATE_HZ) {
+  const empty = { rr: null, sqi: 0, breaths: [], filtered: [] };
+  if (resp.length < fs * BREATH_RANGE_S[0] * 2) return empty;
+  const filtered = lowpass(resp, fs, RESP_CUTOFF_HZ);
+  const m = mean(filtered);
+  const sd = std(filtered, m);
+  if (sd < RESP_MIN_SD) return { ...empty, filtered };
+  const breaths = [];
+  let armed = false;
+  filtered.forEach((v, i) => {
+    if (v < m - RESP_HYSTERESIS * sd) armed = true;
+    else if (armed && v >= m) {
+      breaths.push(i);
+      armed = false;
+    }
+  });
+  const periods = breaths.slice(1).map((b, i) => (b - breaths[i]) / fs);
+  const good = periods.filter((p) => p >= BREATH_RANGE_S[0] && p <= BREATH_RANGE_S[1]);
+  if (good.length < 2) return { ...empty, breaths, filtered };
+  const period = mean(good);
+  const railed = resp.filter((v) => v <= RESP_RAILS[0] || v >= RESP_RAILS[1]).length / resp.length;
+  const regularity = clamp(1 - std(good, period) / period, 0, 1);
+  return {
+    rr: 60 / period,
+    sqi: regularity * (good.length / periods.length) * (1 - railed),
+    breaths,
+    filtered,
+  };
+}
+
+// ---------- Streaming ----------
+/**
+ * Sliding-window estimator for a frame stream. Frames without a `ppg`
+ * channel (the firmware sample_t has none) leave HR and HRV null.
+ */
+export function createVitalsAnalyzer({ fs = SENSOR_RATE_HZ } = {}) {
+  let buffer = [];
+  return {
+    push(frames) {
+      buffer.push(...frames);
+      const keep = Math.round(RESP_WINDOW_S * fs);
+      if (buffer.length > keep) buffer = buffer.slice(buffer.length - keep);
+    },
+    get frames() {
+      return buffer;
+    },
+    summary() {
+      const ppg = buffer
+        .slice(-Math.round(PPG_WINDOW_S * fs))
+        .map((f) => f.ppg)
+        .filter((v) => v != null);
+      const heart = ppg.length ? analyzePpg(ppg, fs) : null;
+      const resp = buffer.map((f) => f.resp).filter((v) => v != null);
+      const breath = resp.length ? analyzeResp(resp, fs) : null;
+      return {
+        hr: heart?.hr ?? null,
+        hrv: heart?.rmssd ?? null,
+        sdnn: heart?.sdnn ?? null,
+        rr: breath?.rr ?? null,
+        sqi: { ppg: heart?.sqi ?? null, resp: breath?.sqi ?? null },
+      };
+    },
+    reset() {
+      buffer = [];
+    },
+  };
+}
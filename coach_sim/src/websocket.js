@@ -0,0 +1,110 @@
+import { decodeFrames } from "./sample-codec.js";
+import { RECONNECT_DELAYS_MS } from "./live.js";
+
+/**
+ * WebSocket transport
+ * -------------------
+ * For rigs where a bridge (e.g. a Raspberry Pi next to the sleeve)
+ * rebroadcasts frames over the network. Each message carries one or more
+ * frames, either
+ *
+ *   binary  packed little-endian sample_t, 60 bytes each
+ *   text    JSON: { "frames": [sample_t, …] }, an array of them, or one
+ *
+ * where a JSON sample_t uses the struct's field names. Other JSON messages
+ * (e.g. the mock server's `{ "hello": … }`) are ignored. Malformed messages
+ * count as corrupt and are skipped; the socket reconnects with backoff if
+ * the bridge goes away.
+ */
+
+export const DEFAULT_WS_URL = "ws://localhost:8787";
+
+const VECTOR_FIELDS = ["imu_acc", "imu_gyro", "strain", "fsr"];
+const SCALAR_FIELDS = ["t_us", "emg_env", "resp"];
+
+const isFrame = (f) =>
+  f != null &&
+  SCALAR_FIELDS.every((k) => Number.isFinite(f[k])) &&
+  VECTOR_FIELDS.every((k) => Array.isArray(f[k]) && f[k].length === 3 && f[k].every(Number.isFinite));
+
+// Frames in one message, or null if it is not a frame message.
+export function parseMessage(data) {
+  if (typeof data !== "string") return decodeFrames(data);
+  const msg = JSON.parse(data);
+  const frames = Array.isArray(msg) ? msg : msg.frames ?? (msg.t_us != null ? [msg] : null);
+  if (!frames) return null;
+  const bad = frames.findIndex((f) => !isFrame(f));
+  if (bad >= 0) throw new Error(`frame ${bad} is not a sample_t`);
+  return frames.map((f) => ({ ...f, t_us: f.t_us >>> 0 }));
+}
+
+/**
+ * Connect to `url` and keep the connection alive. `onStatus` receives
+ * "connecting" | "connected" | "reconnecting" | "disconnected" | "error".
+ * `WebSocketImpl` lets Node callers pass a WebSocket class.
+ */
+export function connectWebSocket(
+  url,
+  { stats, onFrame, onStatus, WebSocketImpl = globalThis.WebSocket }
+) {
+  if (!WebSocketImpl) throw new Error("WebSocket is not available here");
+  let socket = null;
+  let closing = false;
+  let retry = null;
+
+  const onMessage = ({ data }) => {
+    let frames;
+    try {
+      frames = parseMessage(data);
+    } catch {
+      stats?.corrupt();
+      return;
+    }
+    for (const frame of frames ?? []) {
+      stats?.timed(frame.t_us);
+      onFrame(frame);
+    }
+  };
+
+  // Resolves once open; rejects if the first attempt never opens.
+  const open = (attempt) =>
+    new Promise((resolve, reject) => {
+      let opened = false;
+      socket = new WebSocketImpl(url);
+      socket.binaryType = "arraybuffer";
+      socket.onmessage = onMessage;
+      socket.onerror = () => {}; // always followed by close, handled there
+      socket.onopen = () => {
+        opened = true;
+        if (attempt > 0) stats?.reconnect();
+        onStatus?.("connected");
+        resolve();
+      };
+      socket.onclose = () => {
+        socket = null;
+        if (closing) return;
+        if (!opened && attempt === 0) {
+          reject(new Error(`Could not connect to ${url}`));
+          return;
+        }
+        const next = opened ? 0 : attempt;
+        if (next >= RECONNECT_DELAYS_MS.length) {
+          onStatus?.("error", new Error(`Lost ${url} after ${next} reconnect attempts`));
+          return;
+        }
+        onStatus?.("reconnecting");
+        retry = setTimeout(() => open(next + 1).catch(() => {}), RECONNECT_DELAYS_MS[next]);
+      };
+    });
+
+  onStatus?.("connecting");
+  return open(0).then(() => ({
+    async close() {
+      closing = true;
+      clearTimeout(retry);
+      socket?.close();
+      socket = null;
+      onStatus?.("disconnected");
+    },
+  }));
+}
@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createReassembler, packetize } from "../src/ble.js";
+import { SAMPLE_T_BYTES, decodeFrames, encodeFrames } from "../src/sample-codec.js";
+
+const frames = Array.from({ length: 6 }, (_, i) => ({
+  t_us: i * 5000,
+  imu_acc: [i, 0, 1],
+  imu_gyro: [0, 0.5, 0],
+  strain: [0.5, 0.5, 0.5],
+  emg_env: 0.25,
+  fsr: [i, 0, 0],
+  resp: 0.5,
+}));
+const bytes = new Uint8Array(encodeFrames(frames));
+const views = (packets) => packets.map((p) => new DataView(p.buffer, p.byteOffset, p.byteLength));
+
+function reassemble(packets) {
+  const out = [];
+  const gaps = [];
+  const reassembler = createReassembler({
+    onFrame: (f) => out.push(f),
+    onGap: (n) => gaps.push(n),
+  });
+  views(packets).forEach(reassembler.push);
+  return { out, gaps };
+}
+
+test("notifications reassemble into the frames at any MTU", () => {
+  for (const mtu of [23, 64, 185, 247]) {
+    const { out, gaps } = reassemble(packetize(bytes, { mtu }));
+    assert.deepEqual(out, decodeFrames(bytes), `mtu ${mtu}`);
+    assert.deepEqual(gaps, []);
+  }
+});
+
+test("a stream joined mid-frame syncs on the next frame start", () => {
+  const offset = 17;
+  const { out } = reassemble(packetize(bytes.subarray(offset), { mtu: 23, offset }));
+  assert.deepEqual(out, decodeFrames(bytes).slice(1));
+});
+
+test("a lost notification drops only the frames it overlapped", () => {
+  const mtu = 23;
+  const room = mtu - 6; // ATT and our headers
+  const lost = 4;
+  const packets = packetize(bytes, { mtu, seq: 0xfffe }); // seq wraps after two
+  const { out, gaps } = reassemble(packets.filter((_, i) => i !== lost));
+  assert.deepEqual(gaps, [1]);
+  const overlaps = (i) =>
+    i * SAMPLE_T_BYTES < (lost + 1) * room && (i + 1) * SAMPLE_T_BYTES > lost * room;
+  assert.deepEqual(out, decodeFrames(bytes).filter((_, i) => !overlaps(i)));
+});
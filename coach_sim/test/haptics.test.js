@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  HAPTIC_FORMAT_VERSION,
+  defaultPatterns,
+  encodeLibrary,
+  hapticFirings,
+  patternLengthMs,
+  patternSteps,
+  validatePattern,
+} from "../src/haptics.js";
+import { createSimulation } from "../src/simulation.js";
+
+// The library as the ESP32 driver walks it (byte format in haptics.js).
+function readLibrary(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const patterns = [];
+  let at = 4;
+  for (let p = 0; p < bytes[3]; p++) {
+    const n = view.getUint8(at + 3);
+    const steps = Array.from({ length: n }, (_, i) => ({
+      from: view.getUint8(at + 4 + i * 4),
+      to: view.getUint8(at + 5 + i * 4),
+      ms: view.getUint16(at + 6 + i * 4, true),
+    }));
+    patterns.push({ repeat: view.getUint8(at), gapMs: view.getUint16(at + 1, true), steps });
+    at += 4 + n * 4;
+  }
+  return { magic: String.fromCharCode(bytes[0], bytes[1]), version: bytes[2], patterns, at };
+}
+
+test("the default patterns are valid", () => {
+  for (const p of defaultPatterns) assert.deepEqual(validatePattern(p), [], p.id);
+});
+
+test("the library reads back as the patterns' steps, in order", () => {
+  const bytes = encodeLibrary(defaultPatterns);
+  const read = readLibrary(bytes);
+  assert.equal(read.magic, "HP");
+  assert.equal(read.version, HAPTIC_FORMAT_VERSION);
+  assert.equal(read.at, bytes.length);
+  assert.deepEqual(
+    read.patterns,
+    defaultPatterns.map((p) => ({ repeat: p.repeat, gapMs: p.gapMs, steps: patternSteps(p) }))
+  );
+});
+
+test("breathing steps add up to the swell's length", () => {
+  const breathe = { ...defaultPatterns.find((p) => p.kind === "breathing"), durationMs: 4999 };
+  assert.equal(patternLengthMs(breathe), breathe.repeat * 4999);
+});
+
+test("fields the byte format stores must be whole numbers", () => {
+  const errors = validatePattern({ ...defaultPatterns[0], repeat: 2.5, gapMs: 10.5 });
+  assert.deepEqual(errors, ["repeat must be a whole number", "gapMs must be a whole number"]);
+  assert.deepEqual(validatePattern({ ...defaultPatterns[0], amplitude: 0.33 }), []);
+});
+
+test("logged cues are the ones the actuator fired", () => {
+  const sim = createSimulation({ seed: "haptic-log" }); // the haptic driver is on by default
+  const steps = Array.from({ length: 300 }, () => sim.step());
+  const decisions = steps.map(({ frame, decision }) => ({ t: frame.t, ...decision }));
+  assert.deepEqual(
+    steps.map((s) => s.firing).filter(Boolean),
+    hapticFirings(decisions)
+  );
+  for (const { note, firing } of steps) {
+    if (note) assert.equal(note.haptic, firing?.pattern ?? null);
+  }
+  const held = steps.some((s) => s.note && !s.firing && s.decision.haptic);
+  assert.ok(held, "a cue still playing is not logged again");
+});
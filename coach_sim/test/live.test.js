@@ -0,0 +1,43 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createLiveSession } from "../src/live.js";
+
+const PERIOD_US = 5000; // 200 Hz
+
+// `seconds` of still frames whose device clock starts at `startUs` (uint32).
+const frames = (startUs, seconds) =>
+  Array.from({ length: seconds * 200 }, (_, i) => ({
+    t_us: (startUs + i * PERIOD_US) >>> 0,
+    imu_acc: [0, 0, 1],
+    imu_gyro: [0, 0, 0],
+    strain: [0.5, 0.5, 0.5],
+    emg_env: 0.3,
+    fsr: [5, 5, 5],
+    resp: 0.6,
+  }));
+
+const recordTimes = (live, list) =>
+  list.map((f) => live.push(f)).filter(Boolean).map((step) => step.frame.t);
+
+test("session time runs on across the uint32 wrap-around", () => {
+  const live = createLiveSession({ running: true });
+  const times = recordTimes(live, frames(2 ** 32 - 2e6, 4));
+  assert.deepEqual(times, [0, 1, 2, 3]);
+});
+
+test("a device that restarts its clock does not jump session time", () => {
+  const live = createLiveSession({ running: true });
+  const times = [
+    ...recordTimes(live, frames(100e6, 3)),
+    ...recordTimes(live, frames(0, 3)), // rebooted
+  ];
+  assert.deepEqual(times, [0, 1, 2, 3, 4, 5]);
+});
+
+test("after resync the next frame follows the last one", () => {
+  const live = createLiveSession({ running: true });
+  const before = recordTimes(live, frames(10e6, 2));
+  live.resync();
+  const after = recordTimes(live, frames(500e6, 2)); // counter moved on while away
+  assert.deepEqual([...before, ...after], [0, 1, 2, 3]);
+});
@@ -0,0 +1,45 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ACTIONS, createLearnedPolicy, createLearner, stateOf } from "../src/rl.js";
+import { evaluatePolicy } from "../src/policy.js";
+import { defaultParams, defaultSensors } from "../src/simulation.js";
+
+const calm = { smooth: 0.8, tremor: 0.1, grip: 20, hr: 80, rr: 14, sqi: {} };
+const records = [
+  calm,
+  { ...calm, hr: defaultParams.hrCeiling + 10 },
+  { ...calm, tremor: defaultParams.tremorRest + 0.1 },
+  { ...calm, smooth: 0.1 },
+];
+
+// A learner that has only ever been rewarded for REST.
+function restLearner() {
+  const learner = createLearner({ kind: "bandit" });
+  for (const record of records) {
+    const s = stateOf(record, defaultParams);
+    learner.learn(s, ACTIONS.indexOf("REST"), [1], s);
+  }
+  return learner;
+}
+
+test("the rules' decision stands wherever they do not coach, running or not", () => {
+  const learned = createLearnedPolicy(restLearner());
+  for (const running of [true, false]) {
+    for (const mode of ["IDLE", "COACHING", "REST"]) {
+      for (const record of records) {
+        const ctx = { mode, running, params: defaultParams, sensors: defaultSensors };
+        const ruled = evaluatePolicy(record, ctx);
+        if (ruled.mode !== "COACHING") assert.deepEqual(learned.decide(record, ctx), ruled);
+      }
+    }
+  }
+});
+
+test("the learner only chooses on records the rules would coach", () => {
+  const learned = createLearnedPolicy(restLearner());
+  const ctx = { mode: "COACHING", running: true, params: defaultParams, sensors: defaultSensors };
+  assert.equal(evaluatePolicy(calm, ctx).mode, "COACHING");
+  const decision = learned.decide(calm, ctx);
+  assert.equal(decision.mode, "REST");
+  assert.equal(decision.rule, "learned");
+});
@@ -0,0 +1,40 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { compileCondition, parseRules, serializeRules } from "../src/rules.js";
+import { defaultRules } from "../src/policy.js";
+
+const scope = {
+  tremor: 0.5,
+  grip: null,
+  params: { tremorRest: 0.4, gripTarget: 20 },
+  sensors: { tpuForearm: true },
+  running: true,
+  mode: "COACHING",
+};
+
+test("conditions evaluate over the record, params and sensors", () => {
+  assert.equal(compileCondition("sensors.tpuForearm && tremor > params.tremorRest")(scope), true);
+  assert.equal(compileCondition("mode == \"REST\" || !running")(scope), false);
+  assert.equal(compileCondition("max(tremor, 0.2) * 2 >= 1")(scope), true);
+});
+
+test("a missing reading never trips a rule", () => {
+  assert.equal(compileCondition("abs(grip - params.gripTarget) > 8")(scope), false);
+  assert.equal(compileCondition("grip < 5")(scope), false);
+});
+
+test("a bad source throws the same error every time", () => {
+  const attempt = () => compileCondition("tremor > ");
+  assert.throws(attempt, /expected a value/);
+  assert.throws(attempt, /expected a value/);
+  assert.throws(() => compileCondition("  "), /condition is empty/);
+});
+
+test("more sources than the cache holds still compile", () => {
+  for (let i = 1; i <= 600; i++) assert.equal(compileCondition(`tremor > ${i}`)(scope), false);
+  assert.equal(compileCondition("tremor > 0")(scope), true);
+});
+
+test("the default rules survive an export round-trip", () => {
+  assert.deepEqual(parseRules(serializeRules(defaultRules)), defaultRules);
+});
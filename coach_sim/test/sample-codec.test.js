@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  SAMPLE_T_BYTES,
+  SampleFrameError,
+  decodeFrames,
+  encodeFrames,
+  findAlignment,
+  unwrapTimestamps,
+} from "../src/sample-codec.js";
+
+// Values that survive float32 exactly, 5 ms apart like the 200 Hz stream.
+const frame = (i, t_us = 1000 + i * 5000) => ({
+  t_us,
+  imu_acc: [i * 0.5, -1, 9.75],
+  imu_gyro: [0.25, -i, 2],
+  strain: [0.5, 0.625, 0.75],
+  emg_env: 0.375,
+  fsr: [i, 2.5, 0],
+  resp: 0.5,
+});
+
+test("frames round-trip through the packed layout", () => {
+  const frames = Array.from({ length: 4 }, (_, i) => frame(i));
+  const bytes = encodeFrames(frames);
+  assert.equal(bytes.byteLength, frames.length * SAMPLE_T_BYTES);
+  assert.deepEqual(decodeFrames(bytes), frames);
+});
+
+test("t_us is written as uint32, wrapping like the MCU counter", () => {
+  const [decoded] = decodeFrames(encodeFrames([frame(0, 2 ** 32 + 7)]));
+  assert.equal(decoded.t_us, 7);
+});
+
+test("stray bytes are rejected with the offset that looks aligned", () => {
+  const bytes = new Uint8Array(encodeFrames(Array.from({ length: 8 }, (_, i) => frame(i))));
+  const shifted = new Uint8Array(bytes.length + 12);
+  shifted.set(bytes, 12);
+  assert.equal(findAlignment(shifted), 12);
+  assert.throws(
+    () => decodeFrames(shifted.subarray(0, shifted.length - 1)),
+    (err) => err instanceof SampleFrameError && /aligned at byte offset 12/.test(err.message)
+  );
+});
+
+test("unwrapTimestamps carries t_us across the uint32 roll-over", () => {
+  const near = 2 ** 32 - 5000;
+  const sent = [0, 1, 2].map((i) => frame(i, near + i * 5000));
+  const unwrapped = unwrapTimestamps(decodeFrames(encodeFrames(sent)));
+  assert.deepEqual(
+    unwrapped.map((f) => f.t_us),
+    sent.map((f) => f.t_us)
+  );
+});
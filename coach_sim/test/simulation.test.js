@@ -0,0 +1,20 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createSimulation } from "../src/simulation.js";
+
+test("changing the display rate mid-run never moves session time back", () => {
+  const sim = createSimulation({ seed: "rate-switch", displayRate: 1 });
+  const times = [];
+  const run = (steps) => {
+    for (let i = 0; i < steps; i++) times.push(sim.step().frame.t);
+  };
+  run(30);
+  sim.configure({ displayRate: 10 });
+  run(20);
+  sim.configure({ displayRate: 2 });
+  run(4);
+  times.slice(1).forEach((t, i) => assert.ok(t > times[i], `t ${t} after ${times[i]}`));
+  assert.equal(times[30], 30);
+  assert.equal(times[50], 32);
+  assert.equal(times[53], 33.5);
+});